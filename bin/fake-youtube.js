@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Serves a fixture-driven fake YouTube Data API for offline demos and tests.
+ * Run `fake-youtube --help` for usage.
+ */
+
+const path = require("path");
+const { Command } = require("commander");
+const { FakeYoutubeApi, loadFixtures } = require("../lib/fake-youtube-api");
+const { version } = require("../package.json");
+
+const DEFAULT_FIXTURES = path.join(
+  __dirname,
+  "..",
+  "fixtures",
+  "demo-channel.json"
+);
+
+const program = new Command();
+
+program
+  .name("fake-youtube")
+  .description("Serve a fake YouTube Data API from fixture files")
+  .version(version)
+  .argument("[fixtures...]", "fixture files to serve", [DEFAULT_FIXTURES])
+  .option("-p, --port <port>", "port to listen on", "4000")
+  .option("--page-size <n>", "largest page to hand out (1-50)", "50")
+  .option("--key <key...>", "only accept these API keys")
+  .action(async (files, options) => {
+    const fixtures = loadFixtures(files);
+    const api = new FakeYoutubeApi(fixtures, {
+      pageSize: Number(options.pageSize),
+      keys: options.key,
+    });
+    const server = await api.listen(Number(options.port));
+    const url = `http://localhost:${server.address().port}`;
+
+    console.log(`🎭 Fake YouTube API is running on ${url}`);
+    console.log(
+      `📦 Serving ${fixtures.channels.length} channels and ${fixtures.videos.length} videos`
+    );
+    console.log(`👉 Start the app with YOUTUBE_API_URL=${url}`);
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  process.stderr.write(`❌ ${error.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line interface for fetching YouTube channels without the web server.
+ * Run `yt-fetch --help` for usage.
+ */
+
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const path = require("path");
+const { Command, Option } = require("commander");
+const {
+  streamYoutubeVideos,
+  resolveChannelInput,
+  fetchChannelInfo,
+  REFRESH_MODES,
+} = require("../lib/youtube-videos");
+const {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  parseFields,
+  createExportWriter,
+} = require("../lib/video-export");
+const {
+  AmbiguousChannelError,
+  ChannelNotFoundError,
+  describeError,
+} = require("../lib/errors");
+const { loadKeyPoolConfig } = require("../lib/key-pool");
+const { version } = require("../package.json");
+
+/**
+ * Process exit codes, so scripts and cron jobs can tell failures apart
+ * @type {Object<string, number>}
+ */
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  quotaExceeded: 4,
+  network: 5,
+  cancelled: 130,
+};
+
+/**
+ * Pick the exit code for an error
+ * @param {Error} error - Error thrown by a command
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  switch (describeError(error).code) {
+    case "channelNotFound":
+    case "channelAmbiguous":
+      return EXIT_CODES.notFound;
+    case "quotaExceeded":
+    case "quotaBudgetExceeded":
+      return EXIT_CODES.quotaExceeded;
+    case "retryExhausted":
+      return EXIT_CODES.network;
+    case "cancelled":
+      return EXIT_CODES.cancelled;
+    default:
+      return EXIT_CODES.error;
+  }
+}
+
+/**
+ * Thrown for bad command-line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a --since/--until date
+ * @param {string|undefined} value - Date or date-time, e.g. 2024-01-01
+ * @param {string} name - Option name for the error message
+ * @returns {Date|null} Parsed date, or null when the option is absent
+ * @throws {UsageError} When the date can't be parsed
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`--${name} must be a date such as 2024-01-01`);
+  }
+  return date;
+}
+
+/**
+ * Read and validate the export options shared by export and batch
+ * @param {Object} options - Command options
+ * @returns {{format: string, fields: string[]}} Export options
+ * @throws {UsageError} When a column is unknown
+ */
+function parseExportOptions(options) {
+  const fields = parseFields(options.fields);
+
+  if (!fields) {
+    throw new UsageError(
+      `--fields must be a list of: ${EXPORT_FIELDS.join(", ")}`
+    );
+  }
+
+  return { format: options.format, fields };
+}
+
+/**
+ * Build a progress bar that renders the same progress events the SSE stream sends.
+ * Nothing is drawn unless stderr is a terminal, so cron output stays clean.
+ * @param {boolean} enabled - Whether to draw at all
+ * @returns {{onProgress: Function, clear: Function}} Progress callbacks
+ */
+function createProgressBar(enabled) {
+  const stream = process.stderr;
+  const active = enabled && stream.isTTY;
+  let total = 0;
+
+  const draw = (line) => {
+    if (active) {
+      stream.write(`\r\x1b[K${line.slice(0, (stream.columns || 80) - 1)}`);
+    }
+  };
+
+  return {
+    onProgress: (progress) => {
+      if (progress.channelInfo) {
+        total = parseInt(progress.channelInfo.videoCount) || 0;
+      }
+
+      const quota = progress.quota
+        ? ` · ${progress.quota.job} quota units`
+        : "";
+
+      if (progress.stage !== "videos_progress" || !total) {
+        draw(`${progress.message}${quota}`);
+        return;
+      }
+
+      const width = 30;
+      const ratio = Math.min(progress.totalFetched / total, 1);
+      const filled = Math.round(ratio * width);
+      draw(
+        `[${"#".repeat(filled)}${"-".repeat(width - filled)}] ${progress.totalFetched}/${total} videos · page ${progress.page}${quota}`
+      );
+    },
+    clear: () => draw(""),
+  };
+}
+
+/**
+ * Fetch a channel through the library, the same way the SSE stream does
+ * @param {string} channelInput - Channel URL, handle, username or ID
+ * @param {Object} options - Command options
+ * @param {Function} onVideo - Receives each video in the requested date range
+ * @param {AbortSignal} signal - Cancels the fetch
+ * @returns {Promise<Object>} The stream's `complete` event
+ */
+function fetchChannel(channelInput, options, onVideo, signal) {
+  const since = parseDate(options.since, "since");
+  const until = parseDate(options.until, "until");
+  const progress = createProgressBar(!options.quiet);
+
+  const inRange = (video) => {
+    const publishedAt = new Date(video.publishedAt);
+    return (!since || publishedAt >= since) && (!until || publishedAt < until);
+  };
+
+  return new Promise((resolve, reject) => {
+    streamYoutubeVideos(
+      channelInput,
+      progress.onProgress,
+      (video) => {
+        if (inRange(video)) {
+          onVideo(video);
+        }
+      },
+      (result) => {
+        progress.clear();
+        resolve(result);
+      },
+      (error) => {
+        progress.clear();
+        reject(error);
+      },
+      { refresh: options.refresh, signal }
+    );
+  });
+}
+
+/**
+ * Export a channel's videos to a file or stdout, writing rows as they arrive.
+ * A file that fails half way is removed so scripts never pick up a partial export.
+ * @param {string} channelInput - Channel URL, handle, username or ID
+ * @param {Object} options - Command options
+ * @param {string|Function|null} out - Output path, a function of the channel ID returning one, or null for stdout
+ * @param {AbortSignal} signal - Cancels the fetch
+ * @returns {Promise<{channelInfo: Object, count: number, file: string|null}>} What was written
+ */
+async function exportChannel(channelInput, options, out, signal) {
+  const { format, fields } = parseExportOptions(options);
+  let channelId = null;
+  let file = null;
+  let output = null;
+  let writer = null;
+  let count = 0;
+
+  // Open the output with the first row, once the channel ID is known
+  const getWriter = () => {
+    if (!writer) {
+      file = typeof out === "function" ? out(channelId) : out;
+      output = file ? fs.createWriteStream(file) : process.stdout;
+      writer = createExportWriter(output, format, fields);
+    }
+    return writer;
+  };
+
+  try {
+    const result = await fetchChannel(
+      channelInput,
+      options,
+      (video) => {
+        channelId = video.channelId;
+        count++;
+        getWriter().write(video);
+      },
+      signal
+    );
+
+    channelId = result.channelInfo ? result.channelInfo.id : channelId;
+    await getWriter().end();
+    return { channelInfo: result.channelInfo, count, file };
+  } catch (error) {
+    if (file) {
+      output.destroy();
+      fs.rmSync(file, { force: true });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read channel inputs from a batch file: one per line, blank lines and # comments ignored
+ * @param {string} file - Path to the batch file
+ * @returns {string[]} Channel inputs
+ */
+function readBatchFile(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+/**
+ * Print an error, with candidates for ambiguous channel names
+ * @param {Error} error - Error to report
+ * @param {string} [prefix] - Context, e.g. the channel input
+ */
+function reportError(error, prefix = "") {
+  const { code } = describeError(error);
+  process.stderr.write(`❌ ${prefix}${error.message} (${code})\n`);
+
+  (error.candidates || []).forEach((candidate) => {
+    process.stderr.write(`   ${candidate.id}  ${candidate.title}\n`);
+  });
+}
+
+/**
+ * Keep the library's console output off stdout, where command results go
+ * @param {boolean} verbose - Show library logs on stderr instead of hiding them
+ */
+function routeLibraryLogs(verbose) {
+  const toStderr = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = toStderr;
+  console.info = toStderr;
+  if (!verbose) {
+    console.warn = () => {};
+    console.error = () => {};
+  }
+}
+
+const program = new Command();
+const controller = new AbortController();
+
+program.exitOverride((error) => {
+  // Help and version exit with 0; everything else commander rejects is a usage error
+  process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage);
+});
+
+const formatOption = () =>
+  new Option("-f, --format <format>", "output format")
+    .choices(Object.keys(EXPORT_FORMATS))
+    .default("csv");
+
+program
+  .name("yt-fetch")
+  .description("Fetch YouTube channel information and videos")
+  .version(version)
+  .addOption(
+    new Option("--refresh <mode>", "how to use the local cache")
+      .choices(REFRESH_MODES)
+      .default("incremental")
+  )
+  .option("--quiet", "hide the progress bar")
+  .option("--verbose", "print the library's log output to stderr")
+  .hook("preAction", (command) => {
+    routeLibraryLogs(command.opts().verbose);
+
+    if (loadKeyPoolConfig().keys.length === 0) {
+      throw new UsageError(
+        "No API key is set: set YOUTUBE_API_KEY, YOUTUBE_API_KEYS or YOUTUBE_API_KEYS_FILE (see .env.example)"
+      );
+    }
+  });
+
+program
+  .command("resolve <input>")
+  .description(
+    "resolve a channel URL, @handle, username or name to a channel ID"
+  )
+  .option("--json", "print the full resolution as JSON")
+  .action(async (input, options) => {
+    const resolution = await resolveChannelInput(input);
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(resolution, null, 2)}\n`);
+    }
+
+    if (!resolution.channelId) {
+      throw resolution.candidates.length > 0
+        ? new AmbiguousChannelError(input, resolution.candidates)
+        : new ChannelNotFoundError(input);
+    }
+
+    if (!options.json) {
+      process.stdout.write(`${resolution.channelId}\n`);
+    }
+  });
+
+program
+  .command("info <input>")
+  .description("print channel information as JSON")
+  .action(async (input) => {
+    const channelInfo = await fetchChannelInfo(input, {
+      refresh: program.opts().refresh,
+    });
+    process.stdout.write(`${JSON.stringify(channelInfo, null, 2)}\n`);
+  });
+
+program
+  .command("videos <input>")
+  .description("list a channel's videos")
+  .option("--since <date>", "only videos published on or after this date")
+  .option("--until <date>", "only videos published before this date")
+  .option("--json", "print the videos as a JSON array")
+  .action(async (input, options, command) => {
+    const videos = [];
+    await fetchChannel(
+      input,
+      command.optsWithGlobals(),
+      (video) => videos.push(video),
+      controller.signal
+    );
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(videos, null, 2)}\n`);
+      return;
+    }
+
+    videos.forEach((video) => {
+      const views =
+        video.viewCount === null ? "-" : video.viewCount.toLocaleString();
+      process.stdout.write(
+        `${video.publishedAt.slice(0, 10)}  ${video.id}  ${views.padStart(13)} views  ${video.title}\n`
+      );
+    });
+  });
+
+program
+  .command("export <input>")
+  .alias("channel")
+  .description("export a channel's videos to a file (or stdout)")
+  .addOption(formatOption())
+  .option("--fields <list>", "comma-separated columns to include")
+  .option("--since <date>", "only videos published on or after this date")
+  .option("--until <date>", "only videos published before this date")
+  .option("-o, --out <file>", "output file (default stdout)")
+  .action(async (input, options, command) => {
+    const { channelInfo, count, file } = await exportChannel(
+      input,
+      command.optsWithGlobals(),
+      options.out || null,
+      controller.signal
+    );
+
+    if (file) {
+      process.stderr.write(
+        `✅ Exported ${count} videos from ${channelInfo.title} to ${file}\n`
+      );
+    }
+  });
+
+program
+  .command("batch <file>")
+  .description("export every channel listed in a file, one per line")
+  .addOption(formatOption())
+  .option("--fields <list>", "comma-separated columns to include")
+  .option("--since <date>", "only videos published on or after this date")
+  .option("--until <date>", "only videos published before this date")
+  .option("-d, --out-dir <dir>", "directory for the exported files", "output")
+  .action(async (file, options, command) => {
+    const inputs = readBatchFile(file);
+    const { extension } = EXPORT_FORMATS[options.format];
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    let firstError = null;
+
+    for (const input of inputs) {
+      try {
+        const result = await exportChannel(
+          input,
+          command.optsWithGlobals(),
+          (channelId) =>
+            path.join(options.outDir, `${channelId || "videos"}.${extension}`),
+          controller.signal
+        );
+        process.stderr.write(
+          `✅ ${input}: ${result.count} videos${result.file ? ` → ${result.file}` : ""}\n`
+        );
+      } catch (error) {
+        reportError(error, `${input}: `);
+        firstError = firstError || error;
+
+        // Every remaining channel would hit the same wall
+        const exitCode = exitCodeFor(error);
+        if (
+          exitCode === EXIT_CODES.quotaExceeded ||
+          exitCode === EXIT_CODES.cancelled
+        ) {
+          break;
+        }
+      }
+    }
+
+    if (firstError) {
+      firstError.reported = true;
+      throw firstError;
+    }
+  });
+
+// The first Ctrl+C cancels the fetch (leaving a resumable job), the second exits at once
+process.on("SIGINT", () => {
+  if (controller.signal.aborted) {
+    process.exit(EXIT_CODES.cancelled);
+  }
+  controller.abort();
+});
+
+program.parseAsync(process.argv).then(
+  () => process.exit(EXIT_CODES.success),
+  (error) => {
+    if (error instanceof UsageError) {
+      process.stderr.write(`❌ ${error.message}\n`);
+      process.exit(EXIT_CODES.usage);
+    }
+
+    if (!error.reported) {
+      reportError(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+);
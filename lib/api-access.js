@@ -0,0 +1,233 @@
+const net = require("net");
+const Router = require("express");
+const { TokenStore } = require("./token-store");
+const { RateLimiter } = require("./rate-limiter");
+const { parseCookies } = require("./oauth");
+const { ApiTokenError, describeError } = require("./errors");
+
+/**
+ * Cookie the web interface keeps its API token in; EventSource can't send headers
+ * @type {string}
+ */
+const TOKEN_COOKIE = "yt_api_token";
+
+/**
+ * Addresses an open API may listen on
+ * @type {net.BlockList}
+ */
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet("127.0.0.0", 8, "ipv4");
+LOOPBACK_ADDRESSES.addAddress("::1", "ipv6");
+
+/**
+ * Issued API tokens, shared by the access middleware and the admin routes
+ * @type {TokenStore}
+ */
+const tokens = new TokenStore();
+
+/**
+ * Request and stream counts of every client, by token or address
+ * @type {RateLimiter}
+ */
+const limiter = new RateLimiter();
+
+/**
+ * Values API_AUTH takes: tokens required, or anonymous clients allowed
+ * @type {string[]}
+ */
+const API_AUTH_MODES = ["required", "off"];
+
+/**
+ * Read the access settings from the environment
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{auth: string|null, required: boolean, requestsPerMinute: number, concurrentStreams: number, origins: string[]}}
+ *   API_AUTH as set (null when unset), whether it demands a token, the default limits and the CORS allow-list
+ * @throws {Error} When API_AUTH isn't one of API_AUTH_MODES
+ */
+function loadAccessConfig(env = process.env) {
+  const auth = env.API_AUTH || null;
+
+  if (auth !== null && !API_AUTH_MODES.includes(auth)) {
+    throw new Error(
+      `Invalid API_AUTH: ${auth}. Expected one of: ${API_AUTH_MODES.join(", ")}`
+    );
+  }
+
+  return {
+    auth,
+    required: auth === "required",
+    requestsPerMinute: parseInt(env.API_RATE_LIMIT) || 60,
+    concurrentStreams: parseInt(env.API_STREAM_LIMIT) || 2,
+    origins: String(env.CORS_ORIGINS || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Check that the server may listen on a host. Without API_AUTH the API is
+ * open to anyone, which is only allowed on a loopback address; other hosts
+ * need API_AUTH set, to `off` if anonymous clients are really wanted.
+ * @param {string} host - Host the server listens on
+ * @param {Object} [config] - Access settings, as returned by loadAccessConfig
+ * @throws {Error} When an open API would listen on a non-loopback host
+ */
+function assertSafeBind(host, config = loadAccessConfig()) {
+  const loopback =
+    host === "localhost" ||
+    (net.isIP(host) !== 0 &&
+      LOOPBACK_ADDRESSES.check(host, net.isIPv6(host) ? "ipv6" : "ipv4"));
+
+  if (config.auth === null && !loopback) {
+    throw new Error(
+      `Refusing to listen on ${host} with the API open to anyone: set API_AUTH=required, or API_AUTH=off to allow clients without a token`
+    );
+  }
+}
+
+/**
+ * Tell whether a request opens a stream, which holds a stream slot
+ * @param {Object} req - Express request
+ * @returns {boolean} True for GET requests on a `/stream` route
+ */
+function isStreamRequest(req) {
+  return req.method === "GET" && /\/stream$/.test(req.path);
+}
+
+/**
+ * Get the API token a request presents: `Authorization: Bearer <token>`, the
+ * TOKEN_COOKIE cookie or, on streams only, the `token` query parameter.
+ * EventSource can't send headers, but tokens in URLs end up in logs and
+ * browser history, so no other route reads them from there.
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, or null when there is none
+ */
+function requestToken(req) {
+  const [, bearer] = /^Bearer (.+)$/.exec(req.get("Authorization") || "") || [];
+  const query =
+    isStreamRequest(req) && typeof req.query.token === "string"
+      ? req.query.token
+      : null;
+  return bearer || parseCookies(req)[TOKEN_COOKIE] || query || null;
+}
+
+/**
+ * Create the middleware guarding the API routes. In order it answers CORS
+ * preflights and sets CORS headers for allowed origins, identifies the client
+ * by its token (requiring one when configured to), and applies the client's
+ * request and stream limits. Rejections are 401 and 429 JSON.
+ * @param {Object} [config] - Access settings, as returned by loadAccessConfig
+ * @returns {Router} Middleware to mount in front of the API routers
+ */
+function createApiAccess(config = loadAccessConfig()) {
+  const router = Router();
+
+  router.use((req, res, next) => {
+    const origin = req.get("Origin");
+    const listed = Boolean(origin) && config.origins.includes(origin);
+    const allowed = listed || (origin && config.origins.includes("*"));
+
+    if (allowed) {
+      res.set({
+        "Access-Control-Allow-Headers":
+          "Authorization, Cache-Control, Content-Type, X-YouTube-Api-Key",
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+      });
+    }
+
+    // Only listed origins may send the user's cookies; `*` lets any page call
+    // the API with a bearer token of its own
+    if (listed) {
+      res.set({
+        "Access-Control-Allow-Origin": origin,
+        "Access-Control-Allow-Credentials": "true",
+        Vary: "Origin",
+      });
+    } else if (allowed) {
+      res.set("Access-Control-Allow-Origin", "*");
+    }
+
+    // Preflights carry no credentials, so they're answered before the token check
+    if (req.method === "OPTIONS") {
+      res.status(allowed ? 204 : 403).end();
+      return;
+    }
+
+    next();
+  });
+
+  router.use((req, res, next) => {
+    try {
+      const secret = requestToken(req);
+      const token = secret ? tokens.verify(secret) : null;
+
+      if (secret && !token) {
+        throw new ApiTokenError(
+          "API token is unknown or revoked",
+          "tokenInvalid"
+        );
+      }
+      if (!token && config.required) {
+        throw new ApiTokenError();
+      }
+
+      req.client = token
+        ? {
+            id: `token:${token.id}`,
+            token,
+            requestsPerMinute:
+              token.requestsPerMinute || config.requestsPerMinute,
+            concurrentStreams:
+              token.concurrentStreams || config.concurrentStreams,
+          }
+        : {
+            id: `ip:${req.ip}`,
+            token: null,
+            requestsPerMinute: config.requestsPerMinute,
+            concurrentStreams: config.concurrentStreams,
+          };
+
+      const { limit, remaining } = limiter.hit(
+        req.client.id,
+        req.client.requestsPerMinute
+      );
+      res.set({
+        "X-RateLimit-Limit": String(limit),
+        "X-RateLimit-Remaining": String(remaining),
+      });
+
+      // A stream holds its slot until the connection closes, however it ends
+      if (isStreamRequest(req)) {
+        const release = limiter.openStream(
+          req.client.id,
+          req.client.concurrentStreams
+        );
+        res.on("close", release);
+      }
+
+      next();
+    } catch (error) {
+      const { status, code } = describeError(error);
+      if (error.retryAfter) {
+        res.set("Retry-After", String(error.retryAfter));
+      }
+      res
+        .status(status)
+        .json({ error: error.message, code, retryAfter: error.retryAfter });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  TOKEN_COOKIE,
+  API_AUTH_MODES,
+  tokens,
+  limiter,
+  loadAccessConfig,
+  assertSafeBind,
+  requestToken,
+  createApiAccess,
+};
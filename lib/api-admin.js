@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const Router = require("express");
+const { getApiKeyUsage, resetApiKey } = require("./youtube-videos");
+const { tokens } = require("./api-access");
+const { describeError } = require("./errors");
+
+const router = Router();
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`, and are off without ADMIN_TOKEN
+router.use((req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+
+  if (!token) {
+    res.status(503).json({
+      error: "Admin routes are disabled: set ADMIN_TOKEN to use them",
+      code: "adminDisabled",
+    });
+    return;
+  }
+
+  if (!matchesToken(req.get("Authorization") || "", `Bearer ${token}`)) {
+    res
+      .status(401)
+      .json({ error: "Admin token required", code: "unauthorized" });
+    return;
+  }
+
+  next();
+});
+
+router.get("/keys", (req, res) => {
+  res.json(getApiKeyUsage());
+});
+
+// Put a key that ran out of quota or was rejected back into rotation
+router.post("/keys/:id/reset", (req, res) => {
+  try {
+    res.json(resetApiKey(req.params.id));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+router.get("/tokens", (req, res) => {
+  res.json({ tokens: tokens.list() });
+});
+
+// Issue a token; the response is the only time the token itself is shown
+router.post("/tokens", (req, res) => {
+  const {
+    label,
+    requestsPerMinute = null,
+    concurrentStreams = null,
+  } = req.body || {};
+
+  if (typeof label !== "string" || !label.trim()) {
+    res.status(400).json({ error: "label is required" });
+    return;
+  }
+
+  for (const [name, value] of Object.entries({
+    requestsPerMinute,
+    concurrentStreams,
+  })) {
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      res
+        .status(400)
+        .json({ error: `${name} must be a positive whole number` });
+      return;
+    }
+  }
+
+  const token = tokens.create({
+    label: label.trim(),
+    requestsPerMinute,
+    concurrentStreams,
+  });
+  console.log(`🔑 Issued API token ${token.hint} (${token.label})`);
+  res.status(201).json(token);
+});
+
+router.delete("/tokens/:id", (req, res) => {
+  try {
+    res.json(tokens.revoke(req.params.id));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+/**
+ * Compare a presented credential with the expected one in constant time.
+ * Both are hashed first, since timingSafeEqual needs equal lengths.
+ * @param {string} presented - Value sent by the client
+ * @param {string} expected - Value it must equal
+ * @returns {boolean} True when they are equal
+ */
+function matchesToken(presented, expected) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+module.exports = router;
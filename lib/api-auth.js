@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const Router = require("express");
+const { fetchMyChannel } = require("./youtube-videos");
+const { describeError } = require("./errors");
+const {
+  OAUTH_SCOPES,
+  SESSION_COOKIE,
+  STATE_COOKIE,
+  sessions,
+  isOAuthConfigured,
+  redirectUri,
+  createOAuthClient,
+  parseCookies,
+  requestSession,
+} = require("./oauth");
+
+const router = Router();
+
+// Sign-in cookies are out of reach of page scripts and other sites' requests
+const COOKIE_OPTIONS = { httpOnly: true, sameSite: "lax" };
+
+// Send the user to Google's consent screen
+router.get("/login", (req, res) => {
+  try {
+    const client = createOAuthClient(redirectUri(req));
+    const state = crypto.randomBytes(16).toString("hex");
+
+    res.cookie(STATE_COOKIE, state, {
+      ...COOKIE_OPTIONS,
+      path: "/auth",
+      maxAge: 10 * 60 * 1000,
+    });
+    // Offline access hands out a refresh token, so the session outlives the hour-long access token
+    res.redirect(
+      client.generateAuthUrl({
+        access_type: "offline",
+        prompt: "consent",
+        scope: OAUTH_SCOPES,
+        state,
+      })
+    );
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+// Google sends the user back here with a code to exchange for tokens
+router.get("/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+  const expected = parseCookies(req)[STATE_COOKIE];
+
+  res.clearCookie(STATE_COOKIE, { path: "/auth" });
+
+  if (error) {
+    res
+      .status(403)
+      .json({ error: `Sign-in failed: ${error}`, code: "signInDenied" });
+    return;
+  }
+
+  if (!code || !state || state !== expected) {
+    res.status(400).json({
+      error: "Sign-in expired or didn't start here; sign in again",
+      code: "invalidState",
+    });
+    return;
+  }
+
+  try {
+    const client = createOAuthClient(redirectUri(req));
+    const { tokens } = await client.getToken(code);
+    client.setCredentials(tokens);
+
+    const channel = await fetchMyChannel(client);
+    const session = sessions.create({
+      tokens,
+      channel: {
+        id: channel.id,
+        title: channel.title,
+        thumbnail: channel.thumbnail,
+      },
+    });
+    console.log(`🔐 Signed in as ${channel.title}`);
+
+    res.cookie(SESSION_COOKIE, session.id, {
+      ...COOKIE_OPTIONS,
+      path: "/",
+      maxAge: sessions.ttl,
+    });
+    res.redirect("/");
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+// Who the browser is signed in as, for the web UI
+router.get("/me", (req, res) => {
+  const session = requestSession(req);
+
+  res.json({
+    configured: isOAuthConfigured(),
+    signedIn: Boolean(session),
+    channel: session ? session.channel : null,
+  });
+});
+
+router.post("/logout", (req, res) => {
+  const session = requestSession(req);
+
+  if (session) {
+    sessions.delete(session.id);
+  }
+
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ signedIn: false });
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const Router = require("express");
+const {
+  fetchYoutubeVideosBatch,
+  streamYoutubeVideosBatch,
+  REFRESH_MODES,
+  BATCH_CONCURRENCY,
+} = require("./youtube-videos");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+const { assertValidVideo } = require("./video-model");
+
+const router = Router();
+
+/**
+ * Largest number of channels one batch may contain
+ * @type {number}
+ */
+const MAX_BATCH_CHANNELS = 50;
+
+/**
+ * Largest number of channels fetched at the same time
+ * @type {number}
+ */
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Read and validate batch parameters from a request body or query
+ * @param {Object} params - `channels` (array, or a single string), `refresh` and `concurrency`
+ * @returns {{channels: string[], refresh: string, concurrency: number}|{error: string}} Batch options, or the reason they are invalid
+ */
+function parseBatchOptions(params) {
+  const channels = []
+    .concat(params.channels || [])
+    .filter((channel) => typeof channel === "string" && channel.trim());
+  const refresh = params.refresh || "incremental";
+  const concurrency = Number(params.concurrency || BATCH_CONCURRENCY);
+
+  if (channels.length === 0) {
+    return { error: "channels must list at least one channel" };
+  }
+
+  if (channels.length > MAX_BATCH_CHANNELS) {
+    return { error: `A batch can hold at most ${MAX_BATCH_CHANNELS} channels` };
+  }
+
+  if (!REFRESH_MODES.includes(refresh)) {
+    return { error: `refresh must be one of: ${REFRESH_MODES.join(", ")}` };
+  }
+
+  if (
+    !Number.isInteger(concurrency) ||
+    concurrency < 1 ||
+    concurrency > MAX_CONCURRENCY
+  ) {
+    return {
+      error: `concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`,
+    };
+  }
+
+  return { channels, refresh, concurrency };
+}
+
+router.post("/", async (req, res) => {
+  const options = parseBatchOptions(req.body || {});
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  // Stop fetching for a client that has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const results = await fetchYoutubeVideosBatch(options.channels, {
+      refresh: options.refresh,
+      concurrency: options.concurrency,
+      signal: controller.signal,
+      apiKey: requestApiKey(req),
+    });
+    results.forEach((result) => result.videos.forEach(assertValidVideo));
+
+    const succeeded = results.filter((result) => !result.error).length;
+    res.json({
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+// EventSource can only GET, so channels come as repeated `channel` parameters
+router.get("/stream", (req, res) => {
+  const options = parseBatchOptions({
+    ...req.query,
+    channels: req.query.channel,
+  });
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  send({
+    type: "connected",
+    message: "Batch stream started",
+    channels: options.channels,
+  });
+
+  const controller = new AbortController();
+  const videoCounts = options.channels.map(() => 0);
+
+  streamYoutubeVideosBatch(
+    options.channels,
+    {
+      onProgress: (progress, tag) => {
+        send({ type: "progress", ...tag, ...progress });
+      },
+      onVideo: (video, tag) => {
+        try {
+          assertValidVideo(video);
+        } catch (error) {
+          // One bad video shouldn't end every other channel's stream
+          console.error(error.message);
+          return;
+        }
+
+        videoCounts[tag.index]++;
+        send({ type: "video", ...tag, video, count: videoCounts[tag.index] });
+      },
+      onChannelComplete: (result, tag) => {
+        send({
+          type: "channel_complete",
+          ...tag,
+          ...result,
+          totalVideos: videoCounts[tag.index],
+        });
+      },
+      onChannelError: (error, tag) => {
+        send({
+          type: "channel_error",
+          ...tag,
+          message: error.message,
+          code: describeError(error).code,
+          jobId: error.jobId,
+          candidates: error.candidates,
+          pagesFetched: error.pagesFetched,
+          totalVideos: videoCounts[tag.index],
+        });
+      },
+      onComplete: (summary) => {
+        send({ type: "complete", ...summary });
+        res.end();
+      },
+    },
+    {
+      refresh: options.refresh,
+      concurrency: options.concurrency,
+      signal: controller.signal,
+      apiKey: requestApiKey(req),
+    }
+  );
+
+  res.on("close", () => {
+    if (res.writableEnded) {
+      return;
+    }
+
+    console.log("Client disconnected from batch stream, stopping fetch");
+    controller.abort();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const Router = require("express");
+const {
+  resolveChannelInput,
+  getChannelHistory,
+  getChannelAnalytics,
+  fetchChannelPlaylists,
+  REFRESH_MODES,
+} = require("./youtube-videos");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+
+const router = Router();
+
+router.get("/resolve", async (req, res) => {
+  const query = req.query.q;
+
+  // Repeated parameters arrive as arrays
+  if (typeof query !== "string" || !query.trim()) {
+    res.status(400).json({ error: "q parameter is required" });
+    return;
+  }
+
+  try {
+    res.json(await resolveChannelInput(query, { apiKey: requestApiKey(req) }));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+// `videos=true` adds every video's series, so a page can draw them all at once
+router.get("/:id/history", (req, res) => {
+  try {
+    res.json(
+      getChannelHistory(req.params.id, {
+        includeVideos: req.query.videos === "true",
+      })
+    );
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+router.get("/:id/analytics", async (req, res) => {
+  const refresh = req.query.refresh || "none";
+
+  if (!REFRESH_MODES.includes(refresh)) {
+    res.status(400).json({
+      error: `refresh must be one of: ${REFRESH_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  // Stop fetching for a client that has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    res.json(
+      await getChannelAnalytics(req.params.id, {
+        refresh,
+        signal: controller.signal,
+        apiKey: requestApiKey(req),
+      })
+    );
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+router.get("/:id/playlists", async (req, res) => {
+  // Stop fetching for a client that has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    res.json(
+      await fetchChannelPlaylists(req.params.id, {
+        signal: controller.signal,
+        apiKey: requestApiKey(req),
+      })
+    );
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({
+      error: error.message,
+      code,
+      candidates: error.candidates,
+    });
+  }
+});
+
+module.exports = router;
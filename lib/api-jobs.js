@@ -0,0 +1,71 @@
+const Router = require("express");
+const {
+  startFetchJob,
+  resumeFetchJob,
+  getFetchJob,
+  deleteFetchJob,
+  REFRESH_MODES,
+} = require("./youtube-videos");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+
+const router = Router();
+
+/**
+ * Answer with the error's status and machine-readable code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised by a job function
+ */
+function sendError(res, error) {
+  const { status, code } = describeError(error);
+  res.status(status).json({ error: error.message, code });
+}
+
+router.post("/", (req, res) => {
+  const { channel, refresh = "incremental" } = req.body || {};
+
+  if (!channel) {
+    res.status(400).json({ error: "Channel parameter is required" });
+    return;
+  }
+
+  if (!REFRESH_MODES.includes(refresh)) {
+    res.status(400).json({
+      error: `refresh must be one of: ${REFRESH_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  res
+    .status(202)
+    .json(startFetchJob(channel, { refresh, apiKey: requestApiKey(req) }));
+});
+
+router.get("/:id", (req, res) => {
+  try {
+    res.json(
+      getFetchJob(req.params.id, { includeVideos: req.query.videos === "true" })
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post("/:id/resume", (req, res) => {
+  try {
+    res.status(202).json(resumeFetchJob(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    await deleteFetchJob(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
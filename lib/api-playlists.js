@@ -0,0 +1,104 @@
+const Router = require("express");
+const { fetchPlaylistVideos } = require("./youtube-videos");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+const { assertValidVideo } = require("./video-model");
+
+const router = Router();
+
+router.get("/:id/videos", async (req, res) => {
+  // Stop fetching for a client that has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const { playlist, videos } = await fetchPlaylistVideos(req.params.id, {
+      signal: controller.signal,
+      apiKey: requestApiKey(req),
+    });
+    videos.forEach(assertValidVideo);
+    res.json({ playlist, videos });
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({
+      error: error.message,
+      code,
+      videos: error.partialVideos || [],
+    });
+  }
+});
+
+router.get("/:id/videos/stream", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  send({ type: "connected", message: "Playlist stream started" });
+
+  const controller = new AbortController();
+  let videoCount = 0;
+  let playlist = null;
+  let quota = null;
+
+  fetchPlaylistVideos(req.params.id, {
+    signal: controller.signal,
+    apiKey: requestApiKey(req),
+    onProgress: (progress) => {
+      playlist = progress.playlist || playlist;
+      quota = progress.quota;
+      send({ type: "progress", ...progress });
+    },
+    onVideos: (videos) => {
+      videos.forEach((video) => {
+        // Same schema check as the channel stream; a bad video ends the fetch
+        assertValidVideo(video);
+        videoCount++;
+        send({ type: "video", video, count: videoCount });
+      });
+    },
+  })
+    .then(() => {
+      send({
+        type: "complete",
+        message: "All videos fetched successfully",
+        playlist,
+        quota,
+        totalVideos: videoCount,
+      });
+      res.end();
+    })
+    .catch((error) => {
+      // Videos already streamed are the partial result
+      send({
+        type: "error",
+        message: error.message,
+        code: describeError(error).code,
+        pagesFetched: error.pagesFetched,
+        totalVideos: videoCount,
+      });
+      res.end();
+    });
+
+  res.on("close", () => {
+    if (res.writableEnded) {
+      return;
+    }
+
+    console.log("Client disconnected from playlist stream, stopping fetch");
+    controller.abort();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const Router = require("express");
+const { getQuotaUsage } = require("./youtube-videos");
+
+const router = Router();
+
+router.get("/", (req, res) => {
+  res.json(getQuotaUsage());
+});
+
+module.exports = router;
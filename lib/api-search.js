@@ -0,0 +1,56 @@
+const Router = require("express");
+const { searchTranscripts } = require("./youtube-videos");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+const { requestSession, sessionClient } = require("./oauth");
+
+const router = Router();
+
+router.get("/", async (req, res) => {
+  const { channel, q, language } = req.query;
+
+  // Repeated parameters arrive as arrays
+  if (
+    typeof channel !== "string" ||
+    !channel ||
+    typeof q !== "string" ||
+    !q.trim()
+  ) {
+    res.status(400).json({ error: "channel and q parameters are required" });
+    return;
+  }
+
+  if (language !== undefined && typeof language !== "string") {
+    res.status(400).json({ error: "language must be a single value" });
+    return;
+  }
+
+  try {
+    // Stop downloading transcripts for a client that has gone away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    // Downloading captions takes the channel owner's sign-in
+    const fetchMissing = req.query.fetch === "true";
+    const session = fetchMissing ? requestSession(req) : null;
+
+    res.json(
+      await searchTranscripts(channel, q, {
+        fetchMissing,
+        language: language || null,
+        signal: controller.signal,
+        apiKey: requestApiKey(req),
+        auth: session ? sessionClient(session) : null,
+      })
+    );
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
+module.exports = router;
@@ -1,83 +1,696 @@
 const Router = require("express");
-const { fetchYoutubeVideos, streamYoutubeVideos } = require("./youtube-videos");
+const { json } = require("express");
+const {
+  fetchYoutubeVideos,
+  streamYoutubeVideos,
+  getFetchJob,
+  attachToFetchJob,
+  getVideoHistory,
+  fetchVideoComments,
+  narrowCachedVideos,
+  REFRESH_MODES,
+  FETCH_DEFAULTS,
+} = require("./youtube-videos");
+const { COMMENT_ORDERS, VIDEO_ORDERS } = require("./fetcher");
+const { COMMENT_FIELDS } = require("./comment-model");
+const { describeError } = require("./errors");
+const { requestApiKey } = require("./key-pool");
+const { requestChannel } = require("./oauth");
+const { videoSchema, assertValidVideo } = require("./video-model");
+const {
+  parseVideoQuery,
+  queryVideos,
+  parseKindFilter,
+  matchesKind,
+} = require("./video-query");
+const {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  parseFields,
+  createExportWriter,
+  exportVideos,
+} = require("./video-export");
 
 const router = Router();
 
+/**
+ * Formats comments can be exported in; the spreadsheet formats are video-only
+ * @type {string[]}
+ */
+const COMMENT_EXPORT_FORMATS = ["json", "ndjson", "csv"];
+
+/**
+ * Largest body POST /export takes; it carries a whole video list
+ * @type {string}
+ */
+const EXPORT_BODY_LIMIT = "50mb";
+
+/**
+ * A date, optionally with a time and offset
+ * @type {RegExp}
+ */
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Read and validate the `refresh` query parameter
+ * @param {Object} query - Request query
+ * @param {string} [fallback="incremental"] - Mode when none is given
+ * @returns {string|null} Refresh mode, or null when the value is not allowed
+ */
+function parseRefresh(query, fallback = "incremental") {
+  const refresh = query.refresh || fallback;
+  return REFRESH_MODES.includes(refresh) ? refresh : null;
+}
+
+/**
+ * Read and validate the fetch options shared by the video routes
+ * @param {Object} query - Request query: `publishedAfter`, `publishedBefore`,
+ *   `order`, `maxVideos` and `details`
+ * @returns {Object|{error: string}} Options for fetchYoutubeVideos, or the reason they are invalid
+ */
+function parseFetchOptions(query) {
+  const options = {
+    order: query.order || "date",
+    maxVideos: query.maxVideos === undefined ? null : Number(query.maxVideos),
+    includeDetails: query.details !== "false",
+  };
+
+  for (const name of ["publishedAfter", "publishedBefore"]) {
+    if (query[name] === undefined) {
+      options[name] = null;
+    } else if (
+      ISO_DATE.test(query[name]) &&
+      !Number.isNaN(Date.parse(query[name]))
+    ) {
+      options[name] = new Date(query[name]).toISOString();
+    } else {
+      return {
+        error: `${name} must be an ISO 8601 date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`,
+      };
+    }
+  }
+
+  if (
+    options.publishedAfter &&
+    options.publishedBefore &&
+    options.publishedAfter >= options.publishedBefore
+  ) {
+    return { error: "publishedAfter must be earlier than publishedBefore" };
+  }
+
+  if (!VIDEO_ORDERS.includes(options.order)) {
+    return { error: `order must be one of: ${VIDEO_ORDERS.join(", ")}` };
+  }
+
+  if (
+    options.maxVideos !== null &&
+    (!Number.isInteger(options.maxVideos) || options.maxVideos < 1)
+  ) {
+    return { error: "maxVideos must be a positive whole number" };
+  }
+
+  if (
+    query.details !== undefined &&
+    !["true", "false"].includes(query.details)
+  ) {
+    return { error: "details must be true or false" };
+  }
+
+  return options;
+}
+
+/**
+ * Read and validate the `format` and `fields` export parameters
+ * @param {Object} params - Request query or body
+ * @returns {{format: string, fields: string[]}|{error: string}} Export options, or the reason they are invalid
+ */
+function parseExportOptions(params) {
+  const format = params.format || "json";
+  const fields = parseFields(params.fields);
+
+  if (!EXPORT_FORMATS[format]) {
+    return {
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    };
+  }
+
+  if (!fields) {
+    return { error: `fields must be a list of: ${EXPORT_FIELDS.join(", ")}` };
+  }
+
+  return { format, fields };
+}
+
+/**
+ * Read and validate comment fetch parameters
+ * @param {Object} query - Request query: `order`, `max` and `replies`
+ * @returns {{order: string, maxComments: number|null, includeReplies: boolean}|{error: string}} Comment options, or the reason they are invalid
+ */
+function parseCommentOptions(query) {
+  const order = query.order || "time";
+  const maxComments = query.max === undefined ? null : Number(query.max);
+
+  if (!COMMENT_ORDERS.includes(order)) {
+    return { error: `order must be one of: ${COMMENT_ORDERS.join(", ")}` };
+  }
+
+  if (
+    maxComments !== null &&
+    (!Number.isInteger(maxComments) || maxComments < 1)
+  ) {
+    return { error: "max must be a positive whole number" };
+  }
+
+  return { order, maxComments, includeReplies: query.replies === "true" };
+}
+
+/**
+ * Start an export download
+ * @param {Object} res - Express response
+ * @param {string} format - Export format
+ * @param {string} filename - Download name without extension
+ */
+function writeExportHeaders(res, format, filename) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.writeHead(200, {
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}.${extension}"`,
+  });
+}
+
+router.get("/schema", (req, res) => {
+  res.json(videoSchema);
+});
+
 router.get("/", async (req, res) => {
-  const videos = await fetchYoutubeVideos(req.query.channel);
-  res.json(videos);
+  // Later pages read the cache unless asked otherwise, so paging is free
+  const refresh = parseRefresh(
+    req.query,
+    req.query.cursor ? "none" : "incremental"
+  );
+  const listing = parseVideoQuery(req.query);
+  const fetchOptions = parseFetchOptions(req.query);
+
+  if (!refresh) {
+    res.status(400).json({
+      error: `refresh must be one of: ${REFRESH_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  if (fetchOptions.error || listing.error) {
+    res.status(400).json({ error: fetchOptions.error || listing.error });
+    return;
+  }
+
+  // `mine=true` fetches the signed-in user's channel on their credentials
+  let channel;
+  let auth;
+
+  try {
+    ({ channel, auth } = requestChannel(req));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+    return;
+  }
+
+  if (!channel) {
+    res.status(400).json({ error: "Channel parameter is required" });
+    return;
+  }
+
+  // Stop fetching for a client that has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    // The date range, cap and detail level narrow the listing; narrowing the
+    // fetch by them would bypass the cache and refetch the channel for every page
+    const videos = await fetchYoutubeVideos(channel, {
+      ...FETCH_DEFAULTS,
+      order: fetchOptions.order,
+      refresh,
+      signal: controller.signal,
+      apiKey: requestApiKey(req),
+      auth,
+    });
+    const page = queryVideos(narrowCachedVideos(videos, fetchOptions), listing);
+    // Never hand clients a video that breaks the documented shape
+    page.videos.forEach(assertValidVideo);
+    res.json(page);
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({
+      error: error.message,
+      code,
+      jobId: error.jobId,
+      candidates: error.candidates,
+      videos: error.partialVideos || [],
+    });
+  }
 });
 
-router.get("/stream", (req, res) => {
-  const channelInput = req.query.channel;
+router.get("/export", (req, res) => {
+  const refresh = parseRefresh(req.query);
+  const options = parseExportOptions(req.query);
+  let channelInput;
+  let auth;
+
+  try {
+    ({ channel: channelInput, auth } = requestChannel(req));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+    return;
+  }
 
   if (!channelInput) {
     res.status(400).json({ error: "Channel parameter is required" });
     return;
   }
 
+  if (!refresh) {
+    res.status(400).json({
+      error: `refresh must be one of: ${REFRESH_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  const controller = new AbortController();
+  let channelId = null;
+  let writer = null;
+  let failed = false;
+
+  // Headers go out with the first row, so errors before that still get a JSON answer
+  const getWriter = () => {
+    if (!writer) {
+      writeExportHeaders(res, options.format, channelId || "videos");
+      writer = createExportWriter(res, options.format, options.fields);
+    }
+    return writer;
+  };
+
+  const fail = (error) => {
+    if (failed || res.writableEnded || res.destroyed) {
+      return;
+    }
+    failed = true;
+    controller.abort();
+
+    if (writer) {
+      // Rows are already out; cut the download short rather than end it cleanly
+      console.error("Export failed mid-stream:", error.message);
+      res.destroy(error);
+      return;
+    }
+
+    const { status, code } = describeError(error);
+    res.status(status).json({
+      error: error.message,
+      code,
+      jobId: error.jobId,
+      candidates: error.candidates,
+    });
+  };
+
+  streamYoutubeVideos(
+    channelInput,
+    (progress) => {
+      if (progress.channelInfo) {
+        channelId = progress.channelInfo.id;
+      }
+    },
+    (video) => {
+      if (failed) {
+        return;
+      }
+
+      try {
+        assertValidVideo(video);
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      getWriter().write(video);
+    },
+    () => {
+      if (!failed) {
+        getWriter().end().catch(fail);
+      }
+    },
+    fail,
+    { refresh, signal: controller.signal, apiKey: requestApiKey(req), auth }
+  );
+
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+});
+
+router.post("/export", json({ limit: EXPORT_BODY_LIMIT }), async (req, res) => {
+  const { videos } = req.body || {};
+  const options = parseExportOptions(req.body || {});
+
+  if (!Array.isArray(videos)) {
+    res.status(400).json({ error: "videos must be an array" });
+    return;
+  }
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  try {
+    videos.forEach(assertValidVideo);
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: error.code });
+    return;
+  }
+
+  try {
+    writeExportHeaders(res, options.format, "videos");
+    await exportVideos(videos, res, options.format, options.fields);
+  } catch (error) {
+    console.error("Export failed:", error.message);
+    res.destroy(error);
+  }
+});
+
+router.get("/stream", (req, res) => {
+  const jobId = req.query.job;
+  const refresh = parseRefresh(req.query);
+  const fetchOptions = parseFetchOptions(req.query);
+  const kindFilter = parseKindFilter(req.query);
+  let channelInput;
+  let auth;
+
+  try {
+    ({ channel: channelInput, auth } = requestChannel(req));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+    return;
+  }
+
+  if (!channelInput && !jobId) {
+    res.status(400).json({ error: "Channel or job parameter is required" });
+    return;
+  }
+
+  if (jobId) {
+    try {
+      getFetchJob(jobId);
+    } catch (error) {
+      const { status, code } = describeError(error);
+      res.status(status).json({ error: error.message, code });
+      return;
+    }
+  }
+
+  if (!refresh) {
+    res.status(400).json({
+      error: `refresh must be one of: ${REFRESH_MODES.join(", ")}`,
+    });
+    return;
+  }
+
+  if (fetchOptions.error || kindFilter.error) {
+    res.status(400).json({ error: fetchOptions.error || kindFilter.error });
+    return;
+  }
+
   // Set headers for Server-Sent Events
   res.writeHead(200, {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
     Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Cache-Control",
   });
 
+  // Events arriving after the client left (e.g. the cancellation itself) are dropped
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
   // Send initial connection event
-  res.write(
-    `data: ${JSON.stringify({
-      type: "connected",
-      message: "Stream started",
-    })}\n\n`
-  );
+  send({ type: "connected", message: "Stream started" });
 
   let videoCount = 0;
 
-  streamYoutubeVideos(
-    channelInput,
-    // onProgress
-    (progress) => {
-      res.write(
-        `data: ${JSON.stringify({ type: "progress", ...progress })}\n\n`
-      );
+  // Either follow an existing job or start a new one for the channel.
+  // Leaving an attached job only detaches; a job this stream started is cancelled.
+  const controller = new AbortController();
+  let detach = () => {};
+  const stop = () => {
+    detach();
+    controller.abort();
+  };
+
+  const handlers = {
+    onProgress: (progress) => {
+      send({ type: "progress", ...progress });
     },
-    // onVideo
-    (video) => {
+    onVideo: (video) => {
+      if (res.writableEnded) {
+        return;
+      }
+
+      try {
+        assertValidVideo(video);
+      } catch (error) {
+        handlers.onError(error);
+        stop();
+        return;
+      }
+
+      // Filtered out videos are still fetched and cached, just not sent
+      if (!matchesKind(video, kindFilter)) {
+        return;
+      }
+
       videoCount++;
-      res.write(
-        `data: ${JSON.stringify({
-          type: "video",
-          video,
-          count: videoCount,
-        })}\n\n`
-      );
+      send({ type: "video", video, count: videoCount });
     },
-    // onComplete
-    (result) => {
-      res.write(
-        `data: ${JSON.stringify({
-          type: "complete",
-          ...result,
-          totalVideos: videoCount,
-        })}\n\n`
-      );
+    onComplete: (result) => {
+      send({ type: "complete", ...result, totalVideos: videoCount });
       res.end();
     },
-    // onError
-    (error) => {
-      res.write(
-        `data: ${JSON.stringify({ type: "error", message: error.message })}\n\n`
-      );
+    onError: (error) => {
+      // Videos already streamed are the partial result; report how far the fetch got
+      send({
+        type: "error",
+        message: error.message,
+        code: describeError(error).code,
+        jobId: error.jobId,
+        candidates: error.candidates,
+        pagesFetched: error.pagesFetched,
+        totalVideos: videoCount,
+      });
       res.end();
+    },
+  };
+
+  if (jobId) {
+    detach = attachToFetchJob(jobId, handlers);
+
+    // A replayed video may already have failed validation
+    if (res.writableEnded) {
+      detach();
     }
-  );
+  } else {
+    streamYoutubeVideos(
+      channelInput,
+      handlers.onProgress,
+      handlers.onVideo,
+      handlers.onComplete,
+      handlers.onError,
+      {
+        ...fetchOptions,
+        refresh,
+        signal: controller.signal,
+        apiKey: requestApiKey(req),
+        auth,
+      }
+    );
+  }
 
   // Handle client disconnect
-  req.on("close", () => {
-    console.log("Client disconnected from stream");
+  res.on("close", () => {
+    if (res.writableEnded) {
+      return;
+    }
+
+    console.log("Client disconnected from stream, stopping fetch");
+    stop();
   });
 });
 
+router.get("/:id/comments", (req, res) => {
+  const videoId = req.params.id;
+  const options = parseCommentOptions(req.query);
+  const format = req.query.format || "json";
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  if (!COMMENT_EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({
+      error: `format must be one of: ${COMMENT_EXPORT_FORMATS.join(", ")}`,
+    });
+    return;
+  }
+
+  const controller = new AbortController();
+  let writer = null;
+
+  // Headers go out with the first page, so errors before that still get a JSON answer
+  const getWriter = () => {
+    if (!writer) {
+      writeExportHeaders(res, format, `${videoId}_comments`);
+      writer = createExportWriter(res, format, COMMENT_FIELDS);
+    }
+    return writer;
+  };
+
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  fetchVideoComments(videoId, {
+    ...options,
+    signal: controller.signal,
+    apiKey: requestApiKey(req),
+    // Plain JSON is answered in one piece below; downloads are written page by page
+    onComments:
+      format === "json"
+        ? undefined
+        : (comments) =>
+            comments.forEach((comment) => getWriter().write(comment)),
+  })
+    .then((comments) => {
+      if (format === "json") {
+        res.json({ videoId, total: comments.length, comments });
+        return;
+      }
+      return getWriter().end();
+    })
+    .catch((error) => {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+
+      if (writer) {
+        // Rows are already out; cut the download short rather than end it cleanly
+        console.error("Comment export failed mid-stream:", error.message);
+        res.destroy(error);
+        return;
+      }
+
+      const { status, code } = describeError(error);
+      res.status(status).json({
+        error: error.message,
+        code,
+        comments: error.partialComments || [],
+      });
+    });
+});
+
+router.get("/:id/comments/stream", (req, res) => {
+  const options = parseCommentOptions(req.query);
+
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  send({ type: "connected", message: "Comment stream started" });
+
+  const controller = new AbortController();
+  let commentCount = 0;
+
+  fetchVideoComments(req.params.id, {
+    ...options,
+    signal: controller.signal,
+    apiKey: requestApiKey(req),
+    onProgress: (progress) => {
+      send({
+        type: "progress",
+        message: `Fetched page ${progress.page}... (${progress.totalFetched} comments so far)`,
+        ...progress,
+      });
+    },
+    onComments: (comments) => {
+      comments.forEach((comment) => {
+        commentCount++;
+        send({ type: "comment", comment, count: commentCount });
+      });
+    },
+  })
+    .then(() => {
+      send({ type: "complete", totalComments: commentCount });
+      res.end();
+    })
+    .catch((error) => {
+      // Comments already streamed are the partial result
+      send({
+        type: "error",
+        message: error.message,
+        code: describeError(error).code,
+        pagesFetched: error.pagesFetched,
+        totalComments: commentCount,
+      });
+      res.end();
+    });
+
+  res.on("close", () => {
+    if (res.writableEnded) {
+      return;
+    }
+
+    console.log("Client disconnected from comment stream, stopping fetch");
+    controller.abort();
+  });
+});
+
+router.get("/:id/history", (req, res) => {
+  try {
+    res.json(getVideoHistory(req.params.id));
+  } catch (error) {
+    const { status, code } = describeError(error);
+    res.status(status).json({ error: error.message, code });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,73 @@
+const Router = require("express");
+const { channelWatcher } = require("./youtube-videos");
+const { describeError } = require("./errors");
+
+const router = Router();
+
+/**
+ * Answer with the error's status and machine-readable code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised by the watcher
+ */
+function sendError(res, error) {
+  const { status, code } = describeError(error);
+  res.status(status).json({ error: error.message, code });
+}
+
+router.get("/", (req, res) => {
+  res.json(channelWatcher.list());
+});
+
+router.post("/", async (req, res) => {
+  const { channel, schedule, webhooks, secret } = req.body || {};
+
+  try {
+    const watch = await channelWatcher.add({
+      channel,
+      schedule,
+      webhooks,
+      secret,
+    });
+    res.status(201).json(watch);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get("/:id", (req, res) => {
+  try {
+    res.json(channelWatcher.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Poll a watched channel right away instead of waiting for its schedule
+router.post("/:id/check", async (req, res) => {
+  try {
+    const result = await channelWatcher.check(req.params.id);
+
+    if (!result) {
+      res.status(409).json({
+        error: "A check of this watch is already running",
+        code: "checkRunning",
+      });
+      return;
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete("/:id", (req, res) => {
+  try {
+    channelWatcher.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const { SHORTS_MAX_SECONDS, isShort } = require("./video-model");
+
+/**
+ * Number of videos listed in each top list
+ * @type {number}
+ */
+const TOP_VIDEOS = 10;
+
+/**
+ * Number of tags listed
+ * @type {number}
+ */
+const TOP_TAGS = 20;
+
+/**
+ * Fewest views a video needs to rank by engagement, so a handful of views
+ * can't make a video look like the most engaging one
+ * @type {number}
+ */
+const MIN_ENGAGEMENT_VIEWS = 100;
+
+/**
+ * Buckets of the duration distribution, in seconds; `max` is exclusive
+ * @type {Array<{label: string, min: number, max: number|null}>}
+ */
+const DURATION_BUCKETS = [
+  { label: "< 1 min", min: 0, max: 60 },
+  { label: "1-3 min", min: 60, max: 180 },
+  { label: "3-10 min", min: 180, max: 600 },
+  { label: "10-20 min", min: 600, max: 1200 },
+  { label: "20-60 min", min: 1200, max: 3600 },
+  { label: "60+ min", min: 3600, max: null },
+];
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Summarize a channel's videos: upload frequency, posting times, durations,
+ * views, engagement, top videos and tags. Dates are bucketed in UTC.
+ * @param {Video[]} videos - Channel videos
+ * @returns {Object} Analytics, see the README for the shape
+ */
+function analyzeVideos(videos) {
+  return {
+    videoCount: videos.length,
+    uploads: uploadFrequency(videos),
+    heatmap: postingHeatmap(videos),
+    durations: durationDistribution(videos),
+    views: viewDistribution(videos),
+    engagement: engagementSummary(videos),
+    topVideos: topVideos(videos),
+    tags: topTags(videos),
+  };
+}
+
+/**
+ * Count uploads per week (starting Monday) and per month, including empty
+ * periods between the first and last upload
+ * @param {Video[]} videos - Channel videos
+ * @returns {{byWeek: Array, byMonth: Array, perWeek: number|null, perMonth: number|null}} Upload counts
+ */
+function uploadFrequency(videos) {
+  const dates = videos
+    .map((video) => new Date(video.publishedAt))
+    .sort((a, b) => a - b);
+
+  if (dates.length === 0) {
+    return { byWeek: [], byMonth: [], perWeek: null, perMonth: null };
+  }
+
+  const byWeek = countPeriods(dates, weekStart, (date) => {
+    date.setUTCDate(date.getUTCDate() + 7);
+  });
+  const byMonth = countPeriods(
+    dates,
+    (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    (date) => date.setUTCMonth(date.getUTCMonth() + 1)
+  ).map(({ period, count }) => ({ period: period.slice(0, 7), count }));
+
+  return {
+    byWeek,
+    byMonth,
+    perWeek: dates.length / byWeek.length,
+    perMonth: dates.length / byMonth.length,
+  };
+}
+
+/**
+ * Count uploads by day of week and hour of day
+ * @param {Video[]} videos - Channel videos
+ * @returns {{days: string[], matrix: number[][], byDay: number[], byHour: number[]}} `matrix[day][hour]`, with Sunday as day 0
+ */
+function postingHeatmap(videos) {
+  const matrix = DAY_NAMES.map(() => new Array(24).fill(0));
+
+  videos.forEach((video) => {
+    const date = new Date(video.publishedAt);
+    matrix[date.getUTCDay()][date.getUTCHours()]++;
+  });
+
+  return {
+    days: DAY_NAMES,
+    matrix,
+    byDay: matrix.map((hours) => hours.reduce((sum, count) => sum + count, 0)),
+    byHour: matrix[0].map((_, hour) =>
+      matrix.reduce((sum, hours) => sum + hours[hour], 0)
+    ),
+  };
+}
+
+/**
+ * Bucket videos by duration and split them into Shorts (by kind, or by
+ * duration for videos without one) and everything else
+ * @param {Video[]} videos - Channel videos
+ * @returns {{buckets: Array, shorts: number, longForm: number, unknown: number}} Counts; `unknown` are videos without a duration
+ */
+function durationDistribution(videos) {
+  const durations = videos
+    .map((video) => video.durationSeconds)
+    .filter((seconds) => seconds !== null);
+  const shorts = videos.filter(isShort).length;
+
+  return {
+    buckets: DURATION_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: durations.filter(
+        (seconds) =>
+          seconds >= bucket.min && (bucket.max === null || seconds < bucket.max)
+      ).length,
+    })),
+    shorts,
+    longForm: durations.length - shorts,
+    unknown: videos.length - durations.length,
+  };
+}
+
+/**
+ * Summarize view counts
+ * @param {Video[]} videos - Channel videos
+ * @returns {Object} `total`, `mean`, `median` and the 10th, 25th, 75th and 90th percentiles; null without view counts
+ */
+function viewDistribution(videos) {
+  const views = videos
+    .map((video) => video.viewCount)
+    .filter((count) => count !== null)
+    .sort((a, b) => a - b);
+
+  if (views.length === 0) {
+    return null;
+  }
+
+  const total = views.reduce((sum, count) => sum + count, 0);
+  return {
+    total,
+    mean: total / views.length,
+    median: percentile(views, 50),
+    p10: percentile(views, 10),
+    p25: percentile(views, 25),
+    p75: percentile(views, 75),
+    p90: percentile(views, 90),
+  };
+}
+
+/**
+ * Overall engagement: likes and comments per view across all videos with views
+ * @param {Video[]} videos - Channel videos
+ * @returns {{rate: number|null, likes: number, comments: number, views: number}} Totals and their ratio
+ */
+function engagementSummary(videos) {
+  const counted = videos.filter((video) => video.viewCount > 0);
+  const likes = sum(counted, "likeCount");
+  const comments = sum(counted, "commentCount");
+  const views = sum(counted, "viewCount");
+
+  return {
+    rate: views > 0 ? (likes + comments) / views : null,
+    likes,
+    comments,
+    views,
+  };
+}
+
+/**
+ * List the most viewed and the most engaging videos
+ * @param {Video[]} videos - Channel videos
+ * @returns {{byViews: Array, byEngagement: Array}} Video summaries with their engagement rate
+ */
+function topVideos(videos) {
+  const summaries = videos.map((video) => ({
+    id: video.id,
+    title: video.title,
+    publishedAt: video.publishedAt,
+    viewCount: video.viewCount,
+    likeCount: video.likeCount,
+    commentCount: video.commentCount,
+    engagementRate: engagementRate(video),
+  }));
+
+  return {
+    byViews: summaries
+      .filter((video) => video.viewCount !== null)
+      .sort((a, b) => b.viewCount - a.viewCount)
+      .slice(0, TOP_VIDEOS),
+    byEngagement: summaries
+      .filter(
+        (video) =>
+          video.engagementRate !== null &&
+          video.viewCount >= MIN_ENGAGEMENT_VIEWS
+      )
+      .sort((a, b) => b.engagementRate - a.engagementRate)
+      .slice(0, TOP_VIDEOS),
+  };
+}
+
+/**
+ * Count the most used tags, ignoring case
+ * @param {Video[]} videos - Channel videos
+ * @returns {Array<{tag: string, count: number}>} Tags, most used first
+ */
+function topTags(videos) {
+  const counts = new Map();
+
+  videos.forEach((video) => {
+    // A video repeating a tag still counts once
+    new Set(video.tags.map((tag) => tag.toLowerCase())).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, TOP_TAGS);
+}
+
+/**
+ * Likes and comments per view of one video
+ * @param {Video} video - Video with statistics
+ * @returns {number|null} Engagement rate, or null without views
+ */
+function engagementRate(video) {
+  if (!video.viewCount) {
+    return null;
+  }
+
+  return ((video.likeCount || 0) + (video.commentCount || 0)) / video.viewCount;
+}
+
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function sum(videos, field) {
+  return videos.reduce((total, video) => total + (video[field] || 0), 0);
+}
+
+function weekStart(date) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Count sorted dates per period, filling the gaps with zero
+ * @param {Date[]} dates - Dates, oldest first
+ * @param {Function} startOf - Returns the start of the period holding a date
+ * @param {Function} advance - Moves a period start to the next period in place
+ * @returns {Array<{period: string, count: number}>} Counts keyed by the period's start date
+ */
+function countPeriods(dates, startOf, advance) {
+  const counts = new Map();
+  dates.forEach((date) => {
+    const key = startOf(date).toISOString().slice(0, 10);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const periods = [];
+  const last = startOf(dates[dates.length - 1]);
+  for (let period = startOf(dates[0]); period <= last; advance(period)) {
+    const key = period.toISOString().slice(0, 10);
+    periods.push({ period: key, count: counts.get(key) || 0 });
+  }
+
+  return periods;
+}
+
+module.exports = {
+  SHORTS_MAX_SECONDS,
+  DURATION_BUCKETS,
+  analyzeVideos,
+  engagementRate,
+};
@@ -0,0 +1,247 @@
+/**
+ * Hosts whose URLs can point at a channel or a video
+ * @type {string[]}
+ */
+const YOUTUBE_HOSTS = [
+  "youtube.com",
+  "m.youtube.com",
+  "music.youtube.com",
+  "youtu.be",
+];
+
+/**
+ * First path segments of youtube.com URLs that are not legacy custom channel names
+ * @type {string[]}
+ */
+const RESERVED_PATHS = [
+  "feed",
+  "results",
+  "playlist",
+  "watch",
+  "account",
+  "premium",
+  "gaming",
+  "hashtag",
+];
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+// Regular, uploads, favorites, liked, album and mix playlists
+const PLAYLIST_ID_PATTERN = /^(PL|UU|FL|LL|OL|RD)[\w-]{10,}$/;
+const HANDLE_PATTERN = /^@[^\s/?#]{3,30}$/u;
+
+/**
+ * Turn text into a YouTube URL when it is one, with or without a scheme
+ * @param {string} text - Trimmed user input
+ * @returns {URL|null} Parsed URL, or null for anything that isn't a YouTube URL
+ */
+function toYouTubeUrl(text) {
+  const candidate = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+
+  try {
+    const url = new URL(candidate);
+    const host = url.hostname.toLowerCase().replace(/^www\./, "");
+    return YOUTUBE_HOSTS.includes(host) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out what a YouTube URL points at
+ * @param {URL} url - YouTube URL
+ * @returns {{type: string, value: string}|null} Parsed input, or null when the URL names no channel or video
+ */
+function parseYouTubeUrl(url) {
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const [first, second] = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+
+  if (host === "youtu.be") {
+    return first ? { type: "video", value: first } : null;
+  }
+
+  if (first === "playlist" && url.searchParams.get("list")) {
+    return { type: "playlist", value: url.searchParams.get("list") };
+  }
+
+  if (first === "watch" && url.searchParams.get("v")) {
+    return { type: "video", value: url.searchParams.get("v") };
+  }
+
+  if (!first) {
+    return null;
+  }
+
+  if (first.startsWith("@")) {
+    return { type: "handle", value: first };
+  }
+
+  switch (first) {
+    case "channel":
+      return second && CHANNEL_ID_PATTERN.test(second)
+        ? { type: "id", value: second }
+        : null;
+    case "user":
+      return second ? { type: "username", value: second } : null;
+    case "c":
+      return second ? { type: "custom", value: second } : null;
+    case "shorts":
+    case "live":
+    case "embed":
+    case "v":
+      return second ? { type: "video", value: second } : null;
+  }
+
+  // youtube.com/<name> is an old-style custom URL
+  return RESERVED_PATHS.includes(first)
+    ? null
+    : { type: "custom", value: first };
+}
+
+/**
+ * Classify a channel input without calling the API.
+ *
+ * Types:
+ *   - id: a `UC…` channel ID, bare or from a /channel/ URL
+ *   - handle: an `@handle`, bare or from a URL
+ *   - username: a legacy /user/ name
+ *   - custom: a /c/ vanity name or old-style youtube.com/<name> URL
+ *   - video: a video ID from a watch, youtu.be, shorts, live or embed URL
+ *   - playlist: a playlist ID from a /playlist?list= URL
+ *   - search: anything else, treated as free text
+ *
+ * @param {string} input - Channel URL, handle, username, channel ID or free text
+ * @returns {{type: string, value: string}} Parsed input
+ */
+function parseChannelInput(input) {
+  const text = String(input || "").trim();
+
+  if (CHANNEL_ID_PATTERN.test(text)) {
+    return { type: "id", value: text };
+  }
+
+  if (HANDLE_PATTERN.test(text)) {
+    return { type: "handle", value: text };
+  }
+
+  const url = toYouTubeUrl(text);
+  const parsed = url && parseYouTubeUrl(url);
+
+  return parsed || { type: "search", value: text };
+}
+
+/**
+ * Get the playlist ID out of a playlist input
+ * @param {string} input - Playlist ID, or any YouTube URL with a `list=` parameter
+ *   (playlist pages as well as videos played from a playlist)
+ * @returns {string|null} Playlist ID, or null when the input names no playlist
+ */
+function parsePlaylistInput(input) {
+  const text = String(input || "").trim();
+
+  if (PLAYLIST_ID_PATTERN.test(text)) {
+    return text;
+  }
+
+  const url = toYouTubeUrl(text);
+  return (url && url.searchParams.get("list")) || null;
+}
+
+/**
+ * Resolves channel inputs to channel IDs with the cheapest exact lookup available:
+ * `channels.list` with `forHandle` or `forUsername`, or the channel of a video or playlist.
+ * Free text only falls back to a channel search, and returns the candidates
+ * instead of guessing when more than one could match.
+ */
+class ChannelResolver {
+  /**
+   * @param {YouTubeChannelFetcher} fetcher - Fetcher used for the lookups
+   */
+  constructor(fetcher) {
+    this.fetcher = fetcher;
+  }
+
+  /**
+   * Resolve a channel input
+   * @param {string} input - Channel URL, handle, username, channel ID or free text
+   * @param {Object} [options] - Resolve options
+   * @param {number} [options.maxCandidates=5] - Candidates to return for free text
+   * @returns {Promise<{input: string, type: string, channelId: string|null, candidates: Array}>}
+   *   Resolution; `channelId` is null when nothing or more than one candidate matched
+   */
+  async resolve(input, options = {}) {
+    const { maxCandidates = 5 } = options;
+    const { type, value } = parseChannelInput(input);
+    const resolution = { input, type, channelId: null, candidates: [] };
+
+    if (!value) {
+      return resolution;
+    }
+
+    switch (type) {
+      case "id":
+        resolution.channelId = value;
+        return resolution;
+      case "handle":
+        resolution.channelId = await this.fetcher.findChannelId({
+          forHandle: value,
+        });
+        return resolution;
+      case "username":
+        resolution.channelId = await this.fetcher.findChannelId({
+          forUsername: value,
+        });
+        return resolution;
+      case "video":
+        resolution.channelId = await this.fetcher.getVideoChannelId(value);
+        return resolution;
+      case "playlist":
+        resolution.channelId = await this.fetcher.getPlaylistChannelId(value);
+        return resolution;
+    }
+
+    // Vanity names and single words are usually a handle or legacy username
+    if (!/\s/.test(value)) {
+      resolution.channelId =
+        (await this.fetcher.findChannelId({ forHandle: `@${value}` })) ||
+        (await this.fetcher.findChannelId({ forUsername: value }));
+
+      if (resolution.channelId) {
+        return resolution;
+      }
+    }
+
+    resolution.candidates = await this.fetcher.searchChannels(value, {
+      maxResults: maxCandidates,
+    });
+    resolution.channelId = pickCandidate(resolution.candidates, value);
+    return resolution;
+  }
+}
+
+/**
+ * Pick a search candidate only when the choice is unambiguous
+ * @param {Array} candidates - Channel search results
+ * @param {string} query - Free-text query
+ * @returns {string|null} Channel ID of the only result or the only exact title match
+ */
+function pickCandidate(candidates, query) {
+  if (candidates.length === 1) {
+    return candidates[0].id;
+  }
+
+  const normalized = query.trim().toLowerCase();
+  const exact = candidates.filter(
+    (candidate) => candidate.title.trim().toLowerCase() === normalized
+  );
+
+  return exact.length === 1 ? exact[0].id : null;
+}
+
+module.exports = {
+  ChannelResolver,
+  parseChannelInput,
+  parsePlaylistInput,
+};
@@ -0,0 +1,64 @@
+/**
+ * A YouTube comment as returned by the library and the API routes. Replies
+ * follow the top-level comment they answer and point back to it with `parentId`.
+ *
+ * @typedef {Object} Comment
+ * @property {string} id - YouTube comment ID
+ * @property {string} videoId - Video the comment was posted on
+ * @property {string|null} parentId - Top-level comment this replies to; null for top-level comments
+ * @property {string} authorDisplayName - Author's display name
+ * @property {string|null} authorChannelId - Author's channel ID
+ * @property {string} text - Comment text as plain text
+ * @property {number} likeCount - Number of likes
+ * @property {number|null} replyCount - Number of replies; null for replies
+ * @property {string} publishedAt - Publication time (ISO 8601)
+ * @property {string} updatedAt - Last edit time (ISO 8601)
+ */
+
+/**
+ * Comment fields, in export column order
+ * @type {string[]}
+ */
+const COMMENT_FIELDS = [
+  "id",
+  "videoId",
+  "parentId",
+  "authorDisplayName",
+  "authorChannelId",
+  "text",
+  "likeCount",
+  "replyCount",
+  "publishedAt",
+  "updatedAt",
+];
+
+/**
+ * Build a Comment from a `comments` resource
+ * @param {Object} resource - The `topLevelComment` of a comment thread, or one of its replies
+ * @param {Object} thread - The comment thread the comment belongs to
+ * @returns {Comment} Comment
+ */
+function commentFromResource(resource, thread) {
+  const snippet = resource.snippet;
+  const parentId = snippet.parentId || null;
+
+  return {
+    id: resource.id,
+    videoId: snippet.videoId || thread.snippet.videoId,
+    parentId,
+    authorDisplayName: snippet.authorDisplayName,
+    authorChannelId: snippet.authorChannelId
+      ? snippet.authorChannelId.value
+      : null,
+    text: snippet.textDisplay,
+    likeCount: snippet.likeCount || 0,
+    replyCount: parentId ? null : thread.snippet.totalReplyCount || 0,
+    publishedAt: snippet.publishedAt,
+    updatedAt: snippet.updatedAt,
+  };
+}
+
+module.exports = {
+  COMMENT_FIELDS,
+  commentFromResource,
+};
@@ -0,0 +1,483 @@
+/**
+ * Base class for errors we report to clients.
+ * `code` is machine-readable and safe to send to clients; `status` is the
+ * HTTP status our own API should answer with.
+ */
+class AppError extends Error {
+  constructor(message, { code = "internalError", status = 500, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Base class for errors raised while talking to the YouTube Data API
+ */
+class YouTubeApiError extends AppError {
+  constructor(message, { code = "youtubeApiError", status = 502, cause } = {}) {
+    super(message, { code, status, cause });
+  }
+}
+
+/**
+ * The API project's daily quota is used up
+ */
+class QuotaExceededError extends YouTubeApiError {
+  constructor(message = "YouTube API quota exceeded", options = {}) {
+    super(message, { code: "quotaExceeded", status: 429, ...options });
+  }
+}
+
+/**
+ * A job is projected to exceed the locally configured daily budget
+ */
+class QuotaBudgetError extends YouTubeApiError {
+  constructor(projected, usage) {
+    super(
+      `Quota budget exceeded: job needs ~${projected} units but only ${usage.remaining} of ${usage.budget} remain today`,
+      { code: "quotaBudgetExceeded", status: 429 }
+    );
+    this.projected = projected;
+    this.usage = usage;
+  }
+}
+
+/**
+ * The API key is missing, malformed or revoked
+ */
+class KeyInvalidError extends YouTubeApiError {
+  constructor(message = "YouTube API key is invalid", options = {}) {
+    super(message, { code: "keyInvalid", status: 500, ...options });
+  }
+}
+
+/**
+ * The requested channel does not exist
+ */
+class ChannelNotFoundError extends YouTubeApiError {
+  constructor(channel, options = {}) {
+    super(channel ? `Channel not found: ${channel}` : "Channel not found", {
+      code: "channelNotFound",
+      status: 404,
+      ...options,
+    });
+    this.channel = channel;
+  }
+}
+
+/**
+ * Free-text channel input matched several channels; `candidates` lists them
+ */
+class AmbiguousChannelError extends YouTubeApiError {
+  constructor(channel, candidates) {
+    super(
+      `"${channel}" matches ${candidates.length} channels; pick one of the candidates`,
+      { code: "channelAmbiguous", status: 409 }
+    );
+    this.channel = channel;
+    this.candidates = candidates;
+  }
+}
+
+/**
+ * The API refused access to the resource for a reason other than quota
+ */
+class ForbiddenError extends YouTubeApiError {
+  constructor(
+    message = "Access to the YouTube resource is forbidden",
+    options = {}
+  ) {
+    super(message, { code: "forbidden", status: 403, ...options });
+  }
+}
+
+/**
+ * The requested playlist does not exist or is private
+ */
+class PlaylistNotFoundError extends YouTubeApiError {
+  constructor(playlist, options = {}) {
+    super(playlist ? `Playlist not found: ${playlist}` : "Playlist not found", {
+      code: "playlistNotFound",
+      status: 404,
+      ...options,
+    });
+    this.playlist = playlist;
+  }
+}
+
+/**
+ * The requested video does not exist or is private
+ */
+class VideoNotFoundError extends YouTubeApiError {
+  constructor(message = "Video not found", options = {}) {
+    super(message, { code: "videoNotFound", status: 404, ...options });
+  }
+}
+
+/**
+ * The video's owner has turned comments off
+ */
+class CommentsDisabledError extends YouTubeApiError {
+  constructor(message = "Comments are disabled for this video", options = {}) {
+    super(message, { code: "commentsDisabled", status: 403, ...options });
+  }
+}
+
+/**
+ * A caption track can't be downloaded. captions.download only works with
+ * OAuth access granted by the video's owner, so most tracks end up here.
+ */
+class CaptionsUnavailableError extends YouTubeApiError {
+  constructor(
+    message = "Captions for this video can't be downloaded",
+    options = {}
+  ) {
+    super(message, { code: "captionsUnavailable", status: 403, ...options });
+  }
+}
+
+/**
+ * Rate limiting or backend failures persisted after every retry
+ */
+class RetryExhaustedError extends YouTubeApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "retryExhausted", status: 503, ...options });
+  }
+}
+
+/**
+ * The fetch was stopped by its caller, e.g. because the client disconnected
+ */
+class CancelledError extends AppError {
+  constructor(message = "Fetch cancelled") {
+    super(message, { code: "cancelled", status: 499 });
+  }
+}
+
+/**
+ * No fetch job exists with the given ID
+ */
+class JobNotFoundError extends AppError {
+  constructor(jobId) {
+    super(`Job not found: ${jobId}`, { code: "jobNotFound", status: 404 });
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * The job is in a state that doesn't allow the requested action
+ */
+class JobStateError extends AppError {
+  constructor(job, action) {
+    super(`Cannot ${action} job ${job.id} while it is ${job.status}`, {
+      code: "jobConflict",
+      status: 409,
+    });
+    this.jobId = job.id;
+  }
+}
+
+/**
+ * No channel watch exists with the given ID
+ */
+class WatchNotFoundError extends AppError {
+  constructor(watchId) {
+    super(`Watch not found: ${watchId}`, {
+      code: "watchNotFound",
+      status: 404,
+    });
+    this.watchId = watchId;
+  }
+}
+
+/**
+ * A watch subscription was rejected, e.g. for a bad schedule or webhook URL
+ */
+class InvalidWatchError extends AppError {
+  constructor(message) {
+    super(message, { code: "invalidWatch", status: 400 });
+  }
+}
+
+/**
+ * No statistics snapshots have been recorded for a video or channel yet
+ */
+class HistoryNotFoundError extends AppError {
+  constructor(kind, id) {
+    super(`No history recorded for ${kind}: ${id}`, {
+      code: "historyNotFound",
+      status: 404,
+    });
+    this.id = id;
+  }
+}
+
+/**
+ * No API key in the key pool has the given ID
+ */
+class ApiKeyNotFoundError extends AppError {
+  constructor(keyId) {
+    super(`API key not found: ${keyId}`, {
+      code: "apiKeyNotFound",
+      status: 404,
+    });
+    this.keyId = keyId;
+  }
+}
+
+/**
+ * The request needs a user signed in with Google, and has no (live) session
+ */
+class NotSignedInError extends AppError {
+  constructor(message = "Sign in with Google to use your own channel") {
+    super(message, { code: "notSignedIn", status: 401 });
+  }
+}
+
+/**
+ * Google sign-in was asked for without GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET set
+ */
+class OAuthNotConfiguredError extends AppError {
+  constructor() {
+    super(
+      "Google sign-in is not configured: set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET",
+      { code: "oauthNotConfigured", status: 503 }
+    );
+  }
+}
+
+/**
+ * The request carries no API token, or one that is unknown or revoked
+ */
+class ApiTokenError extends AppError {
+  constructor(message = "An API token is required", code = "tokenRequired") {
+    super(message, { code, status: 401 });
+  }
+}
+
+/**
+ * No API token has the given ID
+ */
+class ApiTokenNotFoundError extends AppError {
+  constructor(tokenId) {
+    super(`API token not found: ${tokenId}`, {
+      code: "apiTokenNotFound",
+      status: 404,
+    });
+    this.tokenId = tokenId;
+  }
+}
+
+/**
+ * A client went over one of its rate limits. `retryAfter` is in seconds,
+ * or null when a slot frees up as soon as another request finishes.
+ */
+class RateLimitError extends AppError {
+  constructor(message, { code = "rateLimited", retryAfter = null } = {}) {
+    super(message, { code, status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * A video doesn't match the Video schema; caught before it is sent to a client
+ */
+class InvalidVideoError extends AppError {
+  constructor(video, errors) {
+    super(
+      `Video ${video && video.id} does not match the Video schema: ${errors
+        .map((error) => `${error.instancePath || "/"} ${error.message}`)
+        .join("; ")}`,
+      { code: "invalidVideo", status: 500 }
+    );
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error reasons worth retrying with backoff
+ * @type {string[]}
+ */
+const RETRYABLE_REASONS = [
+  "rateLimitExceeded",
+  "userRateLimitExceeded",
+  "backendError",
+  "internalError",
+];
+
+/**
+ * HTTP statuses worth retrying with backoff
+ * @type {number[]}
+ */
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying with backoff
+ * @type {string[]}
+ */
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+/**
+ * Pull the HTTP status and first error reason out of a googleapis error
+ * @param {Error} error - Error thrown by the API client
+ * @returns {{status: number|undefined, reason: string|undefined}} Parsed details
+ */
+function parseApiError(error) {
+  const response = error.response || {};
+  const apiError = (response.data && response.data.error) || {};
+  const errors = apiError.errors || error.errors || [];
+
+  return {
+    status:
+      response.status ||
+      (typeof error.code === "number" ? error.code : undefined),
+    reason: errors[0] && errors[0].reason,
+  };
+}
+
+/**
+ * Decide whether a failed API call should be retried
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean} True for rate limits, backend errors and transient network failures
+ */
+function isRetryable(error) {
+  const { status, reason } = parseApiError(error);
+
+  if (reason) {
+    return RETRYABLE_REASONS.includes(reason);
+  }
+
+  return (
+    RETRYABLE_STATUSES.includes(status) ||
+    RETRYABLE_NETWORK_CODES.includes(error.code)
+  );
+}
+
+/**
+ * Read the Retry-After header of a failed call
+ * @param {Error} error - Error thrown by the API client
+ * @returns {number|null} Milliseconds to wait, or null when the header is absent
+ */
+function getRetryAfter(error) {
+  const headers = (error.response && error.response.headers) || {};
+  const value = headers["retry-after"];
+
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Map a googleapis error to one of the typed errors above
+ * @param {Error} error - Error thrown by the API client
+ * @returns {Error} Typed error, or the original error when nothing matches
+ */
+function toTypedError(error) {
+  if (error instanceof YouTubeApiError) {
+    return error;
+  }
+
+  const { status, reason } = parseApiError(error);
+  const options = { cause: error };
+
+  switch (reason) {
+    case "quotaExceeded":
+    case "dailyLimitExceeded":
+      return new QuotaExceededError(error.message, options);
+    case "keyInvalid":
+    case "keyExpired":
+      return new KeyInvalidError(error.message, options);
+    case "channelNotFound":
+      return new ChannelNotFoundError(undefined, options);
+    case "playlistNotFound":
+      return new PlaylistNotFoundError(undefined, options);
+    case "videoNotFound":
+      return new VideoNotFoundError(undefined, options);
+    case "commentsDisabled":
+      return new CommentsDisabledError(undefined, options);
+    case "forbidden":
+      return new ForbiddenError(error.message, options);
+  }
+
+  if (status === 403) {
+    return new ForbiddenError(error.message, options);
+  }
+
+  // Only calls on a user's credentials can be unauthorized: they were revoked or expired
+  if (status === 401) {
+    return new NotSignedInError(
+      "Your Google sign-in has expired; sign in again"
+    );
+  }
+
+  if (isRetryable(error)) {
+    return new RetryExhaustedError(error.message, options);
+  }
+
+  return error;
+}
+
+/**
+ * Get the HTTP status and machine-readable code to report for any error
+ * @param {Error} error - Error raised while fetching
+ * @returns {{status: number, code: string}} Status and code; untyped errors are internal errors
+ */
+function describeError(error) {
+  if (error instanceof AppError) {
+    return { status: error.status, code: error.code };
+  }
+
+  return { status: 500, code: "internalError" };
+}
+
+module.exports = {
+  AppError,
+  YouTubeApiError,
+  QuotaExceededError,
+  QuotaBudgetError,
+  KeyInvalidError,
+  ChannelNotFoundError,
+  AmbiguousChannelError,
+  ForbiddenError,
+  PlaylistNotFoundError,
+  VideoNotFoundError,
+  CommentsDisabledError,
+  CaptionsUnavailableError,
+  RetryExhaustedError,
+  CancelledError,
+  JobNotFoundError,
+  JobStateError,
+  WatchNotFoundError,
+  InvalidWatchError,
+  HistoryNotFoundError,
+  ApiKeyNotFoundError,
+  NotSignedInError,
+  OAuthNotConfiguredError,
+  ApiTokenError,
+  ApiTokenNotFoundError,
+  RateLimitError,
+  InvalidVideoError,
+  isRetryable,
+  getRetryAfter,
+  toTypedError,
+  describeError,
+};
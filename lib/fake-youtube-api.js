@@ -0,0 +1,640 @@
+const fs = require("fs");
+const express = require("express");
+
+/**
+ * Resources the fake API answers `list` calls for
+ * @type {string[]}
+ */
+const FAKE_RESOURCES = [
+  "channels",
+  "videos",
+  "playlistItems",
+  "playlists",
+  "search",
+];
+
+/**
+ * Most items YouTube hands out per page, and its default page size
+ * @type {{max: number, default: number}}
+ */
+const PAGE_SIZE = { max: 50, default: 5 };
+
+/**
+ * An API error answered the way YouTube answers it
+ */
+class FakeApiError extends Error {
+  constructor(status, reason, message) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/**
+ * An empty fixture set
+ * @returns {{channels: Object[], videos: Object[], playlists: Object[], playlistItems: Object<string, Object[]>}} Fixtures
+ */
+function emptyFixtures() {
+  return { channels: [], videos: [], playlists: [], playlistItems: {} };
+}
+
+/**
+ * Merge fixtures into a fixture set. Resources are matched by ID and merged
+ * part by part, so a later `snippet`-only response doesn't drop statistics.
+ * @param {Object} target - Fixture set to merge into, changed in place
+ * @param {Object} source - Fixtures to add
+ * @returns {Object} The target
+ */
+function mergeFixtures(target, source) {
+  for (const name of ["channels", "videos", "playlists"]) {
+    (source[name] || []).forEach((resource) => upsert(target[name], resource));
+  }
+
+  Object.entries(source.playlistItems || {}).forEach(([playlistId, items]) => {
+    const list = (target.playlistItems[playlistId] =
+      target.playlistItems[playlistId] || []);
+    items.forEach((item) => upsert(list, item));
+    list.sort(
+      (a, b) => (a.snippet?.position ?? 0) - (b.snippet?.position ?? 0)
+    );
+  });
+
+  return target;
+}
+
+/**
+ * Read fixture files and merge them into one fixture set
+ * @param {string|string[]} files - JSON fixture files
+ * @returns {Object} Fixtures: `channels`, `videos`, `playlists` and `playlistItems` by playlist ID
+ */
+function loadFixtures(files) {
+  return []
+    .concat(files)
+    .reduce(
+      (fixtures, file) =>
+        mergeFixtures(fixtures, JSON.parse(fs.readFileSync(file, "utf8"))),
+      emptyFixtures()
+    );
+}
+
+function upsert(list, resource) {
+  const index = list.findIndex((existing) => existing.id === resource.id);
+  if (index === -1) {
+    list.push(resource);
+  } else {
+    list[index] = { ...list[index], ...resource };
+  }
+}
+
+/**
+ * A stand-in for the YouTube Data API v3, served from fixtures. It answers
+ * `channels`, `videos`, `playlistItems`, `playlists` and `search` list calls
+ * with page tokens, records every call and fails calls on demand, so the
+ * fetcher, the API routes and the web UI can run without a key or network.
+ * Point a fetcher at it with the `rootUrl` option or YOUTUBE_API_URL.
+ */
+class FakeYoutubeApi {
+  /**
+   * @param {Object} [fixtures] - Fixtures as returned by loadFixtures
+   * @param {Object} [options] - Fake API options
+   * @param {number} [options.pageSize=50] - Largest page handed out, so small fixtures still span several pages
+   * @param {string[]} [options.keys] - API keys to accept; any key when not given
+   * @param {Object<string, string>} [options.accounts] - Channel ID of the user behind each OAuth access
+   *   token, sent as `Authorization: Bearer <token>`; owners also see their private videos
+   */
+  constructor(fixtures = emptyFixtures(), options = {}) {
+    this.fixtures = mergeFixtures(emptyFixtures(), fixtures);
+    this.pageSize = Math.min(options.pageSize || PAGE_SIZE.max, PAGE_SIZE.max);
+    this.keys = options.keys || null;
+    this.accounts = options.accounts || {};
+    this.errors = [];
+    this.calls = [];
+    this.app = this._createApp();
+  }
+
+  /**
+   * Fail upcoming calls with an API error
+   * @param {Object} [rule] - Which calls fail and how
+   * @param {string} [rule.resource="*"] - Resource to fail, e.g. "videos"; "*" for any
+   * @param {string} [rule.key] - Only fail calls made with this API key
+   * @param {number} [rule.status=403] - HTTP status
+   * @param {string} [rule.reason="quotaExceeded"] - YouTube error reason, e.g. "backendError"
+   * @param {string} [rule.message] - Error message
+   * @param {number|null} [rule.times=1] - Number of calls to fail; null fails every call until cleared
+   * @param {number} [rule.skip=0] - Matching calls to let through before failing, e.g. to fail the second page
+   * @param {number} [rule.retryAfter] - Retry-After header to send, in seconds
+   * @returns {Object} The stored rule
+   */
+  injectError(rule = {}) {
+    const stored = {
+      resource: "*",
+      status: 403,
+      reason: "quotaExceeded",
+      message: `Injected ${rule.reason || "quotaExceeded"} error`,
+      times: 1,
+      skip: 0,
+      ...rule,
+    };
+
+    this.errors.push(stored);
+    return stored;
+  }
+
+  /**
+   * Drop all injected errors
+   */
+  clearErrors() {
+    this.errors = [];
+  }
+
+  /**
+   * A googleapis-shaped client answering in-process, without HTTP. Failed
+   * calls throw errors shaped like the googleapis client's.
+   * @param {string} [apiKey] - Key sent with every call, checked against `keys`
+   * @returns {Object} Client for YouTubeChannelFetcher's `youtube` option
+   */
+  client(apiKey) {
+    const list = async (resource, params = {}) => {
+      // Like the HTTP client, leave out empty parameters and send the rest as
+      // text; a `key` parameter overrides the client's key
+      const query = Object.fromEntries(
+        Object.entries({ key: apiKey, ...params })
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([name, value]) => [name, String(value)])
+      );
+
+      try {
+        return { status: 200, data: this._list(resource, query) };
+      } catch (error) {
+        if (!(error instanceof FakeApiError)) {
+          throw error;
+        }
+
+        const clientError = new Error(error.message);
+        clientError.code = error.status;
+        clientError.response = {
+          status: error.status,
+          headers: error.retryAfter
+            ? { "retry-after": String(error.retryAfter) }
+            : {},
+          data: errorBody(error),
+        };
+        throw clientError;
+      }
+    };
+
+    return Object.fromEntries(
+      FAKE_RESOURCES.map((resource) => [
+        resource,
+        { list: (params) => list(resource, params) },
+      ])
+    );
+  }
+
+  /**
+   * Start serving the fake API
+   * @param {number} [port=0] - Port; 0 picks a free one
+   * @returns {Promise<http.Server>} The listening server
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, () => resolve(server));
+      server.on("error", reject);
+    });
+  }
+
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Control routes for tests and demos running the fake in another process
+    app.get("/__fake/calls", (req, res) => {
+      res.json(this.calls);
+    });
+
+    app.delete("/__fake/calls", (req, res) => {
+      this.calls = [];
+      res.status(204).end();
+    });
+
+    app.post("/__fake/errors", (req, res) => {
+      const rule = req.body || {};
+      if (rule.status !== undefined && !Number.isInteger(rule.status)) {
+        res.status(400).json({ error: "status must be an HTTP status code" });
+        return;
+      }
+
+      res.status(201).json(this.injectError(rule));
+    });
+
+    app.delete("/__fake/errors", (req, res) => {
+      this.clearErrors();
+      res.status(204).end();
+    });
+
+    app.get("/youtube/v3/:resource", (req, res) => {
+      const [, accessToken = null] =
+        /^Bearer (.+)$/.exec(req.get("Authorization") || "") || [];
+
+      try {
+        res.json(this._list(req.params.resource, req.query, accessToken));
+      } catch (error) {
+        if (!(error instanceof FakeApiError)) {
+          throw error;
+        }
+
+        if (error.retryAfter) {
+          res.set("Retry-After", String(error.retryAfter));
+        }
+        res.status(error.status).json(errorBody(error));
+      }
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({
+        error: {
+          code: 404,
+          message: `${req.method} ${req.path} is not part of the fake YouTube API`,
+          errors: [{ reason: "notFound" }],
+        },
+      });
+    });
+
+    return app;
+  }
+
+  /**
+   * Answer one `<resource>.list` call
+   * @param {string} resource - Resource name from the URL
+   * @param {Object} query - Query parameters
+   * @param {string|null} [accessToken] - OAuth access token the call was made with
+   * @returns {Object} List response
+   * @throws {FakeApiError} For injected errors, bad keys, bad tokens and bad requests
+   * @private
+   */
+  _list(resource, query, accessToken = null) {
+    this.calls.push({ resource, params: { ...query }, accessToken });
+
+    // Calls on a user's credentials need no key, only a token we know
+    const account = accessToken ? this.accounts[accessToken] : null;
+    if (accessToken && !account) {
+      throw new FakeApiError(401, "authError", "Invalid Credentials");
+    }
+
+    if (!accessToken && this.keys && !this.keys.includes(query.key)) {
+      throw new FakeApiError(
+        400,
+        "keyInvalid",
+        "API key not valid. Please pass a valid API key."
+      );
+    }
+
+    this._throwInjectedError(resource, query.key);
+
+    if (!FAKE_RESOURCES.includes(resource)) {
+      throw new FakeApiError(
+        404,
+        "notFound",
+        `${resource}.list is not part of the fake YouTube API`
+      );
+    }
+
+    if (!query.part) {
+      throw new FakeApiError(400, "required", "Required parameter: part");
+    }
+
+    switch (resource) {
+      case "channels":
+        return this._page(
+          "youtube#channelListResponse",
+          this._channels(query, account),
+          query
+        );
+      case "videos":
+        return this._page(
+          "youtube#videoListResponse",
+          this._videos(query, account),
+          query
+        );
+      case "playlistItems":
+        return this._page(
+          "youtube#playlistItemListResponse",
+          this._playlistItems(query),
+          query
+        );
+      case "playlists":
+        return this._page(
+          "youtube#playlistListResponse",
+          this._playlists(query),
+          query
+        );
+      case "search":
+        return this._page(
+          "youtube#searchListResponse",
+          this._search(query),
+          query
+        );
+    }
+  }
+
+  _throwInjectedError(resource, key) {
+    const rule = this.errors.find(
+      (candidate) =>
+        (candidate.resource === "*" || candidate.resource === resource) &&
+        (!candidate.key || candidate.key === key)
+    );
+    if (!rule) {
+      return;
+    }
+
+    if (rule.skip > 0) {
+      rule.skip--;
+      return;
+    }
+
+    if (rule.times !== null && --rule.times <= 0) {
+      this.errors.splice(this.errors.indexOf(rule), 1);
+    }
+
+    const error = new FakeApiError(rule.status, rule.reason, rule.message);
+    error.retryAfter = rule.retryAfter;
+    throw error;
+  }
+
+  _channels(query, account) {
+    const { channels } = this.fixtures;
+
+    if (query.mine === "true") {
+      if (!account) {
+        throw new FakeApiError(401, "required", "Login Required");
+      }
+      return byIds(channels, account);
+    }
+    if (query.id) {
+      return byIds(channels, query.id);
+    }
+    if (query.forHandle) {
+      const handle = normalizeHandle(query.forHandle);
+      return channels.filter(
+        (channel) => normalizeHandle(channel.snippet?.customUrl) === handle
+      );
+    }
+    if (query.forUsername) {
+      const username = query.forUsername.toLowerCase();
+      return channels.filter(
+        (channel) => (channel.username || "").toLowerCase() === username
+      );
+    }
+
+    throw new FakeApiError(
+      400,
+      "missingRequiredParameter",
+      "No filter selected. Expected one of: forHandle, forUsername, id, mine"
+    );
+  }
+
+  _videos(query, account) {
+    if (!query.id) {
+      throw new FakeApiError(
+        400,
+        "missingRequiredParameter",
+        "No filter selected. Expected one of: id"
+      );
+    }
+
+    const ids = query.id.split(",");
+    if (ids.length > PAGE_SIZE.max) {
+      throw new FakeApiError(
+        400,
+        "badRequest",
+        `At most ${PAGE_SIZE.max} video IDs can be requested at once`
+      );
+    }
+
+    // Private videos are only listed for the channel's owner
+    return byIds(this.fixtures.videos, query.id).filter(
+      (video) =>
+        video.status?.privacyStatus !== "private" ||
+        video.snippet?.channelId === account
+    );
+  }
+
+  _playlistItems(query) {
+    const items = this.fixtures.playlistItems[query.playlistId];
+
+    if (!items) {
+      throw new FakeApiError(
+        404,
+        "playlistNotFound",
+        "The playlist identified with the request's playlistId parameter cannot be found."
+      );
+    }
+
+    return items;
+  }
+
+  _playlists(query) {
+    const { playlists } = this.fixtures;
+
+    if (query.id) {
+      return byIds(playlists, query.id);
+    }
+    if (query.channelId) {
+      return playlists.filter(
+        (playlist) => playlist.snippet?.channelId === query.channelId
+      );
+    }
+
+    throw new FakeApiError(
+      400,
+      "missingRequiredParameter",
+      "No filter selected. Expected one of: channelId, id"
+    );
+  }
+
+  _search(query) {
+    const text = String(query.q || "").toLowerCase();
+    const matchesText = (snippet) =>
+      !text ||
+      snippet.title.toLowerCase().includes(text) ||
+      (snippet.description || "").toLowerCase().includes(text);
+
+    if (query.type === "channel") {
+      return this.fixtures.channels
+        .filter((channel) => channel.snippet && matchesText(channel.snippet))
+        .map((channel) =>
+          searchResult(
+            { kind: "youtube#channel", channelId: channel.id },
+            {
+              ...channel.snippet,
+              channelId: channel.id,
+              channelTitle: channel.snippet.title,
+            }
+          )
+        );
+    }
+
+    const after = query.publishedAfter
+      ? Date.parse(query.publishedAfter)
+      : null;
+    const before = query.publishedBefore
+      ? Date.parse(query.publishedBefore)
+      : null;
+    const videos = this.fixtures.videos.filter((video) => {
+      const snippet = video.snippet;
+      const published = snippet ? Date.parse(snippet.publishedAt) : NaN;
+      return (
+        snippet &&
+        (!query.channelId || snippet.channelId === query.channelId) &&
+        matchesText(snippet) &&
+        (after === null || published >= after) &&
+        (before === null || published <= before)
+      );
+    });
+
+    return sortSearchResults(videos, query.order).map((video) =>
+      searchResult({ kind: "youtube#video", videoId: video.id }, video.snippet)
+    );
+  }
+
+  /**
+   * Cut one page out of the matching items and keep only the requested parts
+   * @private
+   */
+  _page(kind, items, query) {
+    // Lookups by ID answer every ID at once, as YouTube does
+    const size = query.id
+      ? Math.max(items.length, 1)
+      : Math.min(
+          query.maxResults === undefined
+            ? PAGE_SIZE.default
+            : Number(query.maxResults),
+          this.pageSize
+        );
+    const offset = query.pageToken ? decodePageToken(query.pageToken) : 0;
+
+    if (offset === null) {
+      throw new FakeApiError(
+        400,
+        "invalidPageToken",
+        "The request specifies an invalid page token."
+      );
+    }
+
+    const response = {
+      kind,
+      etag: "fake",
+      pageInfo: { totalResults: items.length, resultsPerPage: size },
+      items: items
+        .slice(offset, offset + size)
+        .map((item) => pickParts(item, query.part)),
+    };
+
+    if (offset + size < items.length) {
+      response.nextPageToken = encodePageToken(offset + size);
+    }
+    if (offset > 0) {
+      response.prevPageToken = encodePageToken(Math.max(offset - size, 0));
+    }
+
+    return response;
+  }
+}
+
+/**
+ * The body YouTube answers a failed call with
+ */
+function errorBody(error) {
+  return {
+    error: {
+      code: error.status,
+      message: error.message,
+      errors: [
+        { message: error.message, domain: "youtube", reason: error.reason },
+      ],
+    },
+  };
+}
+
+function byIds(resources, ids) {
+  return ids
+    .split(",")
+    .map((id) => resources.find((resource) => resource.id === id.trim()))
+    .filter(Boolean);
+}
+
+function normalizeHandle(handle) {
+  return String(handle || "")
+    .replace(/^@/, "")
+    .toLowerCase();
+}
+
+/**
+ * Keep the `kind`, `etag`, `id` and requested parts of a resource. Fixture
+ * fields outside of them, like a channel's `username`, are never served.
+ */
+function pickParts(resource, part) {
+  const picked = { kind: resource.kind, etag: resource.etag, id: resource.id };
+
+  String(part)
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name !== "id" && resource[name] !== undefined)
+    .forEach((name) => {
+      picked[name] = resource[name];
+    });
+
+  return picked;
+}
+
+function searchResult(id, snippet) {
+  return {
+    kind: "youtube#searchResult",
+    etag: "fake",
+    id,
+    snippet: {
+      publishedAt: snippet.publishedAt,
+      channelId: snippet.channelId,
+      title: snippet.title,
+      description: snippet.description || "",
+      thumbnails: snippet.thumbnails || {},
+      channelTitle: snippet.channelTitle,
+      liveBroadcastContent: snippet.liveBroadcastContent || "none",
+      publishTime: snippet.publishedAt,
+    },
+  };
+}
+
+/**
+ * Order videos like search.list; relevance keeps the fixture order
+ */
+function sortSearchResults(videos, order = "relevance") {
+  const count = (video, field) => Number(video.statistics?.[field] || 0);
+  const comparators = {
+    date: (a, b) =>
+      Date.parse(b.snippet.publishedAt) - Date.parse(a.snippet.publishedAt),
+    title: (a, b) => a.snippet.title.localeCompare(b.snippet.title),
+    viewCount: (a, b) => count(b, "viewCount") - count(a, "viewCount"),
+    rating: (a, b) => count(b, "likeCount") - count(a, "likeCount"),
+  };
+
+  const comparator = comparators[order];
+  return comparator ? [...videos].sort(comparator) : videos;
+}
+
+function encodePageToken(offset) {
+  return Buffer.from(`offset:${offset}`).toString("base64url");
+}
+
+function decodePageToken(token) {
+  const match = /^offset:(\d+)$/.exec(
+    Buffer.from(token, "base64url").toString()
+  );
+  return match ? Number(match[1]) : null;
+}
+
+exports.FakeYoutubeApi = FakeYoutubeApi;
+exports.FAKE_RESOURCES = FAKE_RESOURCES;
+exports.emptyFixtures = emptyFixtures;
+exports.mergeFixtures = mergeFixtures;
+exports.loadFixtures = loadFixtures;
@@ -1,64 +1,398 @@
 const { google } = require("googleapis");
+const { QUOTA_COSTS } = require("./quota");
+const { ChannelResolver } = require("./channel-resolver");
+const { videoFromSnippet, videoFromResource } = require("./video-model");
+const { commentFromResource } = require("./comment-model");
+const { playlistFromResource } = require("./playlist-model");
+const { parseVtt, pickCaptionTrack } = require("./transcript");
+const {
+  CancelledError,
+  ChannelNotFoundError,
+  AmbiguousChannelError,
+  PlaylistNotFoundError,
+  ForbiddenError,
+  CaptionsUnavailableError,
+  isRetryable,
+  getRetryAfter,
+  toTypedError,
+} = require("./errors");
+
+/**
+ * Ways of enumerating a channel's videos: the uploads playlist (default) or search.list
+ * @type {string[]}
+ */
+const VIDEO_SOURCES = ["uploads", "search"];
+
+/**
+ * Orders a channel's videos can be fetched in
+ * @type {string[]}
+ */
+const VIDEO_ORDERS = ["date", "rating", "title", "viewCount"];
+
+/**
+ * Sort videos client-side to mirror search.list `order` values
+ * @param {Video[]} videos - Videos to sort
+ * @param {string} order - One of VIDEO_ORDERS: date, rating, title or viewCount
+ * @returns {Video[]} Sorted copy of the videos
+ */
+function sortVideos(videos, order) {
+  const count = (value) => value || 0;
+  const comparators = {
+    date: (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt),
+    title: (a, b) => a.title.localeCompare(b.title),
+    viewCount: (a, b) => count(b.viewCount) - count(a.viewCount),
+    rating: (a, b) => count(b.likeCount) - count(a.likeCount),
+  };
+
+  // relevance and videoCount have no meaning for a single channel's uploads
+  const comparator = comparators[order];
+  return comparator ? [...videos].sort(comparator) : videos;
+}
+
+/**
+ * Orders commentThreads.list can return comments in: newest first or most relevant first
+ * @type {string[]}
+ */
+const COMMENT_ORDERS = ["time", "relevance"];
+
+/**
+ * Throw if the caller has asked for the fetch to stop
+ * @param {AbortSignal|null} signal - Cancellation signal
+ * @throws {CancelledError} When the signal is aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Wait for a promise, but stop waiting as soon as the caller gives up. The
+ * work behind the promise carries on for anyone else waiting on it.
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal|null} signal - Cancellation signal
+ * @returns {Promise} The promise's result
+ * @throws {CancelledError} When the signal is aborted first
+ */
+function raceSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => reject(new CancelledError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Create a YouTube Data API client
+ * @param {string|OAuth2Client} auth - YouTube Data API key, or a signed-in user's OAuth2 client
+ * @param {Object} [options] - Client options
+ * @param {string} [options.rootUrl] - Base URL of the API, e.g. a local FakeYoutubeApi; defaults to Google's
+ * @returns {Object} googleapis `youtube` client
+ */
+function createYoutubeClient(auth, options = {}) {
+  return google.youtube({
+    version: "v3",
+    auth,
+    // Retries are handled by _call so they can honor YouTube's error reasons
+    retry: false,
+    ...(options.rootUrl ? { rootUrl: options.rootUrl } : {}),
+  });
+}
+
+/**
+ * Pick the channel information returned by getChannelInfo out of a `channels.list` item
+ * @param {Object} channel - Item with snippet and statistics
+ * @returns {Object} Channel information
+ */
+function channelInfoFromResource(channel) {
+  return {
+    id: channel.id,
+    title: channel.snippet.title,
+    description: channel.snippet.description,
+    thumbnail: channel.snippet.thumbnails.default.url,
+    subscriberCount: channel.statistics.subscriberCount,
+    videoCount: channel.statistics.videoCount,
+    viewCount: channel.statistics.viewCount,
+  };
+}
 
 class YouTubeChannelFetcher {
-  constructor(apiKey) {
-    this.youtube = google.youtube({
-      version: "v3",
-      auth: apiKey,
-    });
+  /**
+   * @param {string} apiKey - YouTube Data API key
+   * @param {Object} [options] - Fetcher options
+   * @param {Object} [options.youtube] - API client to use instead of a new googleapis client; anything with
+   *   the googleapis shape works, e.g. `{ videos: { list: async (params) => ({ data }) } }`
+   * @param {string} [options.rootUrl] - Base URL of the API when no client is given
+   * @param {QuotaTracker} [options.quota] - Tracker that every API call is metered against
+   * @param {KeyPool} [options.keyPool] - Keys to make calls with instead of `apiKey`, rotated per call
+   * @param {OAuth2Client} [options.auth] - A signed-in user's credentials to make calls with instead of `apiKey`;
+   *   the user's own private and unlisted uploads then come back too
+   * @param {number} [options.maxRetries=4] - Retries for rate limited or failed calls
+   * @param {number} [options.retryBaseDelay=500] - First backoff delay in milliseconds, doubled on every retry
+   */
+  constructor(apiKey, options = {}) {
+    this.youtube =
+      options.youtube ||
+      createYoutubeClient(options.auth || apiKey, { rootUrl: options.rootUrl });
     this.apiKey = apiKey;
+    this.auth = options.auth || null;
+    this.quota = options.quota || null;
+    this.keyPool = options.keyPool || null;
+    this.quotaUsed = 0;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.retryBaseDelay = options.retryBaseDelay ?? 500;
+    // In-flight videos.list lookups by video ID, shared by concurrent fetches
+    this._detailRequests = new Map();
+  }
+
+  /**
+   * Call `<resource>.list`, metering its quota cost and retrying with exponential backoff
+   * on rate limits, backend errors and network failures. Failed calls are charged too, as YouTube does.
+   * With a key pool, a call failing on its key's quota or validity is repeated with the next key.
+   * @param {string} resource - API resource, e.g. "search" or "videos"
+   * @param {Object} params - Request parameters
+   * @param {AbortSignal} [signal] - Abandons the request, and any pending retry, when aborted
+   * @returns {Promise<Object>} API response
+   * @throws {YouTubeApiError} Typed error once the call fails for good
+   * @throws {CancelledError} When the signal is aborted
+   * @private
+   */
+  async _list(resource, params, signal = null) {
+    return this._call(resource, "list", params, signal);
+  }
+
+  /**
+   * Call any `<resource>.<method>` with the metering and retries of _list.
+   * Methods other than `list` are metered as "<resource>.<method>".
+   * @param {string} resource - API resource, e.g. "captions"
+   * @param {string} method - Resource method, e.g. "download"
+   * @param {Object} params - Request parameters
+   * @param {AbortSignal} [signal] - Abandons the request, and any pending retry, when aborted
+   * @param {Object} [requestOptions] - Extra client options, e.g. `{ responseType: "text" }`
+   * @returns {Promise<Object>} API response
+   * @private
+   */
+  async _call(resource, method, params, signal = null, requestOptions = {}) {
+    const meter = method === "list" ? resource : `${resource}.${method}`;
+
+    for (let attempt = 0; ;) {
+      throwIfCancelled(signal);
+
+      // The `key` parameter takes precedence over the client's own key
+      const key = this.keyPool ? this.keyPool.select() : null;
+      const units = this.quota
+        ? this.quota.record(meter)
+        : QUOTA_COSTS[meter] || 1;
+      this.quotaUsed += units;
+      if (key) {
+        this.keyPool.record(key, units);
+      }
+
+      try {
+        const options = signal ? { ...requestOptions, signal } : requestOptions;
+        return await this.youtube[resource][method](
+          key ? { ...params, key } : params,
+          Object.keys(options).length > 0 ? options : undefined
+        );
+      } catch (error) {
+        throwIfCancelled(signal);
+
+        // A key out of quota or rejected is retired and the call moves on to the next one
+        if (key && this.keyPool.retire(key, error)) {
+          continue;
+        }
+
+        if (attempt >= this.maxRetries || !isRetryable(error)) {
+          throw toTypedError(error);
+        }
+
+        const backoff =
+          getRetryAfter(error) ??
+          this.retryBaseDelay * 2 ** attempt * (1 + Math.random() * 0.25);
+        console.warn(
+          `${resource}.${method} failed (${error.message}), retrying in ${Math.round(backoff)}ms...`
+        );
+        attempt++;
+        await this.delay(backoff, signal);
+      }
+    }
+  }
+
+  /**
+   * Refuse to start work that would exceed the quota tracker's remaining budget.
+   * Fetchers without a tracker, e.g. on a caller's own key, aren't limited.
+   * @param {number} projected - Projected cost in units
+   * @throws {QuotaBudgetError} When the projection does not fit
+   */
+  assertAvailable(projected) {
+    if (this.quota) {
+      this.quota.assertAvailable(projected);
+    }
+  }
+
+  /**
+   * Estimate the quota cost of fetching a channel's videos
+   * @param {number} videoCount - Number of videos expected
+   * @param {Object} [options] - Same options as getAllChannelVideos
+   * @returns {number} Projected units
+   */
+  estimateVideoFetchCost(videoCount, options = {}) {
+    const { source = "uploads", includeDetails = true, maxVideos } = options;
+    const pageSize = Math.min(options.maxResults || 50, 50);
+    // search.list stops returning results after roughly 500 videos
+    const listed = Math.min(
+      source === "search" ? Math.min(videoCount, 500) : videoCount,
+      maxVideos || Infinity
+    );
+    const pages = Math.max(Math.ceil(listed / pageSize), 1);
+
+    const listCost =
+      source === "search"
+        ? pages * QUOTA_COSTS.search
+        : QUOTA_COSTS.channels + pages * QUOTA_COSTS.playlistItems;
+    // Details of uploads include one look at the members-only playlist
+    const detailsCost = includeDetails
+      ? pages * QUOTA_COSTS.videos +
+        (source === "uploads" ? QUOTA_COSTS.playlistItems : 0)
+      : 0;
+
+    return listCost + detailsCost;
   }
 
   /**
    * Get channel ID from various input formats
-   * @param {string} input - Channel username, channel ID, or channel URL
+   * @param {string} input - Channel ID, @handle, channel/user/c URL, video URL, or channel name
    * @returns {Promise<string>} Channel ID
+   * @throws {AmbiguousChannelError} When a channel name matches several channels
+   * @throws {ChannelNotFoundError} When nothing matches
    */
   async getChannelId(input) {
     try {
-      // If it's already a channel ID (starts with UC)
-      if (input.startsWith("UC") && input.length === 24) {
-        return input;
+      const resolution = await this.resolveChannel(input);
+
+      if (resolution.channelId) {
+        return resolution.channelId;
       }
 
-      // If it's a channel URL, extract the channel ID or username
-      let channelIdentifier = input;
-      if (input.includes("youtube.com/channel/")) {
-        channelIdentifier = input
-          .split("youtube.com/channel/")[1]
-          .split("?")[0]
-          .split("/")[0];
-        if (channelIdentifier.startsWith("UC")) {
-          return channelIdentifier;
-        }
-      } else if (
-        input.includes("youtube.com/c/") ||
-        input.includes("youtube.com/@")
-      ) {
-        channelIdentifier = input
-          .split("youtube.com/")[1]
-          .split("?")[0]
-          .split("/")[0];
-        if (channelIdentifier.startsWith("@")) {
-          channelIdentifier = channelIdentifier.substring(1);
-        }
+      if (resolution.candidates.length > 0) {
+        throw new AmbiguousChannelError(input, resolution.candidates);
       }
 
-      // Search for channel by username or custom URL
-      const response = await this.youtube.search.list({
+      throw new ChannelNotFoundError(input);
+    } catch (error) {
+      console.error("Error getting channel ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a channel input, returning search candidates instead of guessing for ambiguous names
+   * @param {string} input - Channel ID, @handle, channel/user/c URL, video URL, or channel name
+   * @param {Object} [options] - Resolve options
+   * @param {number} [options.maxCandidates=5] - Candidates to return for free text
+   * @returns {Promise<{input: string, type: string, channelId: string|null, candidates: Array}>} Resolution
+   */
+  async resolveChannel(input, options = {}) {
+    return new ChannelResolver(this).resolve(input, options);
+  }
+
+  /**
+   * Look up a channel ID by handle or legacy username
+   * @param {Object} lookup - Either `{ forHandle: "@handle" }` or `{ forUsername: "name" }`
+   * @returns {Promise<string|null>} Channel ID, or null when no channel matches
+   */
+  async findChannelId(lookup) {
+    try {
+      const response = await this._list("channels", {
+        part: "id",
+        ...lookup,
+      });
+
+      const items = response.data.items || [];
+      return items.length > 0 ? items[0].id : null;
+    } catch (error) {
+      console.error("Error looking up channel:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ID of the channel that uploaded a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<string|null>} Channel ID, or null when the video doesn't exist
+   */
+  async getVideoChannelId(videoId) {
+    try {
+      const response = await this._list("videos", {
         part: "snippet",
-        q: channelIdentifier,
-        type: "channel",
-        maxResults: 1,
+        id: videoId,
       });
 
-      if (response.data.items && response.data.items.length > 0) {
-        return response.data.items[0].id.channelId;
-      }
+      const items = response.data.items || [];
+      return items.length > 0 ? items[0].snippet.channelId : null;
+    } catch (error) {
+      console.error("Error getting video channel:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ID of the channel that owns a playlist
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<string|null>} Channel ID, or null when the playlist doesn't exist
+   */
+  async getPlaylistChannelId(playlistId) {
+    try {
+      const response = await this._list("playlists", {
+        part: "snippet",
+        id: playlistId,
+      });
 
-      throw new Error(`Channel not found: ${input}`);
+      const items = response.data.items || [];
+      return items.length > 0 ? items[0].snippet.channelId : null;
     } catch (error) {
-      console.error("Error getting channel ID:", error.message);
+      console.error("Error getting playlist channel:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search channels by name
+   * @param {string} query - Free-text channel name
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxResults=5] - Number of candidates
+   * @returns {Promise<Array<{id: string, title: string, description: string, thumbnail: string}>>} Candidate channels
+   */
+  async searchChannels(query, options = {}) {
+    const { maxResults = 5 } = options;
+
+    try {
+      const response = await this._list("search", {
+        part: "snippet",
+        q: query,
+        type: "channel",
+        maxResults: maxResults,
+      });
+
+      return (response.data.items || []).map((item) => ({
+        id: item.id.channelId,
+        title: item.snippet.title,
+        description: item.snippet.description,
+        thumbnail: item.snippet.thumbnails.default.url,
+      }));
+    } catch (error) {
+      console.error("Error searching channels:", error.message);
       throw error;
     }
   }
@@ -70,37 +404,309 @@ class YouTubeChannelFetcher {
    */
   async getChannelInfo(channelId) {
     try {
-      const response = await this.youtube.channels.list({
+      const response = await this._list("channels", {
         part: "snippet,statistics",
         id: channelId,
       });
 
       if (response.data.items && response.data.items.length > 0) {
-        const channel = response.data.items[0];
-        return {
-          id: channel.id,
-          title: channel.snippet.title,
-          description: channel.snippet.description,
-          thumbnail: channel.snippet.thumbnails.default.url,
-          subscriberCount: channel.statistics.subscriberCount,
-          videoCount: channel.statistics.videoCount,
-          viewCount: channel.statistics.viewCount,
-        };
+        return channelInfoFromResource(response.data.items[0]);
       }
 
-      throw new Error(`Channel not found: ${channelId}`);
+      throw new ChannelNotFoundError(channelId);
     } catch (error) {
       console.error("Error getting channel info:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Get the channel of the signed-in user (`mine=true`); needs the `auth` option
+   * @returns {Promise<Object>} Channel information, as for getChannelInfo
+   * @throws {ChannelNotFoundError} When the user's Google account has no channel
+   */
+  async getMyChannel() {
+    try {
+      const response = await this._list("channels", {
+        part: "snippet,statistics",
+        mine: true,
+      });
+
+      if (response.data.items && response.data.items.length > 0) {
+        return channelInfoFromResource(response.data.items[0]);
+      }
+
+      throw new ChannelNotFoundError("this Google account has no channel");
+    } catch (error) {
+      console.error("Error getting own channel:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ID of a channel's uploads playlist
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abandons the request when aborted
+   * @returns {Promise<string>} Uploads playlist ID
+   */
+  async getUploadsPlaylistId(channelId, options = {}) {
+    try {
+      const response = await this._list(
+        "channels",
+        {
+          part: "contentDetails",
+          id: channelId,
+        },
+        options.signal
+      );
+
+      if (response.data.items && response.data.items.length > 0) {
+        return response.data.items[0].contentDetails.relatedPlaylists.uploads;
+      }
+
+      throw new ChannelNotFoundError(channelId);
+    } catch (error) {
+      console.error("Error getting uploads playlist:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List the members-only videos of a channel. YouTube keeps them in a hidden
+   * playlist next to the uploads playlist; the Data API has no flag for them.
+   * @param {string} uploadsPlaylistId - The channel's uploads playlist ID ("UU...")
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abandons the requests when aborted
+   * @returns {Promise<Set<string>>} Video IDs; empty when the channel has no members-only videos
+   */
+  async getMembersOnlyVideoIds(uploadsPlaylistId, options = {}) {
+    const playlistId = `UUMO${uploadsPlaylistId.slice(2)}`;
+    const ids = new Set();
+    let pageToken = null;
+
+    try {
+      do {
+        const response = await this._list(
+          "playlistItems",
+          {
+            part: "contentDetails",
+            playlistId,
+            maxResults: 50,
+            pageToken,
+          },
+          options.signal
+        );
+
+        (response.data.items || []).forEach((item) =>
+          ids.add(item.contentDetails.videoId)
+        );
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return ids;
+    } catch (error) {
+      if (error instanceof PlaylistNotFoundError) {
+        return ids;
+      }
+
+      console.error("Error listing members-only videos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get playlist information
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abandons the request when aborted
+   * @returns {Promise<Playlist>} Playlist
+   * @throws {PlaylistNotFoundError} When the playlist doesn't exist or is private
+   */
+  async getPlaylistInfo(playlistId, options = {}) {
+    try {
+      const response = await this._list(
+        "playlists",
+        {
+          part: "snippet,contentDetails",
+          id: playlistId,
+        },
+        options.signal
+      );
+
+      if (response.data.items && response.data.items.length > 0) {
+        return playlistFromResource(response.data.items[0]);
+      }
+
+      throw new PlaylistNotFoundError(playlistId);
+    } catch (error) {
+      console.error("Error getting playlist info:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every public playlist of a channel, 50 per page
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops paging and abandons in-flight requests when aborted
+   * @returns {Promise<Playlist[]>} Playlists in the order YouTube lists them
+   */
+  async getChannelPlaylists(channelId, options = {}) {
+    const { signal = null } = options;
+    let playlists = [];
+    let nextPageToken = null;
+
+    try {
+      do {
+        throwIfCancelled(signal);
+
+        const response = await this._list(
+          "playlists",
+          {
+            part: "snippet,contentDetails",
+            channelId,
+            maxResults: 50,
+            pageToken: nextPageToken,
+          },
+          signal
+        );
+
+        playlists = playlists.concat(
+          (response.data.items || []).map(playlistFromResource)
+        );
+        nextPageToken = response.data.nextPageToken;
+
+        // Add a small delay to respect rate limits
+        if (nextPageToken) {
+          await this.delay(100, signal);
+        }
+      } while (nextPageToken);
+
+      return playlists;
+    } catch (error) {
+      console.error("Error getting channel playlists:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one page of channel videos through search.list (100 quota units per page, capped at ~500 results)
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} options - Options for fetching videos
+   * @param {string|null} pageToken - Page token returned by the previous page
+   * @returns {Promise<{videos: Video[], nextPageToken: string|undefined}>} Page of videos without details
+   * @private
+   */
+  async _fetchSearchPage(channelId, options, pageToken) {
+    const { maxResults, order, publishedAfter, publishedBefore, signal } =
+      options;
+
+    const searchParams = {
+      part: "snippet",
+      channelId: channelId,
+      type: "video",
+      order: order,
+      maxResults: Math.min(maxResults, 50),
+      pageToken: pageToken,
+    };
+
+    if (publishedAfter) {
+      searchParams.publishedAfter = publishedAfter;
+    }
+    if (publishedBefore) {
+      searchParams.publishedBefore = publishedBefore;
+    }
+
+    const response = await this._list("search", searchParams, signal);
+
+    return {
+      videos: (response.data.items || []).map((item) =>
+        videoFromSnippet(item.id.videoId, item.snippet)
+      ),
+      nextPageToken: response.data.nextPageToken,
+    };
+  }
+
+  /**
+   * Fetch one page of channel videos through the uploads playlist (1 quota unit per page, no result cap),
+   * or one page of any other playlist. Date filtering happens client-side.
+   * @param {string} playlistId - Uploads or other playlist ID
+   * @param {Object} options - Options for fetching videos
+   * @param {string|null} pageToken - Page token returned by the previous page
+   * @returns {Promise<{videos: Video[], nextPageToken: string|undefined}>} Page of videos without details
+   * @private
+   */
+  async _fetchUploadsPage(playlistId, options, pageToken) {
+    const { maxResults, publishedAfter, publishedBefore, newestFirst, signal } =
+      options;
+
+    const response = await this._list(
+      "playlistItems",
+      {
+        part: "snippet,contentDetails,status",
+        playlistId: playlistId,
+        maxResults: Math.min(maxResults, 50),
+        pageToken: pageToken,
+      },
+      signal
+    );
+
+    // Private and deleted uploads have no publish date; their owner still gets
+    // to see the private ones, dated by when they were uploaded
+    const ownPrivate = (item) =>
+      this.auth && item.status && item.status.privacyStatus === "private";
+
+    const items = (response.data.items || [])
+      .filter(
+        (item) => item.contentDetails.videoPublishedAt || ownPrivate(item)
+      )
+      // The snippet's publishedAt is when the video was added to the playlist
+      .map((item) =>
+        videoFromSnippet(item.contentDetails.videoId, {
+          ...item.snippet,
+          publishedAt:
+            item.contentDetails.videoPublishedAt || item.snippet.publishedAt,
+        })
+      );
+
+    const after = publishedAfter ? new Date(publishedAfter) : null;
+    const before = publishedBefore ? new Date(publishedBefore) : null;
+
+    // Both bounds are inclusive, as they are on search.list
+    const videos = items.filter((video) => {
+      const publishedAt = new Date(video.publishedAt);
+      return (
+        (!after || publishedAt >= after) && (!before || publishedAt <= before)
+      );
+    });
+
+    // Uploads are listed newest first, so once a whole page is at or before
+    // the start of the range there is nothing left to find
+    const pastRange =
+      newestFirst &&
+      after &&
+      items.length > 0 &&
+      items.every((video) => new Date(video.publishedAt) <= after);
+
+    return {
+      videos,
+      nextPageToken: pastRange ? undefined : response.data.nextPageToken,
+    };
+  }
+
   /**
    * Internal method to fetch videos with pagination - shared logic for both streaming and non-streaming methods
    * @param {string} channelId - YouTube channel ID
    * @param {Object} options - Options for fetching videos
+   * @param {string} [options.playlistId] - Walk this playlist instead of the channel's videos
+   * @param {number} [options.maxVideos] - Stop after this many videos; uploads are listed newest first, so these are the latest
+   * @param {Object} [options.resumeFrom] - Checkpoint from a previous run to continue from
+   * @param {Function} [options.onCheckpoint] - Called after every page with `{ nextPageToken, pageCount, videos, done }`
+   * @param {AbortSignal} [options.signal] - Stops pagination and abandons in-flight requests when aborted;
+   *   the resulting CancelledError carries `partialVideos`, `pagesFetched` and `nextPageToken`
    * @param {Function} onPageVideos - Callback for each page of videos (optional)
-   * @returns {Promise<Array>} Array of all videos
+   * @returns {Promise<Video[]>} Array of all videos
    * @private
    */
   async _fetchVideosWithPagination(
@@ -114,73 +720,135 @@ class YouTubeChannelFetcher {
       publishedAfter = null,
       publishedBefore = null,
       includeDetails = true,
+      source = "uploads",
+      playlistId = null,
+      maxVideos = null,
+      resumeFrom = null,
+      onCheckpoint = null,
+      signal = null,
     } = options;
 
-    let allVideos = [];
-    let nextPageToken = null;
-    let pageCount = 0;
+    if (!VIDEO_SOURCES.includes(source)) {
+      throw new Error(
+        `Invalid source: ${source}. Expected one of: ${VIDEO_SOURCES.join(", ")}`
+      );
+    }
 
-    do {
-      pageCount++;
-      console.log(`Fetching page ${pageCount}...`);
+    let allVideos = resumeFrom ? [...resumeFrom.videos] : [];
+    let nextPageToken = resumeFrom ? resumeFrom.nextPageToken : null;
+    let pageCount = resumeFrom ? resumeFrom.pageCount : 0;
+    let pagesFetched = pageCount;
+    let done = Boolean(resumeFrom && resumeFrom.done);
+    let membersOnly = new Set();
 
-      const searchParams = {
-        part: "snippet",
-        channelId: channelId,
-        type: "video",
-        order: order,
-        maxResults: Math.min(maxResults, 50),
-        pageToken: nextPageToken,
-      };
+    const pageOptions = {
+      maxResults,
+      order,
+      publishedAfter,
+      publishedBefore,
+      signal,
+    };
+    let fetchPage;
 
-      if (publishedAfter) {
-        searchParams.publishedAfter = publishedAfter;
-      }
-      if (publishedBefore) {
-        searchParams.publishedBefore = publishedBefore;
+    if (done) {
+      fetchPage = null;
+    } else if (playlistId) {
+      fetchPage = (pageToken) =>
+        this._fetchUploadsPage(playlistId, pageOptions, pageToken);
+    } else if (source === "uploads") {
+      const uploadsId = await this.getUploadsPlaylistId(channelId, {
+        signal,
+      });
+      if (includeDetails) {
+        membersOnly = await this.getMembersOnlyVideoIds(uploadsId, { signal });
       }
+      fetchPage = (pageToken) =>
+        this._fetchUploadsPage(
+          uploadsId,
+          { ...pageOptions, newestFirst: true },
+          pageToken
+        );
+    } else {
+      fetchPage = (pageToken) =>
+        this._fetchSearchPage(channelId, pageOptions, pageToken);
+    }
 
-      const response = await this.youtube.search.list(searchParams);
+    try {
+      while (!done) {
+        // Stop between pages once the caller has gone away
+        throwIfCancelled(signal);
 
-      if (response.data.items && response.data.items.length > 0) {
-        let videos = response.data.items;
-
-        // If detailed information is requested, fetch additional video details
-        if (includeDetails) {
-          const videoIds = videos.map((video) => video.id.videoId).join(",");
-          const videoDetails = await this.getVideoDetails(videoIds);
-
-          // Merge search results with detailed information
-          videos = videos.map((video) => {
-            const details = videoDetails.find(
-              (detail) => detail.id === video.id.videoId
-            );
-            return {
-              ...video,
-              ...details,
-            };
-          });
-        }
+        pageCount++;
+        console.log(`Fetching page ${pageCount}...`);
 
-        allVideos = allVideos.concat(videos);
+        const page = await fetchPage(nextPageToken);
+        // Drop what is past the cap before paying for its details
+        const pageVideos = maxVideos
+          ? page.videos.slice(0, maxVideos - allVideos.length)
+          : page.videos;
 
-        // Call the page callback if provided (for streaming)
-        if (onPageVideos) {
-          onPageVideos(videos, pageCount, allVideos.length);
+        if (pageVideos.length > 0) {
+          let videos = pageVideos;
+
+          // If detailed information is requested, fetch additional video details
+          if (includeDetails) {
+            const videoIds = videos.map((video) => video.id).join(",");
+            const videoDetails = await this.getVideoDetails(videoIds, {
+              signal,
+            });
+
+            // Details are a superset of the listing; keep the listing for videos that didn't come back
+            videos = videos
+              .map(
+                (video) =>
+                  videoDetails.find((detail) => detail.id === video.id) || video
+              )
+              .map((video) =>
+                membersOnly.has(video.id)
+                  ? { ...video, kind: "membersOnly" }
+                  : video
+              );
+          }
+
+          allVideos = allVideos.concat(videos);
+
+          // Call the page callback if provided (for streaming)
+          if (onPageVideos) {
+            onPageVideos(videos, pageCount, allVideos.length);
+          }
+
+          console.log(
+            `Found ${videos.length} videos on page ${pageCount}. Total so far: ${allVideos.length}`
+          );
         }
 
-        console.log(
-          `Found ${videos.length} videos on page ${pageCount}. Total so far: ${allVideos.length}`
-        );
-      }
+        const capped = maxVideos && allVideos.length >= maxVideos;
+        nextPageToken = capped ? undefined : page.nextPageToken;
+        done = !nextPageToken;
+        pagesFetched = pageCount;
 
-      nextPageToken = response.data.nextPageToken;
+        // Record where to pick up again if the fetch dies after this page
+        if (onCheckpoint) {
+          onCheckpoint({ nextPageToken, pageCount, videos: allVideos, done });
+        }
 
-      // Add a small delay to respect rate limits
-      if (nextPageToken) {
-        await this.delay(100);
+        // Add a small delay to respect rate limits
+        if (!done) {
+          await this.delay(100, signal);
+        }
       }
-    } while (nextPageToken);
+    } catch (error) {
+      // Keep what was collected so callers can still return partial results
+      error.partialVideos = allVideos;
+      error.pagesFetched = pagesFetched;
+      error.nextPageToken = nextPageToken;
+      throw error;
+    }
+
+    // search.list orders server-side; the uploads playlist has to be sorted here
+    if (playlistId || source === "uploads") {
+      allVideos = sortVideos(allVideos, order);
+    }
 
     return allVideos;
   }
@@ -189,7 +857,7 @@ class YouTubeChannelFetcher {
    * Fetch all videos from a channel with streaming support
    * @param {string} channelId - YouTube channel ID
    * @param {Object} options - Options for fetching videos including streaming callbacks
-   * @returns {Promise<Array>} Array of all videos
+   * @returns {Promise<Video[]>} Array of all videos
    */
   async streamAllChannelVideos(channelId, options = {}) {
     const { onProgress = () => {}, onVideos = () => {} } = options;
@@ -229,11 +897,50 @@ class YouTubeChannelFetcher {
     }
   }
 
+  /**
+   * Fetch the videos of a playlist with the same paging, detail merging and
+   * cancellation as channel videos
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {Object} [options] - Same options as getAllChannelVideos, plus streaming callbacks
+   * @param {string} [options.order="position"] - Keeps the playlist's own order; any getAllChannelVideos order sorts instead
+   * @param {Function} [options.onVideos] - Receives each page of videos as it arrives
+   * @param {Function} [options.onProgress] - Receives `{ page, totalFetched }` after every page
+   * @returns {Promise<Video[]>} Videos; private and deleted entries are left out
+   */
+  async getPlaylistVideos(playlistId, options = {}) {
+    const {
+      order = "position",
+      onProgress = () => {},
+      onVideos = () => {},
+    } = options;
+
+    try {
+      console.log(`Fetching videos from playlist: ${playlistId}`);
+
+      const videos = await this._fetchVideosWithPagination(
+        null,
+        { ...options, order, playlistId },
+        (pageVideos, currentPage, totalSoFar) => {
+          onProgress({ page: currentPage, totalFetched: totalSoFar });
+          onVideos(pageVideos);
+        }
+      );
+
+      console.log(
+        `\n✅ Successfully fetched ${videos.length} videos from playlist`
+      );
+      return videos;
+    } catch (error) {
+      console.error("Error fetching playlist videos:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Fetch all videos from a channel with pagination
    * @param {string} channelId - YouTube channel ID
    * @param {Object} options - Options for fetching videos
-   * @returns {Promise<Array>} Array of all videos
+   * @returns {Promise<Video[]>} Array of all videos
    */
   async getAllChannelVideos(channelId, options = {}) {
     try {
@@ -252,31 +959,327 @@ class YouTubeChannelFetcher {
   }
 
   /**
-   * Get detailed information for specific videos
+   * Get detailed information for specific videos.
+   * IDs already being looked up by a concurrent call on this fetcher join that
+   * request instead of being fetched (and charged) twice. Shared requests run
+   * without any one caller's signal, so a caller giving up only stops its own
+   * wait.
    * @param {string} videoIds - Comma-separated video IDs
-   * @returns {Promise<Array>} Array of video details
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the details when aborted
+   * @returns {Promise<Video[]>} Videos with details; unknown, private and deleted IDs are left out
    */
-  async getVideoDetails(videoIds) {
+  async getVideoDetails(videoIds, options = {}) {
     try {
-      const response = await this.youtube.videos.list({
-        part: "snippet,statistics,contentDetails",
-        id: videoIds,
+      const ids = [...new Set(videoIds.split(","))];
+      const missing = ids.filter((id) => !this._detailRequests.has(id));
+
+      // Don't start a request nobody is waiting for
+      throwIfCancelled(options.signal);
+
+      if (missing.length > 0) {
+        const request = this._list("videos", {
+          part: "snippet,statistics,contentDetails,liveStreamingDetails,player,status",
+          id: missing.join(","),
+          // Makes the player report its size, which tells vertical Shorts apart
+          maxHeight: 360,
+        }).then((response) =>
+          (response.data.items || []).map(videoFromResource)
+        );
+
+        missing.forEach((id) => {
+          const detail = request.then(
+            (videos) => videos.find((video) => video.id === id) || null
+          );
+          const forget = () => {
+            if (this._detailRequests.get(id) === detail) {
+              this._detailRequests.delete(id);
+            }
+          };
+          detail.then(forget, forget);
+          this._detailRequests.set(id, detail);
+        });
+      }
+
+      const details = await raceSignal(
+        Promise.all(ids.map((id) => this._detailRequests.get(id))),
+        options.signal
+      );
+      return details.filter(Boolean);
+    } catch (error) {
+      console.error("Error getting video details:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-pull details and statistics for already fetched videos in batches of 50.
+   * Videos that no longer come back from the API (deleted or made private) are dropped.
+   * @param {Video[]} videos - Videos previously returned by the fetch methods
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops between batches and abandons in-flight requests when aborted
+   * @returns {Promise<Video[]>} Videos with fresh details, in the original order
+   */
+  async refreshVideoStatistics(videos, options = {}) {
+    const { signal = null } = options;
+    const batchSize = 50;
+    let refreshed = [];
+
+    for (let i = 0; i < videos.length; i += batchSize) {
+      const batch = videos.slice(i, i + batchSize);
+      const videoDetails = await this.getVideoDetails(
+        batch.map((video) => video.id).join(","),
+        { signal }
+      );
+
+      batch.forEach((video) => {
+        const details = videoDetails.find((detail) => detail.id === video.id);
+        if (details) {
+          // Being members-only isn't part of the details, so carry it over
+          refreshed.push(
+            video.kind === "membersOnly"
+              ? { ...details, kind: "membersOnly" }
+              : details
+          );
+        }
       });
 
-      return response.data.items.map((video) => ({
-        id: video.id,
-        title: video.snippet.title,
-        description: video.snippet.description,
-        publishedAt: video.snippet.publishedAt,
-        thumbnail: video.snippet.thumbnails.default.url,
-        duration: video.contentDetails.duration,
-        viewCount: video.statistics.viewCount,
-        likeCount: video.statistics.likeCount,
-        commentCount: video.statistics.commentCount,
-        tags: video.snippet.tags || [],
+      if (i + batchSize < videos.length) {
+        await this.delay(100, signal);
+      }
+    }
+
+    return refreshed;
+  }
+
+  /**
+   * Fetch the comments of a video, page by page. Each top-level comment is
+   * followed by its replies when `includeReplies` is set.
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} [options] - Fetch options
+   * @param {string} [options.order="time"] - One of COMMENT_ORDERS
+   * @param {number} [options.maxComments] - Stop after this many top-level comments (default all)
+   * @param {boolean} [options.includeReplies=false] - Also fetch every reply through comments.list
+   * @param {Function} [options.onComments] - Receives each page of comments as it arrives
+   * @param {Function} [options.onProgress] - Receives `{ page, totalFetched }` after every page
+   * @param {AbortSignal} [options.signal] - Stops pagination and abandons in-flight requests when aborted;
+   *   the resulting CancelledError carries `partialComments` and `pagesFetched`
+   * @returns {Promise<Comment[]>} Comments in the order YouTube returned them
+   * @throws {CommentsDisabledError} When the video has comments turned off
+   * @throws {VideoNotFoundError} When the video doesn't exist
+   */
+  async getVideoComments(videoId, options = {}) {
+    const {
+      order = "time",
+      maxComments = null,
+      includeReplies = false,
+      onComments = () => {},
+      onProgress = () => {},
+      signal = null,
+    } = options;
+
+    if (!COMMENT_ORDERS.includes(order)) {
+      throw new Error(
+        `Invalid order: ${order}. Expected one of: ${COMMENT_ORDERS.join(", ")}`
+      );
+    }
+
+    let allComments = [];
+    let threadCount = 0;
+    let nextPageToken = null;
+    let pageCount = 0;
+    let pagesFetched = 0;
+
+    try {
+      do {
+        throwIfCancelled(signal);
+        pageCount++;
+
+        const response = await this._list(
+          "commentThreads",
+          {
+            part: includeReplies ? "snippet,replies" : "snippet",
+            videoId,
+            order,
+            textFormat: "plainText",
+            maxResults: 100,
+            pageToken: nextPageToken,
+          },
+          signal
+        );
+
+        let threads = response.data.items || [];
+        if (maxComments !== null) {
+          threads = threads.slice(0, maxComments - threadCount);
+        }
+        threadCount += threads.length;
+
+        const comments = [];
+        for (const thread of threads) {
+          comments.push(
+            commentFromResource(thread.snippet.topLevelComment, thread)
+          );
+          if (includeReplies) {
+            comments.push(...(await this._getThreadReplies(thread, signal)));
+          }
+        }
+
+        allComments = allComments.concat(comments);
+        onComments(comments);
+        onProgress({ page: pageCount, totalFetched: allComments.length });
+
+        nextPageToken =
+          maxComments !== null && threadCount >= maxComments
+            ? null
+            : response.data.nextPageToken;
+        pagesFetched = pageCount;
+
+        // Add a small delay to respect rate limits
+        if (nextPageToken) {
+          await this.delay(100, signal);
+        }
+      } while (nextPageToken);
+    } catch (error) {
+      // Keep what was collected so callers can still return partial results
+      error.partialComments = allComments;
+      error.pagesFetched = pagesFetched;
+      console.error(`Error fetching comments for ${videoId}:`, error.message);
+      throw error;
+    }
+
+    return allComments;
+  }
+
+  /**
+   * Get every reply of a comment thread. Threads carry at most five replies
+   * inline; longer ones are paged through comments.list.
+   * @param {Object} thread - Comment thread fetched with the `replies` part
+   * @param {AbortSignal} [signal] - Abandons in-flight requests when aborted
+   * @returns {Promise<Comment[]>} Replies, oldest first
+   * @private
+   */
+  async _getThreadReplies(thread, signal) {
+    const total = thread.snippet.totalReplyCount || 0;
+    const inline = (thread.replies && thread.replies.comments) || [];
+
+    const oldestFirst = (replies) =>
+      replies.sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+
+    if (inline.length >= total) {
+      return oldestFirst(
+        inline.map((reply) => commentFromResource(reply, thread))
+      );
+    }
+
+    let replies = [];
+    let nextPageToken = null;
+
+    do {
+      const response = await this._list(
+        "comments",
+        {
+          part: "snippet",
+          parentId: thread.id,
+          textFormat: "plainText",
+          maxResults: 100,
+          pageToken: nextPageToken,
+        },
+        signal
+      );
+
+      replies = replies.concat(
+        (response.data.items || []).map((reply) =>
+          commentFromResource(reply, thread)
+        )
+      );
+      nextPageToken = response.data.nextPageToken;
+    } while (nextPageToken);
+
+    return oldestFirst(replies);
+  }
+
+  /**
+   * List the caption tracks of a video (50 quota units)
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abandons the request when aborted
+   * @returns {Promise<Array<{id: string, language: string, name: string, trackKind: string, lastUpdated: string}>>}
+   *   Tracks; `trackKind` is "asr" for automatic captions
+   */
+  async getCaptionTracks(videoId, options = {}) {
+    try {
+      const response = await this._list(
+        "captions",
+        { part: "snippet", videoId },
+        options.signal
+      );
+
+      return (response.data.items || []).map((item) => ({
+        id: item.id,
+        language: item.snippet.language,
+        name: item.snippet.name,
+        trackKind: item.snippet.trackKind,
+        lastUpdated: item.snippet.lastUpdated,
       }));
     } catch (error) {
-      console.error("Error getting video details:", error.message);
+      console.error("Error listing caption tracks:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the transcript of a video as timed segments
+   * (50 units for the track list plus 200 for the download)
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} [options] - Request options
+   * @param {string} [options.language] - Preferred language code, e.g. "en"
+   * @param {AbortSignal} [options.signal] - Abandons the requests when aborted
+   * @returns {Promise<{videoId: string, trackId: string, language: string, trackKind: string, segments: TranscriptSegment[]}|null>}
+   *   Transcript, or null when the video has no captions
+   * @throws {CaptionsUnavailableError} When the track may not be downloaded with this key
+   */
+  async getTranscript(videoId, options = {}) {
+    const { language = null, signal = null } = options;
+    const track = pickCaptionTrack(
+      await this.getCaptionTracks(videoId, { signal }),
+      language
+    );
+
+    if (!track) {
+      return null;
+    }
+
+    try {
+      const response = await this._call(
+        "captions",
+        "download",
+        { id: track.id, tfmt: "vtt" },
+        signal,
+        { responseType: "text" }
+      );
+
+      return {
+        videoId,
+        trackId: track.id,
+        language: track.language,
+        trackKind: track.trackKind,
+        segments: parseVtt(response.data),
+      };
+    } catch (error) {
+      console.error(
+        `Error downloading captions for ${videoId}:`,
+        error.message
+      );
+
+      if (
+        error instanceof ForbiddenError ||
+        (error.response && error.response.status === 401)
+      ) {
+        throw new CaptionsUnavailableError(
+          `Captions for ${videoId} can only be downloaded with the video owner's permission`,
+          { cause: error }
+        );
+      }
       throw error;
     }
   }
@@ -284,14 +1287,35 @@ class YouTubeChannelFetcher {
   /**
    * Utility function to add delay
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} [signal] - Rejects with CancelledError as soon as it is aborted
    */
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new CancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
   }
 
   /**
    * Save videos to JSON file
-   * @param {Array} videos - Array of videos
+   * @param {Video[]} videos - Array of videos
    * @param {string} filename - Output filename
    */
   saveToFile(videos, filename = "youtube_videos.json") {
@@ -319,3 +1343,8 @@ class YouTubeChannelFetcher {
 }
 
 exports.YouTubeChannelFetcher = YouTubeChannelFetcher;
+exports.createYoutubeClient = createYoutubeClient;
+exports.VIDEO_SOURCES = VIDEO_SOURCES;
+exports.VIDEO_ORDERS = VIDEO_ORDERS;
+exports.sortVideos = sortVideos;
+exports.COMMENT_ORDERS = COMMENT_ORDERS;
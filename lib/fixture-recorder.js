@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  FAKE_RESOURCES,
+  emptyFixtures,
+  mergeFixtures,
+  loadFixtures,
+} = require("./fake-youtube-api");
+
+/**
+ * Records real YouTube Data API responses into a fixture file that
+ * FakeYoutubeApi can serve. Recording adds to what the file already holds,
+ * so several sessions can build up one fixture set.
+ */
+class FixtureRecorder {
+  /**
+   * @param {string} filePath - Fixture file to write; loaded first when it exists
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fixtures = fs.existsSync(filePath)
+      ? loadFixtures(filePath)
+      : emptyFixtures();
+  }
+
+  /**
+   * Wrap an API client so that the `list` responses of every resource the
+   * fake API serves are recorded. Other calls pass through untouched.
+   * @param {Object} youtube - googleapis `youtube` client
+   * @returns {Object} Client with the same shape
+   */
+  wrap(youtube) {
+    const client = Object.create(youtube);
+
+    FAKE_RESOURCES.forEach((resource) => {
+      const api = Object.create(youtube[resource]);
+      api.list = async (params, options) => {
+        const response = await youtube[resource].list(params, options);
+        this.record(resource, params, response.data);
+        return response;
+      };
+      // The googleapis client's resources are read-only properties
+      Object.defineProperty(client, resource, { value: api });
+    });
+
+    return client;
+  }
+
+  /**
+   * Add one list response to the fixtures and save them
+   * @param {string} resource - Resource the response belongs to, e.g. "videos"
+   * @param {Object} params - Request parameters
+   * @param {Object} data - Response body
+   */
+  record(resource, params, data) {
+    const items = data.items || [];
+
+    switch (resource) {
+      case "playlistItems":
+        // An empty playlist is still recorded, so the fake doesn't answer 404 for it
+        mergeFixtures(this.fixtures, {
+          playlistItems: { [params.playlistId]: items },
+        });
+        break;
+      case "search":
+        this._recordSearchResults(items);
+        break;
+      case "channels":
+        mergeFixtures(this.fixtures, {
+          // Usernames aren't part of the channel resource; keep the one asked for
+          channels: params.forUsername
+            ? items.map((item) => ({ ...item, username: params.forUsername }))
+            : items,
+        });
+        break;
+      default:
+        mergeFixtures(this.fixtures, { [resource]: items });
+    }
+
+    this.save();
+  }
+
+  /**
+   * Search results only carry a snippet, so they are recorded as videos and
+   * channels the fixtures don't know yet, never over fuller resources
+   * @private
+   */
+  _recordSearchResults(items) {
+    const known = (list, id) => list.some((resource) => resource.id === id);
+
+    items.forEach((item) => {
+      if (item.id.videoId && !known(this.fixtures.videos, item.id.videoId)) {
+        this.fixtures.videos.push({
+          kind: "youtube#video",
+          id: item.id.videoId,
+          snippet: item.snippet,
+        });
+      }
+      if (
+        item.id.channelId &&
+        item.id.kind === "youtube#channel" &&
+        !known(this.fixtures.channels, item.id.channelId)
+      ) {
+        this.fixtures.channels.push({
+          kind: "youtube#channel",
+          id: item.id.channelId,
+          snippet: item.snippet,
+        });
+      }
+    });
+  }
+
+  /**
+   * Write the fixtures to disk, atomically
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.fixtures, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error("Error saving recorded fixtures:", error.message);
+      throw error;
+    }
+  }
+}
+
+exports.FixtureRecorder = FixtureRecorder;
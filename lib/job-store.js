@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * How many finished (completed, failed or cancelled) jobs are kept; older
+ * ones are removed as new jobs are stored
+ * @type {number}
+ */
+const MAX_FINISHED_JOBS = 200;
+
+/**
+ * Job statuses that no longer change on their own
+ * @type {string[]}
+ */
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * JSON-file store of fetch jobs. Each job lives in its own file so a
+ * checkpoint write only touches the job being fetched, and keeps its videos
+ * in a separate NDJSON file that checkpoints append to, so saving a page
+ * doesn't rewrite the pages before it.
+ */
+class JobStore {
+  /**
+   * @param {string} [directory] - Directory holding the job files
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxFinishedJobs=MAX_FINISHED_JOBS] - Finished jobs to keep
+   */
+  constructor(directory = path.join("data", "jobs"), options = {}) {
+    this.directory = directory;
+    this.maxFinishedJobs = options.maxFinishedJobs || MAX_FINISHED_JOBS;
+  }
+
+  /**
+   * Create and persist a new job
+   * @param {Object} fields - Initial job fields, e.g. `channelInput` and `options`
+   * @returns {Object} The stored job
+   */
+  create(fields) {
+    const job = this.build(fields);
+    this.save(job);
+    return job;
+  }
+
+  /**
+   * Create a new job without persisting it; save() stores it later, if ever
+   * @param {Object} fields - Initial job fields, e.g. `channelInput` and `options`
+   * @returns {Object} The job
+   */
+  build(fields) {
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      status: "pending",
+      ...fields,
+      checkpoint: null,
+      videos: [],
+      videoCount: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Check whether a job has been stored
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True when the job exists
+   */
+  has(jobId) {
+    const filePath = this._jobPath(jobId);
+    return Boolean(filePath) && fs.existsSync(filePath);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} The job, videos included, or null when it doesn't exist
+   */
+  get(jobId) {
+    const filePath = this._jobPath(jobId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const job = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return { ...job, videos: this._readVideos(job) };
+    } catch (error) {
+      console.error(`Ignoring unreadable job file ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a job, stamping its update time. Only the videos added since the
+   * last save are written, appended to the job's video file.
+   * @param {Object} job - Job to store
+   * @param {Object} [options] - Save options
+   * @param {boolean} [options.rewriteVideos=false] - Replace the stored videos instead,
+   *   for a job whose video list was rebuilt rather than added to
+   */
+  save(job, options = {}) {
+    job.updatedAt = new Date().toISOString();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    const filePath = this._jobPath(job.id);
+    const isNew = !fs.existsSync(filePath);
+    const videosPath = this._videosPath(job.id);
+    const stored = options.rewriteVideos || isNew ? 0 : job.videoCount;
+    const lines = job.videos
+      .slice(stored)
+      .map((video) => `${JSON.stringify(video)}\n`)
+      .join("");
+
+    if (stored === 0) {
+      const tempPath = `${videosPath}.tmp`;
+      fs.writeFileSync(tempPath, lines);
+      fs.renameSync(tempPath, videosPath);
+    } else if (lines) {
+      fs.appendFileSync(videosPath, lines);
+    }
+
+    // The job file counts the videos that belong to it, so a crash after the
+    // append but before this write leaves the extra videos ignored
+    job.videoCount = job.videos.length;
+    const { videos, ...fields } = job;
+
+    // Write to a temporary file first so a crash never leaves a truncated job
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(fields));
+    fs.renameSync(tempPath, filePath);
+
+    if (isNew) {
+      this._prune();
+    }
+  }
+
+  /**
+   * Remove a job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True when a job was removed
+   */
+  delete(jobId) {
+    const filePath = this._jobPath(jobId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    fs.rmSync(this._videosPath(jobId), { force: true });
+    return true;
+  }
+
+  _readVideos(job) {
+    const videosPath = this._videosPath(job.id);
+
+    if (!fs.existsSync(videosPath)) {
+      return [];
+    }
+
+    return fs
+      .readFileSync(videosPath, "utf8")
+      .split("\n")
+      .slice(0, job.videoCount)
+      .map((line) => JSON.parse(line));
+  }
+
+  // Remove the oldest finished jobs beyond the retention limit
+  _prune() {
+    const finished = fs
+      .readdirSync(this.directory)
+      .map((name) => /^job_([0-9a-f-]{36})\.json$/.exec(name))
+      .filter(Boolean)
+      .map(([name, jobId]) => {
+        try {
+          const { status, updatedAt } = JSON.parse(
+            fs.readFileSync(path.join(this.directory, name), "utf8")
+          );
+          return { jobId, status, updatedAt };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((job) => job && FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    finished
+      .slice(this.maxFinishedJobs)
+      .forEach(({ jobId }) => this.delete(jobId));
+  }
+
+  _jobPath(jobId) {
+    // Job IDs come from URLs; anything but a UUID could escape the directory
+    if (!/^[0-9a-f-]{36}$/.test(jobId)) {
+      return null;
+    }
+
+    return path.join(this.directory, `job_${jobId}.json`);
+  }
+
+  _videosPath(jobId) {
+    return path.join(this.directory, `job_${jobId}.videos.ndjson`);
+  }
+}
+
+module.exports = { JobStore, MAX_FINISHED_JOBS };
@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { quotaDay } = require("./quota");
+const {
+  QuotaExceededError,
+  KeyInvalidError,
+  ApiKeyNotFoundError,
+  toTypedError,
+} = require("./errors");
+
+/**
+ * How the pool picks the key for the next call:
+ *   - round-robin: every active key in turn
+ *   - least-used: the active key that has spent the fewest units today
+ * @type {string[]}
+ */
+const KEY_STRATEGIES = ["round-robin", "least-used"];
+
+/**
+ * Request header carrying a caller's own API key, used instead of the pool
+ * @type {string}
+ */
+const API_KEY_HEADER = "X-YouTube-Api-Key";
+
+/**
+ * Read the key pool configuration from the environment. Keys come from the
+ * JSON file named by YOUTUBE_API_KEYS_FILE, else the comma-separated
+ * YOUTUBE_API_KEYS, else the single YOUTUBE_API_KEY.
+ * The file holds `{ "strategy": "least-used", "keys": ["...", { "key": "...", "label": "backup" }] }`
+ * or just the array of keys.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{keys: Array<string|Object>, strategy: string}} Keys and selection strategy
+ */
+function loadKeyPoolConfig(env = process.env) {
+  let config = {};
+
+  if (env.YOUTUBE_API_KEYS_FILE) {
+    const parsed = JSON.parse(
+      fs.readFileSync(env.YOUTUBE_API_KEYS_FILE, "utf8")
+    );
+    config = Array.isArray(parsed) ? { keys: parsed } : parsed;
+  } else if (env.YOUTUBE_API_KEYS) {
+    config.keys = env.YOUTUBE_API_KEYS.split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+  } else if (env.YOUTUBE_API_KEY) {
+    config.keys = [env.YOUTUBE_API_KEY];
+  }
+
+  return {
+    keys: config.keys || [],
+    strategy:
+      env.YOUTUBE_API_KEY_STRATEGY || config.strategy || KEY_STRATEGIES[0],
+  };
+}
+
+/**
+ * Get the key a request brings along in the API_KEY_HEADER header
+ * @param {Object} req - Express request
+ * @returns {string|null} The caller's key, or null to use the pool
+ */
+function requestApiKey(req) {
+  const key = req.get(API_KEY_HEADER);
+  return key && key.trim() ? key.trim() : null;
+}
+
+/**
+ * A set of YouTube API keys handed out in rotation. Keys that run out of
+ * quota are taken out of rotation until the next quota day, rejected keys
+ * until they are reset. Today's usage per key is persisted to a JSON file;
+ * keys are stored by fingerprint, never in full.
+ */
+class KeyPool {
+  /**
+   * @param {Array<string|{key: string, label: string}>} [keys] - API keys, optionally labelled
+   * @param {Object} [options] - Pool options
+   * @param {string} [options.strategy="round-robin"] - One of KEY_STRATEGIES
+   * @param {string} [options.filePath] - Usage file location
+   */
+  constructor(keys = [], options = {}) {
+    const {
+      strategy = KEY_STRATEGIES[0],
+      filePath = path.join("data", "api-keys.json"),
+    } = options;
+
+    if (!KEY_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Invalid key strategy: ${strategy}. Expected one of: ${KEY_STRATEGIES.join(", ")}`
+      );
+    }
+
+    this.strategy = strategy;
+    this.filePath = filePath;
+    this.entries = [];
+    this._next = 0;
+
+    for (const entry of keys.map(toEntry)) {
+      if (!this.entries.some((known) => known.id === entry.id)) {
+        this.entries.push(entry);
+      }
+    }
+
+    this.state = this._load();
+  }
+
+  /**
+   * Number of keys in the pool, in rotation or not
+   * @returns {number} Key count
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Pick the key for the next API call
+   * @returns {string} API key
+   * @throws {QuotaExceededError} When every key in rotation has run out of quota
+   * @throws {KeyInvalidError} When there are no keys, or every key was rejected
+   */
+  select() {
+    const active = this.entries.filter(
+      (entry) => this._status(entry.id) === "active"
+    );
+
+    if (active.length === 0) {
+      throw this._noKeyError();
+    }
+
+    if (this.strategy === "least-used") {
+      return active.reduce((best, entry) =>
+        this._usage(entry.id).used < this._usage(best.id).used ? entry : best
+      ).key;
+    }
+
+    // Walk the whole list so retired keys don't shift the others' turns
+    for (let offset = 0; offset < this.entries.length; offset++) {
+      const index = (this._next + offset) % this.entries.length;
+      if (active.includes(this.entries[index])) {
+        this._next = index + 1;
+        return this.entries[index].key;
+      }
+    }
+  }
+
+  /**
+   * Charge the cost of one API call to a key
+   * @param {string} key - API key the call was made with
+   * @param {number} units - Units charged
+   */
+  record(key, units) {
+    const entry = this._find(key);
+    if (!entry) {
+      return;
+    }
+
+    const usage = this._usage(entry.id);
+    usage.used += units;
+    usage.calls++;
+    this._save();
+  }
+
+  /**
+   * Take a key out of rotation if a call made with it failed for the key's sake
+   * @param {string} key - API key the call was made with
+   * @param {Error} error - Error thrown by the API client
+   * @returns {boolean} True when the key was retired, so the call may be retried with another key
+   */
+  retire(key, error) {
+    const entry = this._find(key);
+    const typed = toTypedError(error);
+    const at = new Date().toISOString();
+
+    if (!entry) {
+      return false;
+    }
+
+    if (typed instanceof QuotaExceededError) {
+      this._usage(entry.id).exhaustedAt = at;
+    } else if (typed instanceof KeyInvalidError) {
+      this.state.invalid[entry.id] = { message: typed.message, at };
+    } else {
+      return false;
+    }
+
+    console.warn(
+      `🔑 API key ${entry.label} is out of rotation (${typed.code})`
+    );
+    this._save();
+    return true;
+  }
+
+  /**
+   * Put a retired key back into rotation
+   * @param {string} keyId - Key ID as listed by getUsage
+   * @returns {Object} The key's usage summary
+   * @throws {ApiKeyNotFoundError} When no key has this ID
+   */
+  reset(keyId) {
+    const entry = this.entries.find((candidate) => candidate.id === keyId);
+
+    if (!entry) {
+      throw new ApiKeyNotFoundError(keyId);
+    }
+
+    delete this.state.invalid[entry.id];
+    this._usage(entry.id).exhaustedAt = null;
+    this._save();
+
+    return this._summarize(entry);
+  }
+
+  /**
+   * Get today's usage of every key
+   * @returns {{date: string, strategy: string, active: number, keys: Array<Object>}} Usage summary;
+   *   each key reports `id`, `label`, `status` ("active", "exhausted" or "invalid"), `used` and `calls`
+   */
+  getUsage() {
+    const keys = this.entries.map((entry) => this._summarize(entry));
+
+    return {
+      date: quotaDay(),
+      strategy: this.strategy,
+      active: keys.filter((key) => key.status === "active").length,
+      keys,
+    };
+  }
+
+  _summarize(entry) {
+    const { used, calls, exhaustedAt } = this._usage(entry.id);
+    const invalid = this.state.invalid[entry.id];
+
+    return {
+      id: entry.id,
+      label: entry.label,
+      status: this._status(entry.id),
+      used,
+      calls,
+      retiredAt: invalid ? invalid.at : exhaustedAt,
+      error: invalid ? invalid.message : null,
+    };
+  }
+
+  _status(keyId) {
+    if (this.state.invalid[keyId]) {
+      return "invalid";
+    }
+    return this._usage(keyId).exhaustedAt ? "exhausted" : "active";
+  }
+
+  _noKeyError() {
+    if (this.entries.length === 0) {
+      return new KeyInvalidError("No YouTube API key is configured");
+    }
+
+    return this.entries.some((entry) => this._status(entry.id) === "exhausted")
+      ? new QuotaExceededError(
+          "Every YouTube API key is out of quota until midnight Pacific Time"
+        )
+      : new KeyInvalidError("Every YouTube API key was rejected as invalid");
+  }
+
+  _find(key) {
+    return this.entries.find((entry) => entry.key === key) || null;
+  }
+
+  _usage(keyId) {
+    const date = quotaDay();
+
+    // Quotas reset every day, and exhausted keys with them
+    if (this.state.date !== date) {
+      this.state.date = date;
+      this.state.usage = {};
+    }
+
+    if (!this.state.usage[keyId]) {
+      this.state.usage[keyId] = { used: 0, calls: 0, exhaustedAt: null };
+    }
+
+    return this.state.usage[keyId];
+  }
+
+  _load() {
+    const empty = { date: quotaDay(), usage: {}, invalid: {} };
+
+    if (!fs.existsSync(this.filePath)) {
+      return empty;
+    }
+
+    try {
+      return {
+        ...empty,
+        ...JSON.parse(fs.readFileSync(this.filePath, "utf8")),
+      };
+    } catch (error) {
+      console.error("Ignoring unreadable API key usage file:", error.message);
+      return empty;
+    }
+  }
+
+  _save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+  }
+}
+
+/**
+ * Normalize a configured key to `{ key, id, label }`
+ * @param {string|{key: string, label: string}} config - Key, optionally labelled
+ * @returns {{key: string, id: string, label: string}} Key with its fingerprint ID and display label
+ */
+function toEntry(config) {
+  const { key, label } = typeof config === "string" ? { key: config } : config;
+
+  return {
+    key,
+    id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 12),
+    label: label || `${key.slice(0, 4)}…${key.slice(-4)}`,
+  };
+}
+
+module.exports = {
+  KEY_STRATEGIES,
+  API_KEY_HEADER,
+  KeyPool,
+  loadKeyPoolConfig,
+  requestApiKey,
+};
@@ -0,0 +1,160 @@
+const { google } = require("googleapis");
+const { SessionStore } = require("./session-store");
+const { NotSignedInError, OAuthNotConfiguredError } = require("./errors");
+
+/**
+ * Scopes asked for at sign-in: reading the user's channel, including their
+ * private and unlisted uploads
+ * @type {string[]}
+ */
+const OAUTH_SCOPES = ["https://www.googleapis.com/auth/youtube.readonly"];
+
+/**
+ * Cookie holding the ID of the signed-in user's session
+ * @type {string}
+ */
+const SESSION_COOKIE = "yt_session";
+
+/**
+ * Cookie holding the `state` a sign-in was started with, checked on the way back
+ * @type {string}
+ */
+const STATE_COOKIE = "yt_oauth_state";
+
+/**
+ * Sign-in sessions shared by the auth routes and the routes fetching on a user's behalf
+ * @type {SessionStore}
+ */
+const sessions = new SessionStore();
+
+/**
+ * Whether Google sign-in is set up with GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {boolean} True when users can sign in
+ */
+function isOAuthConfigured(env = process.env) {
+  return Boolean(env.GOOGLE_CLIENT_ID && env.GOOGLE_CLIENT_SECRET);
+}
+
+/**
+ * URL Google sends the user back to after sign-in: GOOGLE_REDIRECT_URI, or
+ * /auth/callback on the host the request came in on
+ * @param {Object} req - Express request
+ * @returns {string} Redirect URI, as registered with the OAuth client
+ */
+function redirectUri(req) {
+  return (
+    process.env.GOOGLE_REDIRECT_URI ||
+    `${req.protocol}://${req.get("host")}/auth/callback`
+  );
+}
+
+/**
+ * Create an OAuth2 client for the app's Google credentials
+ * @param {string} [redirect] - Redirect URI, needed to start a sign-in and exchange its code
+ * @returns {OAuth2Client} OAuth2 client
+ * @throws {OAuthNotConfiguredError} When the client ID or secret is missing
+ */
+function createOAuthClient(redirect) {
+  if (!isOAuthConfigured()) {
+    throw new OAuthNotConfiguredError();
+  }
+
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    redirect
+  );
+}
+
+/**
+ * Create an OAuth2 client on a session's tokens. The client refreshes an
+ * expired access token by itself; refreshed tokens are saved to the session.
+ * @param {Object} session - Stored session
+ * @returns {OAuth2Client} Client to fetch with on the user's behalf
+ */
+function sessionClient(session) {
+  const client = createOAuthClient();
+  client.setCredentials(session.tokens);
+
+  client.on("tokens", (tokens) => {
+    // Refreshes don't hand out a new refresh token; keep the one we have
+    session.tokens = { ...session.tokens, ...tokens };
+    sessions.save(session);
+    console.log(`🔐 Refreshed sign-in of ${session.channel.title}`);
+  });
+
+  return client;
+}
+
+/**
+ * Read the cookies of a request. Cookies whose value isn't valid
+ * percent-encoding are skipped: other sites on the domain may set them.
+ * @param {Object} req - Express request
+ * @returns {Object<string, string>} Cookie values by name
+ */
+function parseCookies(req) {
+  const cookies = {};
+
+  for (const pair of String(req.get("Cookie") || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (index === -1) {
+      continue;
+    }
+
+    try {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(
+        pair.slice(index + 1).trim()
+      );
+    } catch (error) {
+      // A malformed cookie is ignored rather than failing the request
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Get the session of the user a request is signed in as
+ * @param {Object} req - Express request
+ * @returns {Object|null} Session, or null when signed out or expired
+ */
+function requestSession(req) {
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  return sessionId ? sessions.get(sessionId) : null;
+}
+
+/**
+ * Work out which channel a video request is for. With `mine=true` it is the
+ * signed-in user's channel, fetched on their credentials; otherwise it is the
+ * `channel` query parameter, fetched on API keys.
+ * @param {Object} req - Express request
+ * @returns {{channel: string, auth: OAuth2Client|null}} Channel input and the credentials to fetch it with
+ * @throws {NotSignedInError} When `mine=true` is asked for without a session
+ */
+function requestChannel(req) {
+  if (req.query.mine !== "true") {
+    return { channel: req.query.channel, auth: null };
+  }
+
+  const session = requestSession(req);
+  if (!session) {
+    throw new NotSignedInError();
+  }
+
+  return { channel: session.channel.id, auth: sessionClient(session) };
+}
+
+module.exports = {
+  OAUTH_SCOPES,
+  SESSION_COOKIE,
+  STATE_COOKIE,
+  sessions,
+  isOAuthConfigured,
+  redirectUri,
+  createOAuthClient,
+  sessionClient,
+  parseCookies,
+  requestSession,
+  requestChannel,
+};
@@ -0,0 +1,40 @@
+/**
+ * A YouTube playlist as returned by the library and the API routes.
+ *
+ * @typedef {Object} Playlist
+ * @property {string} id - YouTube playlist ID
+ * @property {string} title - Playlist title
+ * @property {string} description - Playlist description
+ * @property {string} publishedAt - Creation time (ISO 8601)
+ * @property {string} channelId - Owning channel ID
+ * @property {string} channelTitle - Owning channel name
+ * @property {Object<string, {url: string, width: number, height: number}>} thumbnails - All thumbnail sizes
+ * @property {number|null} itemCount - Number of videos in the playlist
+ */
+
+/**
+ * Build a Playlist from a playlists.list item
+ * @param {Object} resource - Playlist resource with `snippet` and `contentDetails`
+ * @returns {Playlist} Playlist
+ */
+function playlistFromResource(resource) {
+  const snippet = resource.snippet;
+  const itemCount = resource.contentDetails
+    ? parseInt(resource.contentDetails.itemCount)
+    : NaN;
+
+  return {
+    id: resource.id,
+    title: snippet.title,
+    description: snippet.description || "",
+    publishedAt: snippet.publishedAt,
+    channelId: snippet.channelId,
+    channelTitle: snippet.channelTitle,
+    thumbnails: snippet.thumbnails || {},
+    itemCount: Number.isNaN(itemCount) ? null : itemCount,
+  };
+}
+
+module.exports = {
+  playlistFromResource,
+};
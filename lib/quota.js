@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const { QuotaBudgetError } = require("./errors");
+
+/**
+ * Documented YouTube Data API quota cost per `list` call, by resource, and
+ * per call of other methods, by "<resource>.<method>"
+ * @type {Object<string, number>}
+ */
+const QUOTA_COSTS = {
+  search: 100,
+  channels: 1,
+  videos: 1,
+  playlistItems: 1,
+  playlists: 1,
+  commentThreads: 1,
+  comments: 1,
+  captions: 50,
+  "captions.download": 200,
+};
+
+/**
+ * Default daily quota granted to a YouTube Data API project
+ * @type {number}
+ */
+const DEFAULT_DAILY_BUDGET = 10000;
+
+/**
+ * Number of past days kept in the usage file
+ * @type {number}
+ */
+const HISTORY_DAYS = 30;
+
+/**
+ * Get the current quota day. YouTube resets quotas at midnight Pacific Time.
+ * @param {Date} [now] - Point in time
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function quotaDay(now = new Date()) {
+  return now.toLocaleDateString("en-CA", { timeZone: "America/Los_Angeles" });
+}
+
+/**
+ * Running per-day total of quota units spent, persisted to a JSON file so it survives restarts
+ */
+class QuotaTracker {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {string} [options.filePath] - Usage file location
+   * @param {number|string} [options.budget] - Daily budget in units
+   */
+  constructor(options = {}) {
+    const { filePath = path.join("data", "quota.json"), budget } = options;
+
+    this.filePath = filePath;
+    this.budget = parseInt(budget) || DEFAULT_DAILY_BUDGET;
+    this.days = this._load();
+  }
+
+  /**
+   * Record the cost of one API call
+   * @param {string} resource - API resource, e.g. "search" or "videos", or "<resource>.<method>" for calls other than list
+   * @returns {number} Units charged
+   */
+  record(resource) {
+    const units = QUOTA_COSTS[resource] || 1;
+    const day = this._today();
+
+    day.used += units;
+    day.byResource[resource] = (day.byResource[resource] || 0) + units;
+    this._save();
+
+    return units;
+  }
+
+  /**
+   * Get today's usage
+   * @returns {{date: string, used: number, budget: number, remaining: number, byResource: Object}} Usage summary
+   */
+  getUsage() {
+    const date = quotaDay();
+    const day = this.days[date] || { used: 0, byResource: {} };
+
+    return {
+      date,
+      used: day.used,
+      budget: this.budget,
+      remaining: Math.max(this.budget - day.used, 0),
+      byResource: { ...day.byResource },
+    };
+  }
+
+  /**
+   * Refuse to start work that would exceed today's remaining budget
+   * @param {number} projected - Projected cost in units
+   * @throws {QuotaBudgetError} When the projection does not fit
+   */
+  assertAvailable(projected) {
+    const usage = this.getUsage();
+
+    if (projected > usage.remaining) {
+      throw new QuotaBudgetError(projected, usage);
+    }
+  }
+
+  _today() {
+    const date = quotaDay();
+
+    if (!this.days[date]) {
+      this.days[date] = { used: 0, byResource: {} };
+
+      // Drop the oldest days so the file doesn't grow forever
+      const dates = Object.keys(this.days).sort();
+      dates
+        .slice(0, Math.max(dates.length - HISTORY_DAYS, 0))
+        .forEach((oldDate) => delete this.days[oldDate]);
+    }
+
+    return this.days[date];
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8")).days || {};
+    } catch (error) {
+      console.error("Ignoring unreadable quota file:", error.message);
+      return {};
+    }
+  }
+
+  _save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ days: this.days }, null, 2)
+    );
+  }
+}
+
+module.exports = {
+  QUOTA_COSTS,
+  DEFAULT_DAILY_BUDGET,
+  QuotaBudgetError,
+  QuotaTracker,
+  quotaDay,
+};
@@ -0,0 +1,98 @@
+const { RateLimitError } = require("./errors");
+
+/**
+ * Length of a rate limit window, in milliseconds
+ * @type {number}
+ */
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * In-memory per-client limits on requests per minute and on streams open at
+ * the same time. Counts are lost on restart, which only ever lets a client
+ * through early.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.windowMs=WINDOW_MS] - Length of a request window
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || WINDOW_MS;
+    this.windows = new Map();
+    this.streams = new Map();
+  }
+
+  /**
+   * Count a request against a client's limit for the current window
+   * @param {string} clientId - Token ID, or the address of an anonymous client
+   * @param {number} limit - Requests allowed per window
+   * @returns {{limit: number, remaining: number}} What is left of the window
+   * @throws {RateLimitError} When the client has used up the window
+   */
+  hit(clientId, limit) {
+    const now = Date.now();
+    let window = this.windows.get(clientId);
+
+    if (!window || now - window.start >= this.windowMs) {
+      this._prune(now);
+      window = { start: now, count: 0 };
+      this.windows.set(clientId, window);
+    }
+
+    if (window.count >= limit) {
+      throw new RateLimitError(
+        `Rate limit of ${limit} requests per minute exceeded`,
+        { retryAfter: Math.ceil((window.start + this.windowMs - now) / 1000) }
+      );
+    }
+
+    window.count++;
+    return { limit, remaining: limit - window.count };
+  }
+
+  /**
+   * Take one of a client's stream slots
+   * @param {string} clientId - Token ID, or the address of an anonymous client
+   * @param {number} limit - Streams the client may have open at once
+   * @returns {Function} Gives the slot back; calling it again does nothing
+   * @throws {RateLimitError} With code `tooManyStreams` when every slot is taken
+   */
+  openStream(clientId, limit) {
+    const open = this.streams.get(clientId) || 0;
+
+    if (open >= limit) {
+      throw new RateLimitError(
+        `Limit of ${limit} concurrent streams reached; close one first`,
+        { code: "tooManyStreams" }
+      );
+    }
+
+    this.streams.set(clientId, open + 1);
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const remaining = this.streams.get(clientId) - 1;
+      if (remaining > 0) {
+        this.streams.set(clientId, remaining);
+      } else {
+        this.streams.delete(clientId);
+      }
+    };
+  }
+
+  // Forget clients whose window is over, so anonymous addresses don't pile up
+  _prune(now) {
+    for (const [clientId, window] of this.windows) {
+      if (now - window.start >= this.windowMs) {
+        this.windows.delete(clientId);
+      }
+    }
+  }
+}
+
+module.exports = { RateLimiter, WINDOW_MS };
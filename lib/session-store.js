@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * How long a sign-in lasts without being used, in milliseconds
+ * @type {number}
+ */
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * JSON-file store of Google sign-in sessions. Each session lives in its own
+ * file holding the user's OAuth tokens and channel; sessions left unused for
+ * longer than their TTL are dropped when next read. The directory must stay
+ * out of anything the server serves statically, hence `data/` and not `output/`.
+ */
+class SessionStore {
+  /**
+   * @param {string} [directory] - Directory holding the session files
+   * @param {Object} [options] - Store options
+   * @param {number} [options.ttl=SESSION_TTL] - Lifetime of an unused session, in milliseconds
+   */
+  constructor(directory = path.join("data", "sessions"), options = {}) {
+    this.directory = directory;
+    this.ttl = options.ttl || SESSION_TTL;
+  }
+
+  /**
+   * Create and persist a new session
+   * @param {Object} fields - Initial session fields, e.g. `tokens` and `channel`
+   * @returns {Object} The stored session
+   */
+  create(fields) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.save(session);
+    return session;
+  }
+
+  /**
+   * Get a live session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} The session, or null when it doesn't exist or has expired
+   */
+  get(sessionId) {
+    const filePath = this._sessionPath(sessionId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(
+        `Ignoring unreadable session file ${filePath}:`,
+        error.message
+      );
+      return null;
+    }
+
+    if (Date.now() - Date.parse(session.updatedAt) > this.ttl) {
+      this.delete(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Persist a session, stamping its update time, which keeps it alive
+   * @param {Object} session - Session to store
+   */
+  save(session) {
+    session.updatedAt = new Date().toISOString();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated session
+    const filePath = this._sessionPath(session.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(session), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True when a session was removed
+   */
+  delete(sessionId) {
+    const filePath = this._sessionPath(sessionId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  _sessionPath(sessionId) {
+    // Session IDs come from cookies; anything but a UUID could escape the directory
+    if (!/^[0-9a-f-]{36}$/.test(sessionId)) {
+      return null;
+    }
+
+    return path.join(this.directory, `session_${sessionId}.json`);
+  }
+}
+
+module.exports = { SessionStore, SESSION_TTL };
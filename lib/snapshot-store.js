@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Most points kept per series; older ones are dropped first
+ * @type {number}
+ */
+const MAX_POINTS = 1000;
+
+/**
+ * File mapping every recorded video ID to the channel it is filed under
+ * @type {string}
+ */
+const VIDEO_INDEX_FILE = "video-index.json";
+
+/**
+ * Counters recorded for channels and videos
+ * @type {{channel: string[], video: string[]}}
+ */
+const SNAPSHOT_FIELDS = {
+  channel: ["subscriberCount", "videoCount", "viewCount"],
+  video: ["viewCount", "likeCount", "commentCount"],
+};
+
+/**
+ * Parse a counter that may come back as a string, or be hidden
+ * @param {string|number|null|undefined} value - Counter value
+ * @returns {number|null} Number, or null when absent
+ */
+function toCount(value) {
+  const count = parseInt(value);
+  return Number.isNaN(count) ? null : count;
+}
+
+/**
+ * Turn raw snapshots into a time series with the change since the previous
+ * point and the daily rate of `rateField` over that interval
+ * @param {Array<Object>} points - Snapshots `{ at, ...counters }`, oldest first
+ * @param {string[]} fields - Counters to compute deltas for
+ * @param {string} rateField - Counter to express per day, e.g. "viewCount"
+ * @returns {{points: Array<Object>, summary: Object|null}} Series and overall change, or a null summary without points
+ */
+function buildSeries(points, fields, rateField) {
+  const series = points.map((point, index) => {
+    const previous = points[index - 1];
+    if (!previous) {
+      return { ...point, delta: null, perDay: null };
+    }
+
+    const days = (new Date(point.at) - new Date(previous.at)) / 86400000;
+    const delta = Object.fromEntries(
+      fields.map((field) => [
+        field,
+        point[field] === null || previous[field] === null
+          ? null
+          : point[field] - previous[field],
+      ])
+    );
+
+    return {
+      ...point,
+      delta,
+      perDay:
+        days > 0 && delta[rateField] !== null ? delta[rateField] / days : null,
+    };
+  });
+
+  if (points.length === 0) {
+    return { points: series, summary: null };
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const days = (new Date(last.at) - new Date(first.at)) / 86400000;
+  const change = Object.fromEntries(
+    fields.map((field) => [
+      field,
+      first[field] === null || last[field] === null
+        ? null
+        : last[field] - first[field],
+    ])
+  );
+
+  return {
+    points: series,
+    summary: {
+      from: first.at,
+      to: last.at,
+      days,
+      change,
+      perDay:
+        days > 0 && change[rateField] !== null
+          ? change[rateField] / days
+          : null,
+    },
+  };
+}
+
+/**
+ * JSON-file store of counter snapshots. Each channel lives in its own file
+ * holding the channel's series and one series per video; an index file says
+ * which channel file a video's series is in.
+ */
+class SnapshotStore {
+  /**
+   * @param {string} directory - Directory holding the snapshot files
+   */
+  constructor(directory = path.join("data", "snapshots")) {
+    this.directory = directory;
+  }
+
+  /**
+   * Record the current counters of a channel and its videos
+   * @param {Object} channelInfo - Channel information from getChannelInfo
+   * @param {Video[]} videos - Videos with details; videos fetched without counters are skipped
+   * @param {string} [at] - Snapshot time (default now)
+   */
+  record(channelInfo, videos, at = new Date().toISOString()) {
+    const entry = this._read(channelInfo.id) || {
+      channelId: channelInfo.id,
+      channel: [],
+      videos: {},
+    };
+
+    append(entry.channel, snapshot(channelInfo, SNAPSHOT_FIELDS.channel, at));
+
+    const index = this._readVideoIndex();
+    let indexChanged = false;
+
+    videos
+      .filter((video) => video.viewCount !== null)
+      .forEach((video) => {
+        // Video IDs such as "constructor" must not hit Object.prototype
+        if (!Object.hasOwn(entry.videos, video.id)) {
+          entry.videos[video.id] = [];
+        }
+        append(
+          entry.videos[video.id],
+          snapshot(video, SNAPSHOT_FIELDS.video, at)
+        );
+
+        if (index.get(video.id) !== channelInfo.id) {
+          index.set(video.id, channelInfo.id);
+          indexChanged = true;
+        }
+      });
+
+    this._write(channelInfo.id, entry);
+    if (indexChanged) {
+      this._writeVideoIndex(index);
+    }
+  }
+
+  /**
+   * Get the snapshots of a channel
+   * @param {string} channelId - YouTube channel ID
+   * @returns {Object|null} `{ channelId, channel, videos }` or null when never recorded
+   */
+  getChannel(channelId) {
+    return this._read(channelId);
+  }
+
+  /**
+   * Get the snapshots of one video
+   * @param {string} videoId - YouTube video ID
+   * @returns {{channelId: string, points: Array<Object>}|null} Snapshots, or null when never recorded
+   */
+  getVideo(videoId) {
+    const channelId = this._readVideoIndex().get(videoId);
+    const entry = channelId ? this._read(channelId) : null;
+
+    if (!entry || !Object.hasOwn(entry.videos, videoId)) {
+      return null;
+    }
+
+    return { channelId: entry.channelId, points: entry.videos[videoId] };
+  }
+
+  _path(channelId) {
+    // Channel IDs come from URLs; keep them inside the directory
+    if (!/^[\w-]+$/.test(channelId)) {
+      return null;
+    }
+
+    return path.join(this.directory, `channel_${channelId}.json`);
+  }
+
+  _read(channelId) {
+    const filePath = this._path(channelId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(
+        `Ignoring unreadable snapshot file ${filePath}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  _write(channelId, entry) {
+    this._writeFile(this._path(channelId), entry);
+  }
+
+  // Video ID to channel ID of every recorded video. Stores from before the
+  // index existed get it built from their channel files, once.
+  _readVideoIndex() {
+    const indexPath = path.join(this.directory, VIDEO_INDEX_FILE);
+
+    if (fs.existsSync(indexPath)) {
+      try {
+        return new Map(
+          Object.entries(JSON.parse(fs.readFileSync(indexPath, "utf8")))
+        );
+      } catch (error) {
+        console.error(
+          `Rebuilding unreadable snapshot index ${indexPath}:`,
+          error.message
+        );
+      }
+    }
+
+    const index = new Map();
+    if (!fs.existsSync(this.directory)) {
+      return index;
+    }
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(/^channel_(.+)\.json$/);
+      const entry = match && this._read(match[1]);
+
+      if (entry) {
+        Object.keys(entry.videos).forEach((videoId) =>
+          index.set(videoId, entry.channelId)
+        );
+      }
+    }
+
+    if (index.size > 0) {
+      this._writeVideoIndex(index);
+    }
+    return index;
+  }
+
+  _writeVideoIndex(index) {
+    this._writeFile(
+      path.join(this.directory, VIDEO_INDEX_FILE),
+      Object.fromEntries(index)
+    );
+  }
+
+  _writeFile(filePath, data) {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated file
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+function snapshot(source, fields, at) {
+  return {
+    at,
+    ...Object.fromEntries(
+      fields.map((field) => [field, toCount(source[field])])
+    ),
+  };
+}
+
+function append(points, point) {
+  points.push(point);
+  if (points.length > MAX_POINTS) {
+    points.splice(0, points.length - MAX_POINTS);
+  }
+}
+
+exports.SnapshotStore = SnapshotStore;
+exports.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+exports.buildSeries = buildSeries;
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ApiTokenNotFoundError } = require("./errors");
+
+/**
+ * Prefix of every issued API token, so leaked tokens are easy to spot
+ * @type {string}
+ */
+const TOKEN_PREFIX = "ytf_";
+
+/**
+ * JSON-file store of the API tokens clients authenticate with. Tokens are
+ * stored by hash: the token itself is only handed out once, when created.
+ */
+class TokenStore {
+  /**
+   * @param {string} [filePath] - Token file location
+   */
+  constructor(filePath = path.join("data", "api-tokens.json")) {
+    this.filePath = filePath;
+    this.tokens = this._load();
+  }
+
+  /**
+   * Issue a new token
+   * @param {Object} fields - Token settings
+   * @param {string} fields.label - Who or what the token is for
+   * @param {number|null} [fields.requestsPerMinute] - Request limit; null uses the server default
+   * @param {number|null} [fields.concurrentStreams] - Open stream limit; null uses the server default
+   * @returns {Object} The token's summary, plus the token itself in `token`
+   */
+  create({ label, requestsPerMinute = null, concurrentStreams = null }) {
+    const secret = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    const entry = {
+      id: crypto.randomUUID(),
+      label,
+      hash: hashToken(secret),
+      hint: `${secret.slice(0, TOKEN_PREFIX.length + 4)}…${secret.slice(-4)}`,
+      requestsPerMinute,
+      concurrentStreams,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+
+    this.tokens.push(entry);
+    this._save();
+
+    return { ...summarize(entry), token: secret };
+  }
+
+  /**
+   * List every token, revoked ones included
+   * @returns {Object[]} Token summaries, oldest first
+   */
+  list() {
+    return this.tokens.map(summarize);
+  }
+
+  /**
+   * Look up the live token a client presented, stamping when it was last used
+   * @param {string} secret - Token as sent by the client
+   * @returns {Object|null} Token summary, or null when the token is unknown or revoked
+   */
+  verify(secret) {
+    const hash = hashToken(secret);
+    const entry = this.tokens.find(
+      (candidate) => candidate.hash === hash && !candidate.revokedAt
+    );
+
+    if (!entry) {
+      return null;
+    }
+
+    // A minute's precision is plenty, and spares a write per request
+    const now = new Date();
+    if (!entry.lastUsedAt || now - new Date(entry.lastUsedAt) > 60 * 1000) {
+      entry.lastUsedAt = now.toISOString();
+      this._save();
+    }
+
+    return summarize(entry);
+  }
+
+  /**
+   * Revoke a token; it is kept in the list, marked revoked
+   * @param {string} tokenId - Token ID as listed
+   * @returns {Object} The token's summary
+   * @throws {ApiTokenNotFoundError} When no token has this ID
+   */
+  revoke(tokenId) {
+    const entry = this.tokens.find((candidate) => candidate.id === tokenId);
+
+    if (!entry) {
+      throw new ApiTokenNotFoundError(tokenId);
+    }
+
+    if (!entry.revokedAt) {
+      entry.revokedAt = new Date().toISOString();
+      this._save();
+    }
+
+    return summarize(entry);
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8")).tokens || [];
+    } catch (error) {
+      console.error("Ignoring unreadable API token file:", error.message);
+      return [];
+    }
+  }
+
+  _save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ tokens: this.tokens }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+}
+
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * A token as reported by the admin API, without its hash
+ * @param {Object} entry - Stored token
+ * @returns {Object} Token summary
+ */
+function summarize({ hash, ...summary }) {
+  return summary;
+}
+
+module.exports = { TokenStore, TOKEN_PREFIX };
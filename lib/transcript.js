@@ -0,0 +1,114 @@
+/**
+ * One timed line of a transcript
+ *
+ * @typedef {Object} TranscriptSegment
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {string} text - Spoken text
+ */
+
+/**
+ * Parse a WebVTT timestamp
+ * @param {string} timestamp - "hh:mm:ss.mmm" or "mm:ss.mmm"
+ * @returns {number} Seconds
+ */
+function parseTimestamp(timestamp) {
+  return timestamp
+    .replace(",", ".")
+    .split(":")
+    .reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Turn a WebVTT caption file into transcript segments. Markup is stripped and
+ * the repeated lines of rolling automatic captions are merged.
+ * @param {string} vtt - WebVTT document
+ * @returns {TranscriptSegment[]} Segments in playback order
+ */
+function parseVtt(vtt) {
+  const segments = [];
+
+  String(vtt)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/)
+    .forEach((block) => {
+      const lines = block.split("\n");
+      const timing = lines.findIndex((line) => line.includes("-->"));
+      if (timing === -1) {
+        return;
+      }
+
+      const [start, end] = lines[timing]
+        .split("-->")
+        .map((part) => parseTimestamp(part.trim().split(/\s+/)[0]));
+      const text = lines
+        .slice(timing + 1)
+        .join(" ")
+        .replace(/<[^>]*>/g, "")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/\s+/g, " ")
+        .trim();
+
+      const previous = segments[segments.length - 1];
+      if (!text) {
+        return;
+      }
+      if (previous && previous.text === text) {
+        previous.end = end;
+        return;
+      }
+
+      segments.push({ start, end, text });
+    });
+
+  return segments;
+}
+
+/**
+ * Pick the caption track to download: the requested language if there is
+ * one, and human-made captions over automatic ones
+ * @param {Array<Object>} tracks - Tracks from getCaptionTracks
+ * @param {string} [language] - Preferred language code, e.g. "en"
+ * @returns {Object|null} Chosen track, or null when there are none
+ */
+function pickCaptionTrack(tracks, language = null) {
+  const matching = language
+    ? tracks.filter(
+        (track) =>
+          track.language === language ||
+          track.language.startsWith(`${language}-`)
+      )
+    : [];
+  const candidates = matching.length > 0 ? matching : tracks;
+
+  return (
+    candidates.find((track) => track.trackKind !== "asr") ||
+    candidates[0] ||
+    null
+  );
+}
+
+/**
+ * Find the segments of a transcript that contain a query, ignoring case
+ * @param {TranscriptSegment[]} segments - Transcript segments
+ * @param {string} query - Text to look for
+ * @returns {TranscriptSegment[]} Matching segments
+ */
+function findSegments(segments, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return [];
+  }
+
+  return segments.filter((segment) =>
+    segment.text.toLowerCase().includes(needle)
+  );
+}
+
+module.exports = {
+  parseVtt,
+  pickCaptionTrack,
+  findSegments,
+};
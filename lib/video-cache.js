@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Bumped whenever the stored video shape changes; older entries are treated as a cache miss
+ * @type {number}
+ */
+const CACHE_VERSION = 5;
+
+/**
+ * JSON-file store of channel info and video records, keyed by channel ID.
+ * Each channel lives in its own file under the cache directory, and an
+ * `aliases.json` index remembers which channel ID an input resolved to so
+ * repeated lookups don't spend quota.
+ */
+class VideoCache {
+  /**
+   * @param {string} directory - Directory holding the cache files
+   */
+  constructor(directory = path.join("data", "cache")) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get the cached entry for a channel
+   * @param {string} channelId - YouTube channel ID
+   * @returns {Object|null} `{ channelId, channelInfo, videos, updatedAt }` or null when not cached
+   */
+  getChannel(channelId) {
+    const entry = this._readJson(this._channelPath(channelId));
+    return entry && entry.version === CACHE_VERSION ? entry : null;
+  }
+
+  /**
+   * Store channel info and videos, replacing any previous entry
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} channelInfo - Channel information from getChannelInfo
+   * @param {Video[]} videos - Video records
+   * @returns {Object} The stored entry
+   */
+  saveChannel(channelId, channelInfo, videos) {
+    const entry = {
+      version: CACHE_VERSION,
+      channelId,
+      channelInfo,
+      videos,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this._writeJson(this._channelPath(channelId), entry);
+    return entry;
+  }
+
+  /**
+   * Get the transcripts stored for a channel's videos. They live next to the
+   * channel entry, so refreshing the videos keeps them.
+   * @param {string} channelId - YouTube channel ID
+   * @returns {Object<string, Object>} Transcripts keyed by video ID; failed downloads have `segments: null` and an `error`
+   */
+  getTranscripts(channelId) {
+    return this._readJson(this._transcriptsPath(channelId)) || {};
+  }
+
+  /**
+   * Store the transcript of one video, or why it couldn't be downloaded
+   * @param {string} channelId - YouTube channel ID
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} transcript - `{ trackId, language, trackKind, segments }`, or `{ segments: null, error }`
+   * @returns {Object} The stored transcript
+   */
+  saveTranscript(channelId, videoId, transcript) {
+    const transcripts = this.getTranscripts(channelId);
+    transcripts[videoId] = {
+      ...transcript,
+      fetchedAt: new Date().toISOString(),
+    };
+    this._writeJson(this._transcriptsPath(channelId), transcripts);
+    return transcripts[videoId];
+  }
+
+  /**
+   * Look up the channel ID a previous input resolved to
+   * @param {string} input - Channel URL, username, or channel ID
+   * @returns {string|null} Channel ID or null when unknown
+   */
+  getChannelIdForInput(input) {
+    const aliases = this._readJson(this._aliasesPath()) || {};
+    return aliases[input.trim()] || null;
+  }
+
+  /**
+   * Remember the channel ID an input resolved to
+   * @param {string} input - Channel URL, username, or channel ID
+   * @param {string} channelId - Resolved YouTube channel ID
+   */
+  setChannelIdForInput(input, channelId) {
+    const aliases = this._readJson(this._aliasesPath()) || {};
+    aliases[input.trim()] = channelId;
+    this._writeJson(this._aliasesPath(), aliases);
+  }
+
+  _channelPath(channelId) {
+    return path.join(this.directory, `channel_${channelId}.json`);
+  }
+
+  _transcriptsPath(channelId) {
+    return path.join(this.directory, `transcripts_${channelId}.json`);
+  }
+
+  _aliasesPath() {
+    return path.join(this.directory, "aliases.json");
+  }
+
+  _readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(
+        `Ignoring unreadable cache file ${filePath}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  _writeJson(filePath, data) {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated cache
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+exports.VideoCache = VideoCache;
@@ -0,0 +1,188 @@
+const ExcelJS = require("exceljs");
+const { videoSchema } = require("./video-model");
+
+/**
+ * Supported export formats with the response headers they are served with
+ * @type {Object<string, {contentType: string, extension: string}>}
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+/**
+ * Columns that can be exported, in their default order
+ * @type {string[]}
+ */
+const EXPORT_FIELDS = Object.keys(videoSchema.properties);
+
+/**
+ * Parse a comma-separated column list
+ * @param {string|string[]|undefined} fields - e.g. "id,title,viewCount"; all columns when empty
+ * @returns {string[]|null} Columns in the requested order, or null when one is unknown
+ */
+function parseFields(fields) {
+  if (!fields || fields.length === 0) {
+    return EXPORT_FIELDS;
+  }
+
+  const list = (Array.isArray(fields) ? fields : fields.split(","))
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  return list.every((field) => EXPORT_FIELDS.includes(field)) ? list : null;
+}
+
+/**
+ * Keep only the selected columns of a video
+ * @param {Video} video - Video to export
+ * @param {string[]} fields - Columns to keep
+ * @returns {Object} Video with only those columns, in column order
+ */
+function pickFields(video, fields) {
+  return Object.fromEntries(fields.map((field) => [field, video[field]]));
+}
+
+/**
+ * Flatten a value into a single spreadsheet cell
+ * @param {*} value - Column value
+ * @returns {string|number} Cell value
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.join("; ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Quote a CSV cell as RFC 4180 requires: wrap cells containing a delimiter,
+ * quote or line break in double quotes and double any embedded quotes
+ * @param {*} value - Column value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  const cell = String(toCell(value));
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Create a writer that streams videos to an output row by row, so a large
+ * channel never has to be held in one string.
+ * @param {stream.Writable} output - Destination, e.g. an HTTP response or file stream
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string[]} [fields] - Columns to write (default all)
+ * @returns {{write: function(Video): void, end: function(): Promise<void>}} Writer; `end` finishes and closes the output
+ */
+function createExportWriter(output, format, fields = EXPORT_FIELDS) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(
+      `Invalid format: ${format}. Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+
+  const endOutput = () =>
+    new Promise((resolve) => {
+      output.end(resolve);
+    });
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet("Videos");
+    sheet.columns = fields.map((field) => ({ header: field, key: field }));
+
+    return {
+      write: (video) => {
+        const row = Object.fromEntries(
+          fields.map((field) => [field, toCell(video[field])])
+        );
+        sheet.addRow(row).commit();
+      },
+      // Committing the workbook writes the zip trailer and ends the output
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === "csv") {
+    // The byte order mark makes Excel read the file as UTF-8
+    output.write(`\uFEFF${fields.map(toCsvCell).join(",")}\r\n`);
+
+    return {
+      write: (video) => {
+        output.write(
+          `${fields.map((field) => toCsvCell(video[field])).join(",")}\r\n`
+        );
+      },
+      end: endOutput,
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      write: (video) => {
+        output.write(`${JSON.stringify(pickFields(video, fields))}\n`);
+      },
+      end: endOutput,
+    };
+  }
+
+  // JSON: a single array, written one element at a time
+  let count = 0;
+  output.write("[");
+
+  return {
+    write: (video) => {
+      output.write(
+        `${count++ > 0 ? "," : ""}\n${JSON.stringify(pickFields(video, fields))}`
+      );
+    },
+    end: () => {
+      output.write(count > 0 ? "\n]\n" : "]\n");
+      return endOutput();
+    },
+  };
+}
+
+/**
+ * Write a list of videos to an output in one go
+ * @param {Video[]} videos - Videos to export
+ * @param {stream.Writable} output - Destination
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string[]} [fields] - Columns to write (default all)
+ * @returns {Promise<void>} Resolves once the output has been closed
+ */
+async function exportVideos(videos, output, format, fields = EXPORT_FIELDS) {
+  const writer = createExportWriter(output, format, fields);
+  videos.forEach((video) => writer.write(video));
+  await writer.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  parseFields,
+  createExportWriter,
+  exportVideos,
+};
@@ -0,0 +1,292 @@
+const Ajv = require("ajv");
+const videoSchema = require("./video.schema.json");
+const { InvalidVideoError } = require("./errors");
+
+/**
+ * A YouTube video as returned by the library, the API routes and the stream.
+ * `video.schema.json` is the source of truth for this shape.
+ *
+ * @typedef {Object} Video
+ * @property {string} id - YouTube video ID
+ * @property {string} title - Video title
+ * @property {string} description - Video description
+ * @property {string} publishedAt - Publication time (ISO 8601)
+ * @property {string} channelId - Uploading channel ID
+ * @property {string} channelTitle - Uploading channel name
+ * @property {Object<string, {url: string, width: number, height: number}>} thumbnails - All thumbnail sizes (default, medium, high, standard, maxres)
+ * @property {string|null} duration - ISO 8601 duration, e.g. "PT10M30S"
+ * @property {number|null} durationSeconds - Duration in seconds
+ * @property {number|null} viewCount - Number of views
+ * @property {number|null} likeCount - Number of likes
+ * @property {number|null} commentCount - Number of comments
+ * @property {string[]} tags - Video tags
+ * @property {string|null} kind - One of VIDEO_KINDS; null without details
+ * @property {LiveDetails|null} live - Broadcast times and viewers of live streams and premieres
+ * @property {string|null} privacyStatus - One of PRIVACY_STATUSES; null without details
+ */
+
+/**
+ * Broadcast details of a live stream or premiere
+ *
+ * @typedef {Object} LiveDetails
+ * @property {string|null} scheduledStartTime - Announced start (ISO 8601)
+ * @property {string|null} actualStartTime - When the broadcast started (ISO 8601)
+ * @property {string|null} actualEndTime - When the broadcast ended (ISO 8601)
+ * @property {number|null} concurrentViewers - Viewers right now, while live
+ */
+
+/**
+ * Kinds of video:
+ *   - regular: an ordinary upload
+ *   - short: a vertical video of up to three minutes
+ *   - live: broadcasting right now
+ *   - pastLive: a finished live stream or premiere
+ *   - upcoming: a scheduled live stream
+ *   - premiere: an uploaded video scheduled to premiere
+ *   - membersOnly: only visible to channel members
+ * @type {string[]}
+ */
+const VIDEO_KINDS = [
+  "regular",
+  "short",
+  "live",
+  "pastLive",
+  "upcoming",
+  "premiere",
+  "membersOnly",
+];
+
+/**
+ * Who can watch a video. Unlisted and private videos only come back to their
+ * owner, on a fetch made with the owner's credentials.
+ * @type {string[]}
+ */
+const PRIVACY_STATUSES = ["public", "unlisted", "private"];
+
+/**
+ * Longest video counted as a Short, in seconds. YouTube accepts Shorts of up
+ * to three minutes.
+ * @type {number}
+ */
+const SHORTS_MAX_SECONDS = 180;
+
+/**
+ * Longest video counted as a Short when its shape is unknown, in seconds.
+ * Longer videos up to SHORTS_MAX_SECONDS only count when they are vertical.
+ * @type {number}
+ */
+const SHORTS_UNKNOWN_SHAPE_MAX_SECONDS = 60;
+
+const ajv = new Ajv({ allErrors: true });
+// Only date-time is used; a full format plugin isn't worth a dependency
+ajv.addFormat("date-time", (value) => !Number.isNaN(Date.parse(value)));
+const validate = ajv.compile(videoSchema);
+
+/**
+ * Convert an ISO 8601 duration to seconds
+ * @param {string|undefined} duration - Duration such as "PT1H2M3S" or "P1DT2H"
+ * @returns {number|null} Seconds, or null when the duration is missing or malformed
+ */
+function parseDuration(duration) {
+  const match =
+    duration &&
+    duration.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return (
+    Number(days) * 86400 +
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds)
+  );
+}
+
+/**
+ * Parse an API counter, which comes back as a string and is missing when hidden
+ * @param {string|undefined} value - Counter value
+ * @returns {number|null} Number, or null when absent
+ */
+function parseCount(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+/**
+ * Build a Video from a snippet alone, as found on search results and playlist items.
+ * Counters and duration stay null until details are fetched.
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} snippet - Resource snippet
+ * @returns {Video} Video without details
+ */
+function videoFromSnippet(videoId, snippet) {
+  return {
+    id: videoId,
+    title: snippet.title,
+    description: snippet.description || "",
+    publishedAt: snippet.publishedAt,
+    // Playlist items name the playlist owner in channelId and the uploader separately
+    channelId: snippet.videoOwnerChannelId || snippet.channelId,
+    channelTitle: snippet.videoOwnerChannelTitle || snippet.channelTitle,
+    thumbnails: snippet.thumbnails || {},
+    duration: null,
+    durationSeconds: null,
+    viewCount: null,
+    likeCount: null,
+    commentCount: null,
+    tags: [],
+    kind: null,
+    live: null,
+    privacyStatus: null,
+  };
+}
+
+/**
+ * Drop what only videos.list provides, leaving a video as a fetch without
+ * details would have returned it
+ * @param {Video} video - Video with details
+ * @returns {Video} Video without details
+ */
+function withoutDetails(video) {
+  return videoFromSnippet(video.id, video);
+}
+
+/**
+ * Classify a `videos.list` resource. Shorts are told apart by the player's
+ * aspect ratio when it was requested, otherwise only videos of a minute or
+ * less count. A scheduled broadcast that already has a duration is a
+ * premiere of an uploaded video; live streams have none until they end.
+ * Members-only videos can't be recognized from the resource; the
+ * fetcher marks them from the channel's members-only playlist.
+ * @param {Object} resource - Item returned by videos.list
+ * @param {number|null} durationSeconds - Parsed duration
+ * @returns {string} One of VIDEO_KINDS
+ */
+function videoKind(resource, durationSeconds) {
+  const { snippet, liveStreamingDetails, player } = resource;
+
+  if (snippet.liveBroadcastContent === "live") {
+    return "live";
+  }
+  if (snippet.liveBroadcastContent === "upcoming") {
+    return liveStreamingDetails && durationSeconds > 0
+      ? "premiere"
+      : "upcoming";
+  }
+  if (liveStreamingDetails && liveStreamingDetails.actualEndTime) {
+    return "pastLive";
+  }
+
+  const vertical =
+    player && player.embedWidth && player.embedHeight
+      ? Number(player.embedHeight) >= Number(player.embedWidth)
+      : null;
+
+  return looksLikeShort(durationSeconds, vertical) ? "short" : "regular";
+}
+
+/**
+ * The Shorts rule shared by videoKind and isShort: at most three minutes and
+ * vertical or square, or at most a minute when the shape is unknown
+ * @param {number|null} durationSeconds - Parsed duration
+ * @param {boolean|null} vertical - Whether the player is vertical or square; null when unknown
+ * @returns {boolean} True for Shorts
+ */
+function looksLikeShort(durationSeconds, vertical) {
+  return (
+    durationSeconds !== null &&
+    durationSeconds <= SHORTS_MAX_SECONDS &&
+    (vertical === null
+      ? durationSeconds <= SHORTS_UNKNOWN_SHAPE_MAX_SECONDS
+      : vertical)
+  );
+}
+
+/**
+ * Tell whether a video is a Short, falling back to its duration for videos
+ * stored before kinds were recorded, as videoKind does without player data
+ * @param {Video} video - Video
+ * @returns {boolean} True for Shorts
+ */
+function isShort(video) {
+  if (video.kind) {
+    return video.kind === "short";
+  }
+
+  return looksLikeShort(video.durationSeconds, null);
+}
+
+/**
+ * Pick the broadcast details of a `videos.list` resource
+ * @param {Object|undefined} details - The resource's `liveStreamingDetails`
+ * @returns {LiveDetails|null} Details, or null for videos that were never broadcast
+ */
+function liveFromResource(details) {
+  if (!details) {
+    return null;
+  }
+
+  return {
+    scheduledStartTime: details.scheduledStartTime || null,
+    actualStartTime: details.actualStartTime || null,
+    actualEndTime: details.actualEndTime || null,
+    concurrentViewers: parseCount(details.concurrentViewers),
+  };
+}
+
+/**
+ * Build a Video from a `videos.list` resource
+ * @param {Object} resource - Item returned by videos.list with snippet, statistics, contentDetails,
+ *   liveStreamingDetails, player and status
+ * @returns {Video} Video with details
+ */
+function videoFromResource(resource) {
+  const { snippet, statistics = {}, contentDetails = {}, status } = resource;
+  const durationSeconds = parseDuration(contentDetails.duration);
+
+  return {
+    ...videoFromSnippet(resource.id, snippet),
+    duration: contentDetails.duration || null,
+    durationSeconds,
+    viewCount: parseCount(statistics.viewCount),
+    likeCount: parseCount(statistics.likeCount),
+    commentCount: parseCount(statistics.commentCount),
+    tags: snippet.tags || [],
+    kind: videoKind(resource, durationSeconds),
+    live: liveFromResource(resource.liveStreamingDetails),
+    privacyStatus:
+      status && PRIVACY_STATUSES.includes(status.privacyStatus)
+        ? status.privacyStatus
+        : null,
+  };
+}
+
+/**
+ * Check a video against the Video schema
+ * @param {Object} video - Video to check
+ * @returns {Video} The same video
+ * @throws {InvalidVideoError} When the video doesn't match the schema
+ */
+function assertValidVideo(video) {
+  if (!validate(video)) {
+    throw new InvalidVideoError(video, validate.errors);
+  }
+
+  return video;
+}
+
+module.exports = {
+  videoSchema,
+  VIDEO_KINDS,
+  PRIVACY_STATUSES,
+  SHORTS_MAX_SECONDS,
+  SHORTS_UNKNOWN_SHAPE_MAX_SECONDS,
+  parseDuration,
+  isShort,
+  videoFromSnippet,
+  videoFromResource,
+  withoutDetails,
+  assertValidVideo,
+};
@@ -0,0 +1,255 @@
+const { engagementRate } = require("./channel-analytics");
+const { VIDEO_KINDS, isShort } = require("./video-model");
+
+/**
+ * Sort keys of the video listing, each read from a video
+ * @type {Object<string, Function>}
+ */
+const VIDEO_SORTS = {
+  date: (video) => Date.parse(video.publishedAt),
+  views: (video) => video.viewCount,
+  likes: (video) => video.likeCount,
+  duration: (video) => video.durationSeconds,
+  engagement: engagementRate,
+};
+
+/**
+ * Page size when no `limit` is given
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Largest page a client may ask for
+ * @type {number}
+ */
+const MAX_LIMIT = 1000;
+
+/**
+ * Read and validate the `kind` and `excludeShorts` filters
+ * @param {Object} query - Request query
+ * @returns {{kinds: string[], excludeShorts: boolean}|{error: string}} Kind filter, or the reason it is invalid
+ */
+function parseKindFilter(query) {
+  const kinds = query.kind
+    ? String(query.kind)
+        .split(",")
+        .map((kind) => kind.trim())
+        .filter(Boolean)
+    : [];
+
+  if (!kinds.every((kind) => VIDEO_KINDS.includes(kind))) {
+    return { error: `kind must be a list of: ${VIDEO_KINDS.join(", ")}` };
+  }
+
+  if (
+    query.excludeShorts !== undefined &&
+    !["true", "false"].includes(query.excludeShorts)
+  ) {
+    return { error: "excludeShorts must be true or false" };
+  }
+
+  return { kinds, excludeShorts: query.excludeShorts === "true" };
+}
+
+/**
+ * Check a video against a kind filter. Videos fetched without details have no
+ * kind and only pass when no kinds are asked for.
+ * @param {Video} video - Video
+ * @param {{kinds: string[], excludeShorts: boolean}} filter - Kind filter from parseKindFilter
+ * @returns {boolean} True when the video passes
+ */
+function matchesKind(video, filter) {
+  return (
+    (filter.kinds.length === 0 || filter.kinds.includes(video.kind)) &&
+    !(filter.excludeShorts && isShort(video))
+  );
+}
+
+/**
+ * Read and validate the listing query parameters
+ * @param {Object} query - Request query: `q`, `tags`, `minViews`, `maxViews`,
+ *   `minDuration`, `maxDuration`, `publishedAfter`, `publishedBefore`, `kind`,
+ *   `excludeShorts`, `sort`, `direction`, `limit` and `cursor`
+ * @returns {Object|{error: string}} Listing options, or the reason they are invalid
+ */
+function parseVideoQuery(query) {
+  const kindFilter = parseKindFilter(query);
+  const sort = query.sort || "date";
+  const direction = query.direction || "desc";
+  const options = {
+    q: String(query.q || "")
+      .trim()
+      .toLowerCase(),
+    tags: query.tags
+      ? String(query.tags)
+          .split(",")
+          .map((tag) => tag.trim().toLowerCase())
+          .filter(Boolean)
+      : [],
+    sort,
+    direction,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    ...kindFilter,
+  };
+
+  if (kindFilter.error) {
+    return kindFilter;
+  }
+
+  if (!VIDEO_SORTS[sort]) {
+    return {
+      error: `sort must be one of: ${Object.keys(VIDEO_SORTS).join(", ")}`,
+    };
+  }
+
+  if (!["asc", "desc"].includes(direction)) {
+    return { error: "direction must be asc or desc" };
+  }
+
+  if (query.cursor && !options.cursor) {
+    return { error: "cursor is invalid" };
+  }
+
+  for (const name of ["minViews", "maxViews", "minDuration", "maxDuration"]) {
+    options[name] = query[name] === undefined ? null : Number(query[name]);
+    if (
+      options[name] !== null &&
+      (!Number.isInteger(options[name]) || options[name] < 0)
+    ) {
+      return { error: `${name} must be a whole number` };
+    }
+  }
+
+  for (const name of ["publishedAfter", "publishedBefore"]) {
+    options[name] = query[name] ? Date.parse(query[name]) : null;
+    if (Number.isNaN(options[name])) {
+      return { error: `${name} must be a date, e.g. 2024-01-31` };
+    }
+  }
+
+  options.limit =
+    query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (
+    !Number.isInteger(options.limit) ||
+    options.limit < 1 ||
+    options.limit > MAX_LIMIT
+  ) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  return options;
+}
+
+/**
+ * Filter, sort and page videos
+ * @param {Video[]} videos - All videos of a channel
+ * @param {Object} options - Listing options from parseVideoQuery
+ * @returns {{total: number, videos: Video[], nextCursor: string|null}} One page,
+ *   the number of videos matching the filters and the cursor of the next page
+ */
+function queryVideos(videos, options) {
+  const matching = videos.filter((video) => matchesFilters(video, options));
+  const sorted = matching
+    .map((video) => ({ video, key: sortKey(video, options.sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, options.direction));
+
+  // The cursor is the sort key of the last video handed out, so videos added
+  // or removed in between don't shift the following pages
+  const start = options.cursor
+    ? sorted.findIndex(
+        ({ key }) => compareKeys(key, options.cursor, options.direction) > 0
+      )
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + options.limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + options.limit < sorted.length;
+
+  return {
+    total: matching.length,
+    videos: page.map(({ video }) => video),
+    nextCursor: hasMore ? encodeCursor(last.key) : null,
+  };
+}
+
+function matchesFilters(video, options) {
+  const published = Date.parse(video.publishedAt);
+
+  return (
+    (!options.q ||
+      video.title.toLowerCase().includes(options.q) ||
+      video.description.toLowerCase().includes(options.q) ||
+      video.tags.some((tag) => tag.toLowerCase().includes(options.q))) &&
+    options.tags.every((wanted) =>
+      video.tags.some((tag) => tag.toLowerCase() === wanted)
+    ) &&
+    inRange(video.viewCount, options.minViews, options.maxViews) &&
+    inRange(video.durationSeconds, options.minDuration, options.maxDuration) &&
+    inRange(published, options.publishedAfter, options.publishedBefore) &&
+    matchesKind(video, options)
+  );
+}
+
+/**
+ * Check a value against optional inclusive bounds; a missing value only
+ * passes when there are no bounds
+ */
+function inRange(value, min, max) {
+  if (min === null && max === null) {
+    return true;
+  }
+
+  return (
+    value !== null &&
+    (min === null || value >= min) &&
+    (max === null || value <= max)
+  );
+}
+
+function sortKey(video, sort) {
+  const value = VIDEO_SORTS[sort](video);
+  return [value === null || Number.isNaN(value) ? null : value, video.id];
+}
+
+/**
+ * Order two sort keys; videos without a value go last either way and ties
+ * are broken by ID so every video has a fixed place
+ */
+function compareKeys([valueA, idA], [valueB, idB], direction) {
+  if (valueA !== valueB) {
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return direction === "asc" ? valueA - valueB : valueB - valueA;
+  }
+
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const valid =
+      Array.isArray(key) &&
+      key.length === 2 &&
+      (key[0] === null || typeof key[0] === "number") &&
+      typeof key[1] === "string";
+
+    return valid ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  VIDEO_SORTS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseKindFilter,
+  matchesKind,
+  parseVideoQuery,
+  queryVideos,
+};
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * JSON-file store of channel watches. Each watch lives in its own file
+ * together with the videos it last saw, so one check only rewrites its own watch.
+ */
+class WatchStore {
+  /**
+   * @param {string} directory - Directory holding the watch files
+   */
+  constructor(directory = path.join("data", "watches")) {
+    this.directory = directory;
+  }
+
+  /**
+   * Create and persist a new watch
+   * @param {Object} fields - Initial watch fields, e.g. `channelId`, `schedule` and `webhooks`
+   * @returns {Object} The stored watch
+   */
+  create(fields) {
+    const now = new Date().toISOString();
+    const watch = {
+      id: crypto.randomUUID(),
+      ...fields,
+      knownVideos: null,
+      lastCheckedAt: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.save(watch);
+    return watch;
+  }
+
+  /**
+   * Get a watch by ID
+   * @param {string} watchId - Watch ID
+   * @returns {Object|null} The watch or null when it doesn't exist
+   */
+  get(watchId) {
+    const filePath = this._watchPath(watchId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(
+        `Ignoring unreadable watch file ${filePath}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * List every stored watch
+   * @returns {Object[]} Watches, oldest first
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => /^watch_[0-9a-f-]{36}\.json$/.test(file))
+      .map((file) => this.get(file.slice("watch_".length, -".json".length)))
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Persist a watch, stamping its update time
+   * @param {Object} watch - Watch to store
+   */
+  save(watch) {
+    watch.updatedAt = new Date().toISOString();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated watch
+    const filePath = this._watchPath(watch.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(watch));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Remove a watch
+   * @param {string} watchId - Watch ID
+   * @returns {boolean} True when a watch was removed
+   */
+  delete(watchId) {
+    const filePath = this._watchPath(watchId);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  _watchPath(watchId) {
+    // Watch IDs come from URLs; anything but a UUID could escape the directory
+    if (!/^[0-9a-f-]{36}$/.test(watchId)) {
+      return null;
+    }
+
+    return path.join(this.directory, `watch_${watchId}.json`);
+  }
+}
+
+exports.WatchStore = WatchStore;
@@ -0,0 +1,545 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const cron = require("node-cron");
+const {
+  WatchNotFoundError,
+  InvalidWatchError,
+  describeError,
+} = require("./errors");
+
+/**
+ * Schedule used when a watch doesn't name one: every 15 minutes
+ * @type {string}
+ */
+const DEFAULT_SCHEDULE = "*/15 * * * *";
+
+/**
+ * Addresses webhooks may not point at: loopback, private, link-local (cloud
+ * metadata services included), shared, reserved and multicast ranges.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ * @type {net.BlockList}
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * Polls subscribed channels on cron schedules and reports new uploads and
+ * deletions by diffing each channel's uploads against the videos it saw last.
+ *
+ * Events:
+ *   - `upload` / `deletion`: `{ event, watchId, channelId, channelTitle, video, detectedAt }`
+ *   - `checked`: `{ watchId, baseline, uploads, deletions }` after every successful check
+ *   - `checkFailed`: `(error, watch)` when a check fails
+ *   - `deliveryFailed`: `{ url, payload, attempts, error }` once a webhook gives up
+ *
+ * Every upload and deletion is also POSTed to the watch's webhooks, signed with
+ * HMAC-SHA256 in the `X-Signature-256` header and retried with backoff.
+ * Webhooks must resolve to public addresses, or be on the allow-list, and
+ * redirects are never followed.
+ */
+class ChannelWatcher extends EventEmitter {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {WatchStore} options.store - Where watches and their last seen videos are kept
+   * @param {Function} options.createFetcher - Returns a fetcher metered against the shared quota
+   * @param {Function} options.resolveChannelId - `(fetcher, channelInput)` resolving to a channel ID
+   * @param {QuotaTracker} [options.quota] - Budget checked before every poll
+   * @param {string} [options.secret] - Default webhook signing secret
+   * @param {number} [options.maxDeliveryAttempts=5] - Tries per webhook delivery
+   * @param {number} [options.retryBaseDelay=1000] - First delivery backoff in milliseconds, doubled on every retry
+   * @param {string[]} [options.allowedHosts=[]] - Webhook hosts allowed whatever they resolve to;
+   *   when given, webhooks on any other host are refused
+   */
+  constructor(options) {
+    super();
+    this.store = options.store;
+    this.createFetcher = options.createFetcher;
+    this.resolveChannelId = options.resolveChannelId;
+    this.quota = options.quota || null;
+    this.secret = options.secret || null;
+    this.maxDeliveryAttempts = options.maxDeliveryAttempts ?? 5;
+    this.retryBaseDelay = options.retryBaseDelay ?? 1000;
+    this.allowedHosts = (options.allowedHosts || []).map((host) =>
+      host.toLowerCase()
+    );
+    this.tasks = new Map();
+    this.checking = new Set();
+  }
+
+  /**
+   * Schedule every stored watch
+   * @returns {ChannelWatcher} This watcher
+   */
+  start() {
+    this.store.list().forEach((watch) => this._schedule(watch));
+    return this;
+  }
+
+  /**
+   * Stop every scheduled check
+   */
+  stop() {
+    this.tasks.forEach((task) => task.stop());
+    this.tasks.clear();
+  }
+
+  /**
+   * List all watches
+   * @returns {Object[]} Watch summaries
+   */
+  list() {
+    return this.store.list().map(summarizeWatch);
+  }
+
+  /**
+   * Get one watch
+   * @param {string} watchId - Watch ID
+   * @returns {Object} Watch summary
+   * @throws {WatchNotFoundError} When no watch has this ID
+   */
+  get(watchId) {
+    return summarizeWatch(this._load(watchId));
+  }
+
+  /**
+   * Subscribe to a channel. The first check runs right away and records the
+   * channel's current videos as the baseline, without reporting them.
+   * @param {Object} fields - Subscription
+   * @param {string} fields.channel - Channel URL, handle, username or ID
+   * @param {string} [fields.schedule] - Cron expression (default every 15 minutes)
+   * @param {string[]} [fields.webhooks] - URLs to POST events to
+   * @param {string} [fields.secret] - Signing secret; defaults to the watcher's secret
+   * @returns {Promise<Object>} Summary of the new watch
+   * @throws {InvalidWatchError} When the schedule, webhooks or secret are invalid, or a webhook
+   *   points at a private address
+   */
+  async add(fields) {
+    const { channel, schedule = DEFAULT_SCHEDULE, webhooks = [] } = fields;
+    const secret = fields.secret || null;
+
+    if (!channel || typeof channel !== "string") {
+      throw new InvalidWatchError("channel is required");
+    }
+    if (!cron.validate(schedule)) {
+      throw new InvalidWatchError(`Invalid cron schedule: ${schedule}`);
+    }
+    if (!Array.isArray(webhooks) || !webhooks.every(isWebhookUrl)) {
+      throw new InvalidWatchError("webhooks must be a list of http(s) URLs");
+    }
+    if (webhooks.length > 0 && !secret && !this.secret) {
+      throw new InvalidWatchError(
+        "A secret is required to sign webhooks (or set WATCH_WEBHOOK_SECRET)"
+      );
+    }
+    for (const url of webhooks) {
+      await this.assertWebhookAllowed(url);
+    }
+
+    const fetcher = this.createFetcher();
+    const channelId = await this.resolveChannelId(fetcher, channel);
+    const channelInfo = await fetcher.getChannelInfo(channelId);
+
+    const watch = this.store.create({
+      channelInput: channel,
+      channelId,
+      channelTitle: channelInfo.title,
+      schedule,
+      webhooks,
+      secret,
+    });
+
+    this._schedule(watch);
+    this.check(watch.id).catch(() => {});
+    return summarizeWatch(watch);
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * @param {string} watchId - Watch ID
+   * @throws {WatchNotFoundError} When no watch has this ID
+   */
+  remove(watchId) {
+    const task = this.tasks.get(watchId);
+    if (task) {
+      task.stop();
+      this.tasks.delete(watchId);
+    }
+
+    if (!this.store.delete(watchId)) {
+      throw new WatchNotFoundError(watchId);
+    }
+  }
+
+  /**
+   * Poll a watched channel now and report what changed since the last check
+   * @param {string} watchId - Watch ID
+   * @returns {Promise<Object|null>} `{ watchId, baseline, uploads, deletions }`, or null when a check was already running
+   * @throws {WatchNotFoundError} When no watch has this ID
+   */
+  async check(watchId) {
+    const watch = this._load(watchId);
+
+    // A slow check shouldn't pile up behind the next tick
+    if (this.checking.has(watchId)) {
+      return null;
+    }
+    this.checking.add(watchId);
+
+    const fetcher = this.createFetcher();
+
+    try {
+      const knownCount = watch.knownVideos ? watch.knownVideos.length : 0;
+      if (this.quota) {
+        this.quota.assertAvailable(
+          fetcher.estimateVideoFetchCost(knownCount, { includeDetails: false })
+        );
+      }
+
+      // Listing the uploads playlist costs one unit per 50 videos
+      const videos = await fetcher.getAllChannelVideos(watch.channelId, {
+        includeDetails: false,
+      });
+
+      const baseline = watch.knownVideos === null;
+      const knownIds = new Set((watch.knownVideos || []).map((v) => v.id));
+      const currentIds = new Set(videos.map((video) => video.id));
+
+      let uploads = baseline
+        ? []
+        : videos.filter((video) => !knownIds.has(video.id));
+      const deletions = baseline
+        ? []
+        : watch.knownVideos.filter((video) => !currentIds.has(video.id));
+
+      if (uploads.length > 0) {
+        const details = await fetcher.refreshVideoStatistics(uploads);
+        uploads = uploads.map(
+          (video) => details.find((detail) => detail.id === video.id) || video
+        );
+      }
+
+      // The watch may have been removed while we were polling
+      if (!this.store.get(watchId)) {
+        return null;
+      }
+
+      // Save before notifying, so a crash never announces the same videos twice
+      watch.knownVideos = videos.map(({ id, title, publishedAt }) => ({
+        id,
+        title,
+        publishedAt,
+      }));
+      watch.lastCheckedAt = new Date().toISOString();
+      watch.lastError = null;
+      this.store.save(watch);
+
+      uploads.forEach((video) => this._notify(watch, "upload", video));
+      deletions.forEach((video) => this._notify(watch, "deletion", video));
+
+      const result = {
+        watchId,
+        baseline,
+        uploads: uploads.length,
+        deletions: deletions.length,
+      };
+      console.log(
+        `👀 Checked ${watch.channelTitle}: ${result.uploads} new, ${result.deletions} removed`
+      );
+      this.emit("checked", result);
+      return result;
+    } catch (error) {
+      console.error(`Error checking ${watch.channelTitle}:`, error.message);
+
+      if (this.store.get(watchId)) {
+        watch.lastCheckedAt = new Date().toISOString();
+        watch.lastError = {
+          message: error.message,
+          code: describeError(error).code,
+        };
+        this.store.save(watch);
+      }
+
+      this.emit("checkFailed", error, summarizeWatch(watch));
+      throw error;
+    } finally {
+      this.checking.delete(watchId);
+    }
+  }
+
+  /**
+   * Sign a webhook body
+   * @param {string} body - Raw JSON body
+   * @param {string} secret - Signing secret
+   * @returns {string} `sha256=<hex digest>`, as sent in `X-Signature-256`
+   */
+  sign(body, secret) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+  }
+
+  /**
+   * Check that a webhook may be called: its host must be on the allow-list
+   * when there is one, and otherwise resolve to public addresses only
+   * @param {string} url - Webhook URL
+   * @returns {Promise<void>} Resolves when the webhook may be called
+   * @throws {InvalidWatchError} When the host is refused or can't be resolved
+   */
+  async assertWebhookAllowed(url) {
+    // WHATWG URLs keep brackets around IPv6 hosts
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+    if (this.allowedHosts.length > 0) {
+      if (!this.allowedHosts.includes(host.toLowerCase())) {
+        throw new InvalidWatchError(
+          `Webhook host ${host} is not in WEBHOOK_ALLOWED_HOSTS`
+        );
+      }
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw new InvalidWatchError(`Webhook host ${host} can't be resolved`);
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+      throw new InvalidWatchError(
+        `Webhook host ${host} resolves to a private address`
+      );
+    }
+  }
+
+  _load(watchId) {
+    const watch = this.store.get(watchId);
+    if (!watch) {
+      throw new WatchNotFoundError(watchId);
+    }
+    return watch;
+  }
+
+  _schedule(watch) {
+    const task = cron.schedule(watch.schedule, () => {
+      this.check(watch.id).catch(() => {});
+    });
+    this.tasks.set(watch.id, task);
+  }
+
+  _notify(watch, event, video) {
+    const payload = {
+      event,
+      watchId: watch.id,
+      channelId: watch.channelId,
+      channelTitle: watch.channelTitle,
+      video,
+      detectedAt: new Date().toISOString(),
+    };
+
+    this.emit(event, payload);
+    watch.webhooks.forEach((url) =>
+      this._deliver(url, payload, watch.secret || this.secret)
+    );
+  }
+
+  /**
+   * POST an event to a webhook, retrying network failures, 429s and 5xx responses
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Event payload
+   * @param {string} secret - Signing secret
+   * @returns {Promise<boolean>} True once delivered, false after giving up
+   * @private
+   */
+  async _deliver(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Watch-Event": payload.event,
+      "X-Delivery-Id": crypto.randomUUID(),
+      "X-Signature-256": this.sign(body, secret),
+    };
+    let lastError = null;
+    let attempt = 0;
+
+    while (attempt < this.maxDeliveryAttempts) {
+      attempt++;
+
+      try {
+        // Checked again on every attempt: the host may resolve elsewhere by now
+        await this.assertWebhookAllowed(url);
+      } catch (error) {
+        lastError = error.message;
+        break;
+      }
+
+      try {
+        const status = await this._post(url, headers, body);
+
+        if (status >= 200 && status < 300) {
+          return true;
+        }
+
+        lastError =
+          status >= 300 && status < 400
+            ? `HTTP ${status}: redirects are not followed`
+            : `HTTP ${status}`;
+        // Redirects and other client errors won't go away by retrying
+        if (status < 500 && status !== 429) {
+          break;
+        }
+      } catch (error) {
+        lastError = error.message;
+        // The host resolved to a private address when connecting
+        if (error instanceof InvalidWatchError) {
+          break;
+        }
+      }
+
+      if (attempt < this.maxDeliveryAttempts) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.retryBaseDelay * 2 ** (attempt - 1))
+        );
+      }
+    }
+
+    console.error(`Webhook delivery to ${url} failed: ${lastError}`);
+    this.emit("deliveryFailed", {
+      url,
+      payload,
+      attempts: attempt,
+      error: lastError,
+    });
+    return false;
+  }
+
+  /**
+   * POST a webhook body once, without following redirects. Unless the host is
+   * allow-listed, the address is checked again as the connection is made, so
+   * a host can't resolve to a public address for the check and to a private
+   * one for the request.
+   * @param {string} url - Webhook URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Raw JSON body
+   * @returns {Promise<number>} Response status
+   * @private
+   */
+  _post(url, headers, body) {
+    const transport = new URL(url).protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(
+        url,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          timeout: 10000,
+          lookup:
+            this.allowedHosts.length > 0 ? undefined : lookupPublicAddress,
+        },
+        (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        }
+      );
+      request.on("timeout", () =>
+        request.destroy(new Error("Webhook timed out"))
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+}
+
+/**
+ * Check whether a resolved address is in PRIVATE_ADDRESSES
+ * @param {{address: string, family: number}} resolved - Address from dns.lookup
+ * @returns {boolean} True for private addresses
+ */
+function isPrivateAddress({ address, family }) {
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup for webhook connections that fails on private addresses
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    // Connections ask for every address when trying several families
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(isPrivateAddress)) {
+      callback(
+        new InvalidWatchError(
+          `Webhook host ${hostname} resolves to a private address`
+        )
+      );
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True when usable
+ */
+function isWebhookUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Public view of a watch, without its secret or the full list of known videos
+ * @param {Object} watch - Stored watch
+ * @returns {Object} Watch summary
+ */
+function summarizeWatch(watch) {
+  const { secret, knownVideos, ...summary } = watch;
+  return {
+    ...summary,
+    customSecret: Boolean(secret),
+    knownVideoCount: knownVideos ? knownVideos.length : null,
+  };
+}
+
+exports.ChannelWatcher = ChannelWatcher;
+exports.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
@@ -6,13 +6,1095 @@
  * @version 1.0.0
  */
 
-const { YouTubeChannelFetcher } = require("./fetcher");
+const { EventEmitter } = require("events");
+const {
+  YouTubeChannelFetcher,
+  createYoutubeClient,
+  sortVideos,
+} = require("./fetcher");
+const { FixtureRecorder } = require("./fixture-recorder");
+const { VideoCache } = require("./video-cache");
+const { QuotaTracker, QUOTA_COSTS, DEFAULT_DAILY_BUDGET } = require("./quota");
+const { KeyPool, loadKeyPoolConfig } = require("./key-pool");
+const { JobStore } = require("./job-store");
+const { WatchStore } = require("./watch-store");
+const {
+  SnapshotStore,
+  SNAPSHOT_FIELDS,
+  buildSeries,
+} = require("./snapshot-store");
+const { ChannelWatcher } = require("./watcher");
+const { parseChannelInput, parsePlaylistInput } = require("./channel-resolver");
+const { analyzeVideos } = require("./channel-analytics");
+const { withoutDetails } = require("./video-model");
+const { findSegments } = require("./transcript");
+const {
+  AppError,
+  ChannelNotFoundError,
+  JobNotFoundError,
+  JobStateError,
+  CancelledError,
+  HistoryNotFoundError,
+  PlaylistNotFoundError,
+  VideoNotFoundError,
+  CaptionsUnavailableError,
+  describeError,
+} = require("./errors");
+
+/**
+ * YouTube API keys from environment variables (see loadKeyPoolConfig), handed
+ * out in rotation to every fetcher without a key of its own
+ * @type {KeyPool}
+ */
+const { keys: API_KEYS, strategy: KEY_STRATEGY } = loadKeyPoolConfig();
+const keyPool = new KeyPool(API_KEYS, { strategy: KEY_STRATEGY });
+
+/**
+ * Base URL of the YouTube Data API; point it at a FakeYoutubeApi to run offline
+ * @type {string|undefined}
+ */
+const API_URL = process.env.YOUTUBE_API_URL;
+
+/**
+ * Records every API response into the fixture file named by
+ * YOUTUBE_RECORD_FIXTURES, for FakeYoutubeApi to replay
+ * @type {FixtureRecorder|null}
+ */
+const recorder = process.env.YOUTUBE_RECORD_FIXTURES
+  ? new FixtureRecorder(process.env.YOUTUBE_RECORD_FIXTURES)
+  : null;
+
+/**
+ * Allowed values for the `refresh` option:
+ *   - full: re-download the whole channel
+ *   - incremental: fetch only uploads newer than the cache and re-pull statistics for the rest
+ *   - none: serve the cache as is (falls back to a full fetch when nothing is cached)
+ * @type {string[]}
+ */
+const REFRESH_MODES = ["full", "incremental", "none"];
+
+/**
+ * Fetch options a job may carry, with their defaults. A date range, a cap or
+ * dropping details narrows the fetch; narrowed fetches bypass the cache
+ * unless `refresh` is "none", which answers them from it.
+ * @type {{publishedAfter: null, publishedBefore: null, order: string, maxVideos: null, includeDetails: boolean}}
+ */
+const FETCH_DEFAULTS = {
+  publishedAfter: null,
+  publishedBefore: null,
+  order: "date",
+  maxVideos: null,
+  includeDetails: true,
+};
+
+/**
+ * Number of channels a batch fetches at the same time unless told otherwise
+ * @type {number}
+ */
+const BATCH_CONCURRENCY = 3;
+
+/**
+ * Local store of channel info and videos shared by all fetch functions
+ * @type {VideoCache}
+ */
+const cache = new VideoCache();
+
+/**
+ * Persisted fetch jobs, so interrupted fetches can be resumed
+ * @type {JobStore}
+ */
+const jobs = new JobStore();
+
+/**
+ * Statistics recorded on every refresh, for growth over time
+ * @type {SnapshotStore}
+ */
+const snapshots = new SnapshotStore();
+
+/**
+ * Daily quota usage shared by all fetch functions, capped by YOUTUBE_QUOTA_BUDGET
+ * or else by the default quota of every key in the pool
+ * @type {QuotaTracker}
+ */
+const quota = new QuotaTracker({
+  budget:
+    process.env.YOUTUBE_QUOTA_BUDGET || keyPool.size * DEFAULT_DAILY_BUDGET,
+});
+
+/**
+ * Watches subscribed channels for new uploads and deletions. Nothing is polled
+ * until `channelWatcher.start()` is called, which the server does on startup.
+ * @type {ChannelWatcher}
+ */
+const channelWatcher = new ChannelWatcher({
+  store: new WatchStore(),
+  createFetcher,
+  resolveChannelId: (fetcher, channelInput) =>
+    resolveChannelId(fetcher, channelInput, "incremental"),
+  quota,
+  secret: process.env.WATCH_WEBHOOK_SECRET,
+  allowedHosts: String(process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim())
+    .filter(Boolean),
+});
+
+/**
+ * Returns today's quota usage across all fetches.
+ *
+ * @function getQuotaUsage
+ * @returns {{date: string, used: number, budget: number, remaining: number, byResource: Object}} Usage summary
+ */
+function getQuotaUsage() {
+  return quota.getUsage();
+}
+
+/**
+ * Returns today's usage of every key in the key pool and whether it is still in rotation.
+ *
+ * @function getApiKeyUsage
+ * @returns {{date: string, strategy: string, active: number, keys: Array<Object>}} Usage summary (see KeyPool#getUsage)
+ */
+function getApiKeyUsage() {
+  return keyPool.getUsage();
+}
+
+/**
+ * Puts a key that ran out of quota or was rejected back into rotation.
+ *
+ * @function resetApiKey
+ * @param {string} keyId - Key ID as listed by getApiKeyUsage
+ * @returns {Object} The key's usage summary
+ * @throws {ApiKeyNotFoundError} When no key in the pool has this ID
+ */
+function resetApiKey(keyId) {
+  return keyPool.reset(keyId);
+}
+
+/**
+ * Picks the fetch options out of a caller's options, filling in defaults.
+ *
+ * @private
+ * @param {Object} options - Caller options
+ * @returns {Object} Fetch options as in FETCH_DEFAULTS
+ */
+function pickFetchOptions(options) {
+  return Object.fromEntries(
+    Object.entries(FETCH_DEFAULTS).map(([name, fallback]) => [
+      name,
+      options[name] === undefined || options[name] === null
+        ? fallback
+        : options[name],
+    ])
+  );
+}
+
+/**
+ * Tells whether fetch options leave out part of the channel, in which case
+ * the result must not replace the cached copy.
+ *
+ * @private
+ * @param {Object} fetchOptions - Fetch options as in FETCH_DEFAULTS
+ * @returns {boolean} True for a date range, a cap or a fetch without details
+ */
+function isNarrowed(fetchOptions) {
+  return Boolean(
+    fetchOptions.publishedAfter ||
+    fetchOptions.publishedBefore ||
+    fetchOptions.maxVideos ||
+    !fetchOptions.includeDetails
+  );
+}
+
+/**
+ * Applies fetch options to cached videos the way a fetch would have: the date
+ * range includes its ends, the cap keeps the latest videos and a fetch
+ * without details leaves them out.
+ *
+ * @param {Video[]} videos - Cached videos
+ * @param {Object} fetchOptions - Fetch options as in FETCH_DEFAULTS
+ * @returns {Video[]} Matching videos in the requested order
+ */
+function narrowCachedVideos(videos, fetchOptions) {
+  const { publishedAfter, publishedBefore, maxVideos, order, includeDetails } =
+    fetchOptions;
+  const after = publishedAfter ? new Date(publishedAfter) : null;
+  const before = publishedBefore ? new Date(publishedBefore) : null;
+
+  const inRange = sortVideos(videos, "date").filter((video) => {
+    const publishedAt = new Date(video.publishedAt);
+    return (
+      (!after || publishedAt >= after) && (!before || publishedAt <= before)
+    );
+  });
+
+  const capped = maxVideos ? inRange.slice(0, maxVideos) : inRange;
+  return sortVideos(
+    includeDetails ? capped : capped.map(withoutDetails),
+    order
+  );
+}
+
+/**
+ * Creates a fetcher on the key pool that meters its API calls against the
+ * shared quota tracker. A fetcher on a caller's own key uses neither; one on a
+ * signed-in user's credentials is metered but leaves the pool alone.
+ *
+ * @private
+ * @param {string|null} [apiKey] - The caller's own API key
+ * @param {OAuth2Client|null} [auth] - A signed-in user's credentials (see lib/oauth.js)
+ * @returns {YouTubeChannelFetcher} Fetcher instance
+ */
+function createFetcher(apiKey = null, auth = null) {
+  // Pool fetchers pass a key with every call
+  const youtube = createYoutubeClient(auth || apiKey, { rootUrl: API_URL });
+  const wrapped = recorder ? recorder.wrap(youtube) : youtube;
+
+  if (auth) {
+    return new YouTubeChannelFetcher(null, { auth, quota, youtube: wrapped });
+  }
+
+  return apiKey
+    ? new YouTubeChannelFetcher(apiKey, { youtube: wrapped })
+    : new YouTubeChannelFetcher(null, { quota, keyPool, youtube: wrapped });
+}
+
+/**
+ * Resolves a channel input to a channel ID, reusing earlier resolutions from the cache.
+ *
+ * @async
+ * @private
+ * @param {YouTubeChannelFetcher} fetcher - Fetcher instance
+ * @param {string} channelInput - Channel URL, username, or channel ID
+ * @param {string} refresh - Refresh mode; `full` always resolves again
+ * @returns {Promise<string>} Channel ID
+ */
+async function resolveChannelId(fetcher, channelInput, refresh) {
+  const cachedId =
+    refresh !== "full" && cache.getChannelIdForInput(channelInput);
+  if (cachedId) {
+    return cachedId;
+  }
+
+  fetcher.assertAvailable(estimateResolveCost(channelInput));
+  const channelId = await fetcher.getChannelId(channelInput);
+  cache.setChannelIdForInput(channelInput, channelId);
+  return channelId;
+}
+
+/**
+ * Estimates the worst-case quota cost of resolving a channel input.
+ * Exact lookups cost one unit; names may need handle and username lookups plus a search.
+ *
+ * @private
+ * @param {string} channelInput - Channel URL, handle, username, channel ID or free text
+ * @returns {number} Projected units
+ */
+function estimateResolveCost(channelInput) {
+  const { type } = parseChannelInput(channelInput);
+
+  if (type === "id") {
+    return 0;
+  }
+
+  if (type === "playlist") {
+    return QUOTA_COSTS.playlists;
+  }
+
+  if (type === "custom" || type === "search") {
+    return 2 * QUOTA_COSTS.channels + QUOTA_COSTS.search;
+  }
+
+  return QUOTA_COSTS.channels;
+}
+
+/**
+ * Resolves a channel input without fetching anything else. Ambiguous names
+ * come back with a list of candidates instead of a guessed channel ID.
+ *
+ * @async
+ * @function resolveChannelInput
+ * @param {string} channelInput - Channel URL, handle, username, channel ID, video URL or free text
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.apiKey] - Look up with this API key instead of the key pool
+ * @returns {Promise<{input: string, type: string, channelId: string|null, candidates: Array}>} Resolution
+ */
+async function resolveChannelInput(channelInput, options = {}) {
+  const cachedId = cache.getChannelIdForInput(channelInput);
+  if (cachedId) {
+    return {
+      input: channelInput,
+      type: parseChannelInput(channelInput).type,
+      channelId: cachedId,
+      candidates: [],
+    };
+  }
+
+  const fetcher = createFetcher(options.apiKey);
+  fetcher.assertAvailable(estimateResolveCost(channelInput));
+  const resolution = await fetcher.resolveChannel(channelInput);
+
+  if (resolution.channelId) {
+    cache.setChannelIdForInput(channelInput, resolution.channelId);
+  }
+  return resolution;
+}
+
+/**
+ * Fetches a channel's information without its videos.
+ *
+ * @async
+ * @function fetchChannelInfo
+ * @param {string} channelInput - Channel URL, handle, username, channel ID or video URL
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="incremental"] - "none" answers from the cache when the channel is cached
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<Object>} Channel information (see getChannelInfo)
+ * @throws {ChannelNotFoundError} When the channel doesn't exist
+ * @throws {AmbiguousChannelError} When a name matches several channels
+ */
+async function fetchChannelInfo(channelInput, options = {}) {
+  const { refresh = "incremental", apiKey = null } = options;
+  const fetcher = createFetcher(apiKey);
+  const channelId = await resolveChannelId(fetcher, channelInput, refresh);
+
+  const cached = refresh === "none" && cache.getChannel(channelId);
+  if (cached) {
+    return cached.channelInfo;
+  }
+
+  fetcher.assertAvailable(QUOTA_COSTS.channels);
+  return fetcher.getChannelInfo(channelId);
+}
+
+/**
+ * Fetches the channel of the user signed in with OAuth (`channels.list` with `mine=true`).
+ *
+ * @async
+ * @function fetchMyChannel
+ * @param {OAuth2Client} auth - The signed-in user's credentials (see lib/oauth.js)
+ * @returns {Promise<Object>} Channel information (see getChannelInfo)
+ * @throws {ChannelNotFoundError} When the Google account has no YouTube channel
+ */
+async function fetchMyChannel(auth) {
+  const fetcher = createFetcher(null, auth);
+  fetcher.assertAvailable(QUOTA_COSTS.channels);
+  return fetcher.getMyChannel();
+}
+
+/**
+ * Lists the public playlists of a channel.
+ *
+ * @async
+ * @function fetchChannelPlaylists
+ * @param {string} channelInput - Channel URL, handle, username, channel ID or playlist URL
+ * @param {Object} [options] - Fetch options
+ * @param {AbortSignal} [options.signal] - Stops paging when aborted
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<{channelId: string, playlists: Playlist[]}>} The channel's playlists
+ * @throws {ChannelNotFoundError} When the channel doesn't exist
+ * @throws {AmbiguousChannelError} When a name matches several channels
+ */
+async function fetchChannelPlaylists(channelInput, options = {}) {
+  const { signal = null, apiKey = null } = options;
+  const fetcher = createFetcher(apiKey);
+  const channelId = await resolveChannelId(
+    fetcher,
+    channelInput,
+    "incremental"
+  );
+
+  fetcher.assertAvailable(QUOTA_COSTS.playlists);
+  const playlists = await fetcher.getChannelPlaylists(channelId, { signal });
+  console.log(`📃 Found ${playlists.length} playlists on ${channelId}`);
+  return { channelId, playlists };
+}
+
+/**
+ * Fetches the videos of a playlist, with details, in playlist order.
+ *
+ * @async
+ * @function fetchPlaylistVideos
+ * @param {string} playlistInput - Playlist ID or any YouTube URL with a `list=` parameter
+ * @param {Object} [options] - Fetch options
+ * @param {Function} [options.onProgress] - Receives progress updates; the `playlist_ready` stage carries `playlist`
+ * @param {Function} [options.onVideos] - Receives each page of videos as it arrives
+ * @param {AbortSignal} [options.signal] - Stops paging and abandons in-flight requests when aborted
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<{playlist: Playlist, videos: Video[]}>} Playlist information and its videos
+ * @throws {PlaylistNotFoundError} When the input names no playlist or the playlist doesn't exist
+ * @throws {YouTubeApiError} Other typed errors as for channel videos, carrying `partialVideos`
+ */
+async function fetchPlaylistVideos(playlistInput, options = {}) {
+  const {
+    onProgress = () => {},
+    onVideos = () => {},
+    signal = null,
+    apiKey = null,
+  } = options;
+  const playlistId = parsePlaylistInput(playlistInput);
+
+  if (!playlistId) {
+    throw new PlaylistNotFoundError(playlistInput);
+  }
+
+  const fetcher = createFetcher(apiKey);
+  const progress = (update) =>
+    onProgress({
+      ...update,
+      quota: { job: fetcher.quotaUsed, ...quota.getUsage() },
+    });
+
+  fetcher.assertAvailable(QUOTA_COSTS.playlists);
+  const playlist = await fetcher.getPlaylistInfo(playlistId, { signal });
+  console.log(`📃 Playlist: ${playlist.title} (${playlist.itemCount} videos)`);
+  progress({
+    stage: "playlist_ready",
+    message: `Playlist found: ${playlist.title}`,
+    playlist,
+  });
+
+  // The uploads playlist lookup that channel fetches pay for isn't needed here
+  fetcher.assertAvailable(
+    fetcher.estimateVideoFetchCost(playlist.itemCount || 0) -
+      QUOTA_COSTS.channels
+  );
+
+  const videos = await fetcher.getPlaylistVideos(playlistId, {
+    signal,
+    onVideos,
+    onProgress: (page) =>
+      progress({
+        stage: "videos_progress",
+        message: `Fetching page ${page.page}... (${page.totalFetched} videos so far)`,
+        ...page,
+      }),
+  });
+
+  return { playlist, videos };
+}
+
+/**
+ * Fetches the comments of a video, optionally with every reply.
+ *
+ * @async
+ * @function fetchVideoComments
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.order="time"] - "time" (newest first) or "relevance"
+ * @param {number} [options.maxComments] - Stop after this many top-level comments (default all)
+ * @param {boolean} [options.includeReplies=false] - Also fetch replies
+ * @param {Function} [options.onComments] - Receives each page of comments as it arrives
+ * @param {Function} [options.onProgress] - Receives `{ page, totalFetched, quota }` after every page
+ * @param {AbortSignal} [options.signal] - Stops paging when aborted
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<Comment[]>} Comments, each top-level comment followed by its replies
+ * @throws {CommentsDisabledError} When the video has comments turned off
+ * @throws {VideoNotFoundError} When the video doesn't exist
+ * @throws {YouTubeApiError} Other typed errors as for video fetching, carrying `partialComments`
+ */
+async function fetchVideoComments(videoId, options = {}) {
+  const { onProgress = () => {}, apiKey = null, ...fetchOptions } = options;
+  const fetcher = createFetcher(apiKey);
+
+  // Each page costs one unit; the number of pages isn't known up front
+  fetcher.assertAvailable(QUOTA_COSTS.commentThreads);
+
+  return fetcher.getVideoComments(videoId, {
+    ...fetchOptions,
+    onProgress: (progress) =>
+      onProgress({
+        ...progress,
+        quota: { job: fetcher.quotaUsed, ...quota.getUsage() },
+      }),
+  });
+}
+
+/**
+ * Records the counters of a freshly fetched channel. History is a side effect
+ * of fetching, so a failure here is logged rather than failing the fetch.
+ *
+ * @private
+ * @param {Object} channelInfo - Channel information
+ * @param {Array} videos - Channel videos with statistics
+ */
+function recordSnapshot(channelInfo, videos) {
+  try {
+    snapshots.record(channelInfo, videos);
+  } catch (error) {
+    console.error("Error recording statistics snapshot:", error.message);
+  }
+}
+
+/**
+ * Returns the recorded statistics of a video over time.
+ *
+ * @function getVideoHistory
+ * @param {string} videoId - YouTube video ID
+ * @returns {{videoId: string, channelId: string, points: Array, summary: Object}} Snapshots with the change since the previous one and views per day
+ * @throws {HistoryNotFoundError} When the video has never been fetched with statistics
+ */
+function getVideoHistory(videoId) {
+  const recorded = snapshots.getVideo(videoId);
+  if (!recorded) {
+    throw new HistoryNotFoundError("video", videoId);
+  }
+
+  return {
+    videoId,
+    channelId: recorded.channelId,
+    ...buildSeries(recorded.points, SNAPSHOT_FIELDS.video, "viewCount"),
+  };
+}
+
+/**
+ * Returns the recorded statistics of a channel over time.
+ *
+ * @function getChannelHistory
+ * @param {string} channelId - YouTube channel ID
+ * @param {Object} [options] - History options
+ * @param {boolean} [options.includeVideos=false] - Also return the series of every video, keyed by video ID
+ * @returns {{channelId: string, points: Array, summary: Object, videos?: Object}} Snapshots with the change since the previous one and views per day
+ * @throws {HistoryNotFoundError} When the channel has never been fetched
+ */
+function getChannelHistory(channelId, options = {}) {
+  const recorded = snapshots.getChannel(channelId);
+  if (!recorded) {
+    throw new HistoryNotFoundError("channel", channelId);
+  }
+
+  const history = {
+    channelId,
+    ...buildSeries(recorded.channel, SNAPSHOT_FIELDS.channel, "viewCount"),
+  };
+
+  if (options.includeVideos) {
+    history.videos = Object.fromEntries(
+      Object.entries(recorded.videos).map(([videoId, points]) => [
+        videoId,
+        buildSeries(points, SNAPSHOT_FIELDS.video, "viewCount"),
+      ])
+    );
+  }
+
+  return history;
+}
+
+/**
+ * Loads channel info and videos according to the refresh mode and writes the result back to the cache.
+ * Narrowed fetches (see isNarrowed) never write to the cache and only read from it with refresh "none".
+ * Fetches on a signed-in user's credentials may see private videos, so they bypass the cache and snapshots.
+ *
+ * @async
+ * @private
+ * @param {YouTubeChannelFetcher} fetcher - Fetcher instance
+ * @param {string} channelInput - Channel URL, username, or channel ID
+ * @param {Object} options - Job options: `refresh` (one of REFRESH_MODES) and the fetch options of FETCH_DEFAULTS
+ * @param {Object} [callbacks] - Streaming callbacks
+ * @param {Function} [callbacks.onProgress] - Receives progress updates
+ * @param {Function} [callbacks.onVideos] - Receives each batch of videos as it becomes available
+ * @param {Function} [callbacks.onCheckpoint] - Receives the pagination state after every page
+ * @param {Function} [callbacks.onFetchStart] - Called once it's clear the API has to be called for videos,
+ *   which answers from the cache never do
+ * @param {Object} [control] - Run control
+ * @param {Object} [control.checkpoint] - Pagination state of an interrupted run to resume from
+ * @param {AbortSignal} [control.signal] - Stops the fetch between pages and abandons in-flight requests
+ * @returns {Promise<{channelInfo: Object, videos: Array, refresh: string}>} Channel data and the refresh mode actually used
+ */
+async function loadChannel(
+  fetcher,
+  channelInput,
+  options,
+  callbacks = {},
+  control = {}
+) {
+  const { refresh } = options;
+  const fetchOptions = pickFetchOptions(options);
+  const narrowed = isNarrowed(fetchOptions);
+  const signedIn = Boolean(fetcher.auth);
+  const { checkpoint = null, signal = null } = control;
+  const {
+    onProgress: notify = () => {},
+    onVideos: deliver = () => {},
+    onCheckpoint = () => {},
+    onFetchStart = () => {},
+  } = callbacks;
+
+  // Remember everything handed out so a failure can still report partial results
+  let delivered = checkpoint ? checkpoint.videos : [];
+  const onVideos = (videos) => {
+    delivered = delivered.concat(videos);
+    deliver(videos);
+  };
+
+  // Every progress update carries what this fetch has cost so far and today's totals
+  const onProgress = (progress) =>
+    notify({
+      ...progress,
+      quota: { job: fetcher.quotaUsed, ...quota.getUsage() },
+    });
+
+  try {
+    if (!REFRESH_MODES.includes(refresh)) {
+      throw new Error(
+        `Invalid refresh mode: ${refresh}. Expected one of: ${REFRESH_MODES.join(", ")}`
+      );
+    }
+
+    console.log(`🔍 Getting channel ID for: ${channelInput}`);
+    onProgress({
+      stage: "channel_lookup",
+      message: `Looking up channel: ${channelInput}`,
+    });
+
+    const channelId = await resolveChannelId(fetcher, channelInput, refresh);
+    console.log(`📺 Channel ID: ${channelId}`);
+
+    // A narrowed fetch can still be answered from the cache when asked to
+    const cached =
+      signedIn || (narrowed && refresh !== "none")
+        ? null
+        : cache.getChannel(channelId);
+    const mode = cached ? refresh : "full";
+
+    // Retrieve comprehensive channel information including subscriber count and video count
+    console.log("\n📊 Getting channel information...");
+    onProgress({
+      stage: "channel_info",
+      message: "Fetching channel information...",
+    });
+
+    if (mode !== "none") {
+      onFetchStart();
+      fetcher.assertAvailable(QUOTA_COSTS.channels);
+    }
+
+    const channelInfo =
+      mode === "none"
+        ? cached.channelInfo
+        : await fetcher.getChannelInfo(channelId);
+    console.log(`Channel: ${channelInfo.title}`);
+    console.log(
+      `Subscribers: ${parseInt(channelInfo.subscriberCount).toLocaleString()}`
+    );
+    console.log(
+      `Total Videos: ${parseInt(channelInfo.videoCount).toLocaleString()}`
+    );
+
+    onProgress({
+      stage: "channel_ready",
+      message: `Channel found: ${channelInfo.title}`,
+      channelInfo,
+    });
+
+    if (mode === "none") {
+      console.log(`\n💾 Serving ${cached.videos.length} cached videos`);
+      onProgress({
+        stage: "cache",
+        message: `Loaded ${cached.videos.length} videos from cache (updated ${cached.updatedAt})`,
+        cachedAt: cached.updatedAt,
+      });
+      const videos = narrowCachedVideos(cached.videos, fetchOptions);
+      onVideos(videos);
+      return { channelInfo, videos, refresh: mode };
+    }
+
+    // Fetch videos (only the ones newer than the cache when refreshing incrementally)
+    // A resumed run must keep the date range its page tokens belong to
+    const publishedAfter = checkpoint
+      ? checkpoint.publishedAfter
+      : mode === "incremental" && cached.videos.length > 0
+        ? cached.videos
+            .map((video) => video.publishedAt)
+            .sort()
+            .pop()
+        : fetchOptions.publishedAfter;
+
+    // Refuse to start a fetch that would blow through the daily budget
+    const cachedCount = mode === "incremental" ? cached.videos.length : 0;
+    const projected =
+      fetcher.estimateVideoFetchCost(
+        Math.max(parseInt(channelInfo.videoCount) - cachedCount, 0),
+        fetchOptions
+      ) +
+      Math.ceil(cachedCount / 50) * QUOTA_COSTS.videos;
+    fetcher.assertAvailable(projected);
+
+    console.log(
+      publishedAfter
+        ? `\n🎥 Fetching videos published after ${publishedAfter}...`
+        : "\n🎥 Fetching all videos..."
+    );
+    onProgress({ stage: "videos_start", message: "Starting video fetch..." });
+
+    // Pages of 50, the most playlistItems.list returns
+    const newVideos = await fetcher.streamAllChannelVideos(channelId, {
+      ...fetchOptions,
+      maxResults: 50,
+      publishedAfter,
+      resumeFrom: checkpoint,
+      signal,
+      onCheckpoint: (state) => onCheckpoint({ ...state, publishedAfter }),
+      onProgress: (progress) => {
+        onProgress({
+          stage: "videos_progress",
+          message: `Fetching page ${progress.page}... (${progress.totalFetched} videos so far)`,
+          ...progress,
+        });
+      },
+      onVideos,
+    });
+
+    let videos = newVideos;
+
+    if (mode === "incremental") {
+      console.log(
+        `\n🔄 Refreshing statistics for ${cached.videos.length} cached videos...`
+      );
+      onProgress({
+        stage: "statistics_refresh",
+        message: `Refreshing statistics for ${cached.videos.length} cached videos...`,
+      });
+
+      const knownIds = new Set(newVideos.map((video) => video.id));
+      const refreshed = await fetcher.refreshVideoStatistics(
+        cached.videos.filter((video) => !knownIds.has(video.id)),
+        { signal }
+      );
+      onVideos(refreshed);
+      videos = sortVideos(newVideos.concat(refreshed), fetchOptions.order);
+    }
+
+    if (signedIn) {
+      console.log("\n🔒 Signed-in fetch, leaving the cache as it is");
+    } else if (narrowed) {
+      console.log("\n💾 Partial fetch, leaving the cache as it is");
+    } else {
+      cache.saveChannel(channelId, channelInfo, videos);
+      recordSnapshot(channelInfo, videos);
+    }
+    return { channelInfo, videos, refresh: mode };
+  } catch (error) {
+    error.partialVideos = delivered;
+    throw error;
+  }
+}
+
+/**
+ * Fetch jobs currently executing in this process, keyed by job ID.
+ * Each entry holds the emitter live listeners attach to and the run's promise.
+ * @type {Map<string, {events: EventEmitter, done: Promise<Object>}>}
+ */
+const runningJobs = new Map();
+
+/**
+ * Returns a job without its video list, as reported by the jobs API.
+ *
+ * @private
+ * @param {Object} job - Stored job
+ * @returns {Object} Job summary with `videoCount` instead of `videos`
+ */
+function summarizeJob(job) {
+  const { videos, ...summary } = job;
+  return { ...summary, videoCount: videos.length };
+}
+
+/**
+ * Loads a job, reporting jobs left `running` by a crashed process as `interrupted`.
+ *
+ * @private
+ * @param {string} jobId - Job ID
+ * @returns {Object} Stored job
+ * @throws {JobNotFoundError} When no job has this ID
+ */
+function loadJob(jobId) {
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    throw new JobNotFoundError(jobId);
+  }
+
+  if (job.status === "running" && !runningJobs.has(jobId)) {
+    job.status = "interrupted";
+  }
+
+  return job;
+}
+
+/**
+ * Subscribes stream callbacks to a running job's events.
+ *
+ * @private
+ * @param {EventEmitter} events - The job's event emitter
+ * @param {Object} handlers - `onProgress`, `onVideo`, `onComplete` and `onError` callbacks
+ * @returns {Function} Unsubscribes the callbacks
+ */
+function subscribe(events, handlers) {
+  const { onProgress, onVideo, onComplete, onError } = handlers;
+
+  events.on("progress", onProgress);
+  events.on("video", onVideo);
+  events.on("complete", onComplete);
+  events.on("error", onError);
+
+  return () => {
+    events.off("progress", onProgress);
+    events.off("video", onVideo);
+    events.off("complete", onComplete);
+    events.off("error", onError);
+  };
+}
+
+/**
+ * Runs a job from its last checkpoint, persisting progress after every page.
+ * Listeners attached through attachToFetchJob receive the live events.
+ * A job that isn't stored yet is only stored once it has to call the API:
+ * an answer from the cache leaves nothing to resume. Jobs run on a signed-in
+ * user's credentials may hold private videos, so they are never stored.
+ * Events carry the job ID only while the job is stored.
+ *
+ * @private
+ * @param {Object} job - Job to run, stored or only built
+ * @param {Object} [handlers] - Stream callbacks subscribed before the run starts
+ * @param {AbortSignal} [signal] - Cancels the run when aborted; the job can be resumed later
+ * @param {YouTubeChannelFetcher} [fetcher] - Fetcher to run on, shared when batching channels
+ * @returns {Promise<Object>} Resolves with the finished job; rejects with the fetch error
+ */
+function executeJob(
+  job,
+  handlers = null,
+  signal = null,
+  fetcher = createFetcher()
+) {
+  const events = new EventEmitter();
+  // Errors are delivered to listeners; an unlistened "error" event must not throw
+  events.on("error", () => {});
+
+  // The job's own controller lets deleteFetchJob cancel it too
+  const controller = new AbortController();
+  if (signal) {
+    signal.addEventListener("abort", () => controller.abort(), { once: true });
+  }
+
+  const entry = { events, controller, done: null };
+  let stored = false;
+  const store = () => {
+    stored = true;
+    runningJobs.set(job.id, entry);
+  };
+  const save = (options) => {
+    if (stored) {
+      jobs.save(job, options);
+    }
+  };
+  const jobId = () => (stored ? job.id : null);
+
+  if (jobs.has(job.id)) {
+    store();
+  }
+  if (handlers) {
+    subscribe(events, handlers);
+  }
+
+  const checkpoint = job.checkpoint
+    ? { ...job.checkpoint, videos: job.videos }
+    : null;
+
+  job.status = "running";
+  job.error = null;
+  save();
+
+  entry.done = loadChannel(
+    fetcher,
+    job.channelInput,
+    job.options,
+    {
+      onProgress: (progress) =>
+        events.emit("progress", { ...progress, jobId: jobId() }),
+      onFetchStart: () => {
+        if (!stored && !fetcher.auth) {
+          store();
+          save();
+        }
+      },
+      onVideos: (videos) => {
+        for (const video of videos) {
+          job.videos.push(video);
+          events.emit("video", video);
+        }
+      },
+      // The paginator's video list matches job.videos, which is saved alongside
+      onCheckpoint: ({ videos, ...state }) => {
+        job.checkpoint = state;
+        save();
+      },
+    },
+    { checkpoint, signal: controller.signal }
+  )
+    .then(({ channelInfo, videos, refresh }) => {
+      job.status = "completed";
+      job.channelInfo = channelInfo;
+      job.videos = videos;
+      save({ rewriteVideos: true });
+
+      events.emit("complete", {
+        message: "All videos fetched successfully",
+        jobId: jobId(),
+        channelInfo,
+        refresh,
+        quota: { job: fetcher.quotaUsed, ...quota.getUsage() },
+      });
+      return job;
+    })
+    .catch((error) => {
+      const { code } = describeError(error);
+      job.status = error instanceof CancelledError ? "cancelled" : "failed";
+      job.error = { message: error.message, code };
+      save();
+
+      if (stored) {
+        error.jobId = job.id;
+      }
+      events.emit("error", error);
+      throw error;
+    })
+    .finally(() => runningJobs.delete(job.id));
+
+  // Callers that don't await the run shouldn't trigger unhandled rejections
+  entry.done.catch(() => {});
+  return entry.done;
+}
+
+/**
+ * Creates a persisted fetch job for a channel and starts running it in the background.
+ *
+ * @function startFetchJob
+ * @param {string} channelInput - Channel URL, username, or channel ID
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="incremental"] - Cache refresh mode: "full", "incremental" or "none"
+ * @param {string} [options.publishedAfter] - Date range, order, cap and detail level as for fetchYoutubeVideos;
+ *   likewise `publishedBefore`, `order`, `maxVideos` and `includeDetails`
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool; it isn't stored
+ *   with the job, so a resumed job runs on the pool
+ * @returns {Object} Summary of the new job
+ */
+function startFetchJob(channelInput, options = {}) {
+  const { refresh = "incremental", apiKey = null } = options;
+  const job = jobs.create({
+    channelInput,
+    options: { refresh, ...pickFetchOptions(options) },
+  });
+
+  executeJob(job, null, null, createFetcher(apiKey));
+  return summarizeJob(job);
+}
+
+/**
+ * Continues a failed, cancelled or interrupted job from its last checkpoint in the background.
+ *
+ * @function resumeFetchJob
+ * @param {string} jobId - Job ID
+ * @returns {Object} Summary of the resumed job
+ * @throws {JobNotFoundError} When no job has this ID
+ * @throws {JobStateError} When the job is running or already completed
+ */
+function resumeFetchJob(jobId) {
+  const job = loadJob(jobId);
+
+  if (job.status === "running" || job.status === "completed") {
+    throw new JobStateError(job, "resume");
+  }
+
+  executeJob(job);
+  return summarizeJob(job);
+}
+
+/**
+ * Returns a job's status and checkpoint.
+ *
+ * @function getFetchJob
+ * @param {string} jobId - Job ID
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeVideos=false] - Include the videos collected so far
+ * @returns {Object} Job summary, plus `videos` when requested
+ * @throws {JobNotFoundError} When no job has this ID
+ */
+function getFetchJob(jobId, options = {}) {
+  const job = loadJob(jobId);
+  const summary = summarizeJob(job);
+
+  return options.includeVideos ? { ...summary, videos: job.videos } : summary;
+}
+
+/**
+ * Deletes a job, cancelling it first if it is running.
+ *
+ * @async
+ * @function deleteFetchJob
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>} Resolves once the job has stopped and is removed
+ * @throws {JobNotFoundError} When no job has this ID
+ */
+async function deleteFetchJob(jobId) {
+  loadJob(jobId);
+
+  const running = runningJobs.get(jobId);
+  if (running) {
+    running.controller.abort();
+    await running.done.catch(() => {});
+  }
+
+  jobs.delete(jobId);
+}
 
 /**
- * YouTube API key from environment variables
- * @type {string}
+ * Attaches stream callbacks to a job. Videos collected so far are replayed first;
+ * a running job then delivers live events, a finished one its final event.
+ *
+ * @function attachToFetchJob
+ * @param {string} jobId - Job ID
+ * @param {Object} handlers - Stream callbacks
+ * @param {Function} handlers.onProgress - Receives progress updates
+ * @param {Function} handlers.onVideo - Receives each video
+ * @param {Function} handlers.onComplete - Receives the completion summary
+ * @param {Function} handlers.onError - Receives the error that stopped the job
+ * @returns {Function} Detaches the handlers
+ * @throws {JobNotFoundError} When no job has this ID
  */
-const API_KEY = process.env.YOUTUBE_API_KEY;
+function attachToFetchJob(jobId, handlers) {
+  const { onProgress, onVideo, onComplete, onError } = handlers;
+  const job = loadJob(jobId);
+
+  onProgress({
+    stage: "job_attached",
+    message: `Attached to job ${job.id} (${job.status})`,
+    jobId: job.id,
+    status: job.status,
+  });
+  job.videos.forEach((video) => onVideo(video));
+
+  const running = runningJobs.get(jobId);
+
+  if (!running) {
+    if (job.status === "completed") {
+      onComplete({
+        message: "All videos fetched successfully",
+        jobId: job.id,
+        channelInfo: job.channelInfo,
+        refresh: job.options.refresh,
+      });
+    } else {
+      const { message = `Job is ${job.status}`, code = "jobInterrupted" } =
+        job.error || {};
+      const error = new AppError(message, { code });
+      error.jobId = jobId;
+      onError(error);
+    }
+    return () => {};
+  }
+
+  return subscribe(running.events, handlers);
+}
 
 /**
  * Fetches YouTube videos and channel information for a given channel input.
@@ -27,25 +1109,41 @@ const API_KEY = process.env.YOUTUBE_API_KEY;
  *   - Username (e.g., "Marques Brownlee")
  *   - Channel URL with @ symbol (e.g., "https://www.youtube.com/@mkbhd")
  *   - Channel ID (e.g., "UCBJycsmduvYEL83R_U4JriQ")
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="incremental"] - Cache refresh mode: "full", "incremental" or "none"
+ * @param {string} [options.publishedAfter] - Only videos published at or after this time (ISO 8601)
+ * @param {string} [options.publishedBefore] - Only videos published at or before this time (ISO 8601)
+ * @param {string} [options.order="date"] - One of VIDEO_ORDERS: "date", "rating", "title" or "viewCount"
+ * @param {number} [options.maxVideos] - Stop after the latest this many videos
+ * @param {boolean} [options.includeDetails=true] - Look up durations, statistics and tags (1 unit per 50 videos)
+ *   A date range, a cap or leaving out details fetches from YouTube and leaves the cache untouched,
+ *   unless `refresh` is "none", which narrows the cached videos instead.
+ * @param {AbortSignal} [options.signal] - Cancels the fetch when aborted; the job stays resumable
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @param {OAuth2Client} [options.auth] - Fetch on a signed-in user's credentials instead, which also returns
+ *   their own private and unlisted uploads; such fetches bypass the cache
  *
- * @returns {Promise<Array<Object>|undefined>} Returns an array of video objects containing:
+ * @returns {Promise<Video[]>} Returns an array of videos (see lib/video-model.js) containing:
+ *   - id: YouTube video ID
  *   - title: Video title
  *   - description: Video description
- *   - publishedAt: Publication date
- *   - videoId: YouTube video ID
- *   - thumbnailUrl: Video thumbnail URL
+ *   - publishedAt: Publication date (ISO 8601)
+ *   - channelId: Channel ID
+ *   - channelTitle: Channel name
+ *   - thumbnails: Every thumbnail size, e.g. `thumbnails.medium.url`
+ *   - duration: ISO 8601 duration, with `durationSeconds` as a number
  *   - viewCount: Number of views
  *   - likeCount: Number of likes
  *   - commentCount: Number of comments
- *   - duration: Video duration
- *   - channelTitle: Channel name
- *   - channelId: Channel ID
+ *   - tags: Video tags
  *
- * @throws {Error} Throws an error if:
- *   - Channel input is invalid or channel not found
- *   - YouTube API key is missing or invalid
- *   - API quota is exceeded
- *   - Network connection issues occur
+ * @throws {YouTubeApiError} Throws a typed error (see lib/errors.js) carrying a
+ * machine-readable `code`, the videos fetched so far in `partialVideos` and the
+ * ID of the persisted job to resume in `jobId` if:
+ *   - Channel input is invalid or channel not found (ChannelNotFoundError)
+ *   - YouTube API key is missing or invalid (KeyInvalidError)
+ *   - API quota or the local budget is exceeded (QuotaExceededError, QuotaBudgetError)
+ *   - Rate limiting or network issues persist after retries (RetryExhaustedError)
  *
  * @example
  * // Using channel URL
@@ -59,33 +1157,25 @@ const API_KEY = process.env.YOUTUBE_API_KEY;
  * // Using channel URL with @ symbol
  * const videos = await fetchYoutubeVideos("https://www.youtube.com/@mkbhd");
  */
-async function fetchYoutubeVideos(channelInput) {
-  const fetcher = new YouTubeChannelFetcher(API_KEY);
+async function fetchYoutubeVideos(channelInput, options = {}) {
+  const {
+    refresh = "incremental",
+    signal = null,
+    apiKey = null,
+    auth = null,
+  } = options;
+  const job = jobs.build({
+    channelInput,
+    options: { refresh, ...pickFetchOptions(options) },
+  });
 
   try {
-    console.log(`🔍 Getting channel ID for: ${channelInput}`);
-    const channelId = await fetcher.getChannelId(channelInput);
-    console.log(`📺 Channel ID: ${channelId}`);
-
-    // Retrieve comprehensive channel information including subscriber count and video count
-    console.log("\n📊 Getting channel information...");
-    const channelInfo = await fetcher.getChannelInfo(channelId);
-    console.log(`Channel: ${channelInfo.title}`);
-    console.log(
-      `Subscribers: ${parseInt(channelInfo.subscriberCount).toLocaleString()}`
+    const { videos } = await executeJob(
+      job,
+      null,
+      signal,
+      createFetcher(apiKey, auth)
     );
-    console.log(
-      `Total Videos: ${parseInt(channelInfo.videoCount).toLocaleString()}`
-    );
-
-    // Fetch all videos from the channel with detailed information
-    // Configuration: max 50 results, ordered by date, including full video details
-    console.log("\n🎥 Fetching all videos...");
-    const videos = await fetcher.getAllChannelVideos(channelId, {
-      maxResults: 50,
-      order: "date",
-      includeDetails: true,
-    });
 
     // Display a summary of the fetched data
     console.log("\n📈 Summary:");
@@ -102,9 +1192,238 @@ async function fetchYoutubeVideos(channelInput) {
     return videos;
   } catch (error) {
     console.error("❌ Error:", error.message);
+    throw error;
   }
 }
 
+/**
+ * Summarizes a channel's videos: upload frequency, posting heatmap, duration
+ * distribution, view percentiles, engagement, top videos and common tags.
+ *
+ * @async
+ * @function getChannelAnalytics
+ * @param {string} channelInput - Channel URL, handle, username or ID
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="none"] - Cache refresh mode; by default cached videos are analyzed as they are
+ * @param {AbortSignal} [options.signal] - Stops the fetch when aborted
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<Object>} `{ channelId, channelTitle, generatedAt, ...analytics }` (see lib/channel-analytics.js)
+ * @throws {YouTubeApiError} When the channel has to be fetched and fetching fails
+ */
+async function getChannelAnalytics(channelInput, options = {}) {
+  const { refresh = "none", signal = null, apiKey = null } = options;
+  const job = jobs.build({ channelInput, options: { refresh } });
+  const { channelInfo, videos } = await executeJob(
+    job,
+    null,
+    signal,
+    createFetcher(apiKey)
+  );
+
+  return {
+    channelId: channelInfo.id,
+    channelTitle: channelInfo.title,
+    generatedAt: new Date().toISOString(),
+    ...analyzeVideos(videos),
+  };
+}
+
+/**
+ * Downloads and stores the transcripts of videos, remembering the videos
+ * whose captions can't be downloaded so they aren't paid for again.
+ *
+ * @async
+ * @private
+ * @param {YouTubeChannelFetcher} fetcher - Fetcher on the channel owner's credentials
+ * @param {string} channelId - YouTube channel ID the transcripts are stored under
+ * @param {Video[]} videos - Videos to download the transcripts of
+ * @param {Object} transcripts - Stored transcripts by video ID, updated in place
+ * @param {Object} options - `language` and `signal`, as for searchTranscripts
+ * @throws {QuotaExceededError} When downloading the next transcript would go over the daily budget
+ */
+async function downloadTranscripts(
+  fetcher,
+  channelId,
+  videos,
+  transcripts,
+  { language, signal }
+) {
+  console.log(`📝 Fetching ${videos.length} transcripts`);
+
+  for (const video of videos) {
+    if (signal && signal.aborted) {
+      throw new CancelledError();
+    }
+    fetcher.assertAvailable(
+      QUOTA_COSTS.captions + QUOTA_COSTS["captions.download"]
+    );
+
+    try {
+      const transcript = await fetcher.getTranscript(video.id, {
+        language,
+        signal,
+      });
+      transcripts[video.id] = cache.saveTranscript(
+        channelId,
+        video.id,
+        transcript || { segments: [] }
+      );
+    } catch (error) {
+      // Quota, rate limit and network errors end the search; only
+      // per-video failures are worth remembering
+      if (
+        !(error instanceof CaptionsUnavailableError) &&
+        !(error instanceof VideoNotFoundError)
+      ) {
+        throw error;
+      }
+
+      // Remember the failure so the next search doesn't pay for it again
+      transcripts[video.id] = cache.saveTranscript(channelId, video.id, {
+        segments: null,
+        error: { code: describeError(error).code, message: error.message },
+      });
+    }
+  }
+}
+
+/**
+ * Lists the caption tracks of videos, for callers who may not download them.
+ *
+ * @async
+ * @private
+ * @param {YouTubeChannelFetcher} fetcher - Fetcher instance
+ * @param {Video[]} videos - Videos to list the tracks of
+ * @param {AbortSignal} [signal] - Stops listing when aborted
+ * @returns {Promise<Object>} `{ language, name, trackKind }` tracks by video ID
+ * @throws {QuotaExceededError} When listing the next video's tracks would go over the daily budget
+ */
+async function listCaptionTracks(fetcher, videos, signal) {
+  const tracks = {};
+
+  for (const video of videos) {
+    if (signal && signal.aborted) {
+      throw new CancelledError();
+    }
+    fetcher.assertAvailable(QUOTA_COSTS.captions);
+
+    try {
+      tracks[video.id] = (
+        await fetcher.getCaptionTracks(video.id, { signal })
+      ).map(({ language, name, trackKind }) => ({ language, name, trackKind }));
+    } catch (error) {
+      if (!(error instanceof VideoNotFoundError)) {
+        throw error;
+      }
+      tracks[video.id] = [];
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Searches the transcripts of a channel's videos. Videos come from the cache
+ * (the channel is fetched first if it has never been). With `fetchMissing`,
+ * YouTube only lets the channel's owner download captions: signed in as the
+ * owner, the missing transcripts are downloaded at 250 quota units per video;
+ * anyone else gets the missing videos' caption tracks listed instead, at 50.
+ *
+ * @async
+ * @function searchTranscripts
+ * @param {string} channelInput - Channel URL, handle, username or ID
+ * @param {string} query - Text to look for, ignoring case
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.fetchMissing=false] - Download transcripts that aren't stored yet
+ * @param {string} [options.language] - Preferred caption language, e.g. "en"
+ * @param {AbortSignal} [options.signal] - Stops fetching when aborted
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @param {OAuth2Client} [options.auth] - A signed-in user's credentials, used to download captions
+ *   when the user owns the channel
+ * @returns {Promise<Object>} `{ channelId, query, transcripts: { available, unavailable, missing }, results }`
+ *   where `unavailable` counts videos whose captions couldn't be downloaded and `missing` those never tried;
+ *   each result is `{ video, matches }` and each match carries a `url` opening the video at that moment.
+ *   When tracks were listed instead of downloaded, `tracks` holds them by video ID.
+ * @throws {QuotaExceededError} When downloading the next transcript would go over the daily budget
+ */
+async function searchTranscripts(channelInput, query, options = {}) {
+  const {
+    fetchMissing = false,
+    language = null,
+    signal = null,
+    apiKey = null,
+    auth = null,
+  } = options;
+  const fetcher = createFetcher(apiKey);
+  const job = jobs.build({ channelInput, options: { refresh: "none" } });
+  const { channelInfo, videos } = await executeJob(job, null, signal, fetcher);
+  const transcripts = cache.getTranscripts(channelInfo.id);
+  const missing = videos.filter((video) => !transcripts[video.id]);
+  let tracks = null;
+
+  if (fetchMissing && missing.length > 0) {
+    // YouTube only lets the channel's owner download its captions
+    let owner = null;
+    if (auth) {
+      owner = createFetcher(null, auth);
+      owner.assertAvailable(QUOTA_COSTS.channels);
+      const mine = await owner.getMyChannel().catch((error) => {
+        // A Google account without a channel owns nothing
+        if (error instanceof ChannelNotFoundError) {
+          return null;
+        }
+        throw error;
+      });
+      if (!mine || mine.id !== channelInfo.id) {
+        owner = null;
+      }
+    }
+
+    if (owner) {
+      await downloadTranscripts(owner, channelInfo.id, missing, transcripts, {
+        language,
+        signal,
+      });
+    } else {
+      console.log(`📝 Listing caption tracks of ${missing.length} videos`);
+      tracks = await listCaptionTracks(fetcher, missing, signal);
+    }
+  }
+
+  const results = videos
+    .map((video) => {
+      const transcript = transcripts[video.id];
+      const segments = (transcript && transcript.segments) || [];
+
+      return {
+        video,
+        matches: findSegments(segments, query).map((segment) => ({
+          ...segment,
+          url: `https://www.youtube.com/watch?v=${video.id}&t=${Math.floor(segment.start)}s`,
+        })),
+      };
+    })
+    .filter((result) => result.matches.length > 0)
+    .sort((a, b) => b.matches.length - a.matches.length);
+
+  const stored = videos.filter((video) => transcripts[video.id]);
+  const available = stored.filter(
+    (video) => transcripts[video.id].segments
+  ).length;
+
+  return {
+    channelId: channelInfo.id,
+    query,
+    transcripts: {
+      available,
+      unavailable: stored.length - available,
+      missing: videos.length - stored.length,
+    },
+    ...(tracks ? { tracks } : {}),
+    results,
+  };
+}
+
 /**
  * Fetches YouTube videos with streaming support using Server-Sent Events.
  * This function streams video data as it's being fetched, providing real-time updates.
@@ -116,6 +1435,16 @@ async function fetchYoutubeVideos(channelInput) {
  * @param {Function} onVideo - Callback function for each video
  * @param {Function} onComplete - Callback function when complete
  * @param {Function} onError - Callback function for errors
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="incremental"] - Cache refresh mode: "full", "incremental" or "none"
+ * @param {string} [options.publishedAfter] - Date range, order, cap and detail level as for fetchYoutubeVideos;
+ *   likewise `publishedBefore`, `order`, `maxVideos` and `includeDetails`
+ * @param {AbortSignal} [options.signal] - Stops paging and abandons in-flight requests when aborted,
+ *   e.g. when the client disconnects. onError then receives a CancelledError carrying
+ *   `partialVideos` and `pagesFetched`; the job stays resumable from its last page.
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @param {OAuth2Client} [options.auth] - Fetch on a signed-in user's credentials instead, which also returns
+ *   their own private and unlisted uploads; such fetches bypass the cache
  *
  * @example
  * streamYoutubeVideos(
@@ -131,72 +1460,215 @@ async function streamYoutubeVideos(
   onProgress,
   onVideo,
   onComplete,
-  onError
+  onError,
+  options = {}
 ) {
-  const fetcher = new YouTubeChannelFetcher(API_KEY);
+  const {
+    refresh = "incremental",
+    signal = null,
+    apiKey = null,
+    auth = null,
+  } = options;
+  const job = jobs.build({
+    channelInput,
+    options: { refresh, ...pickFetchOptions(options) },
+  });
 
   try {
-    console.log(`🔍 Getting channel ID for: ${channelInput}`);
-    onProgress({
-      stage: "channel_lookup",
-      message: `Looking up channel: ${channelInput}`,
-    });
+    // Progress events carry the job ID so an interrupted stream can be resumed
+    await executeJob(
+      job,
+      { onProgress, onVideo, onComplete, onError },
+      signal,
+      createFetcher(apiKey, auth)
+    );
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+  }
+}
 
-    const channelId = await fetcher.getChannelId(channelInput);
-    console.log(`📺 Channel ID: ${channelId}`);
+/**
+ * Calls an async worker for every item, with at most `limit` calls in flight.
+ *
+ * @async
+ * @private
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} worker - Receives `(item, index)`
+ * @returns {Promise<void>} Resolves once every item has been processed
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
 
-    // Retrieve comprehensive channel information
-    console.log("\n📊 Getting channel information...");
-    onProgress({
-      stage: "channel_info",
-      message: "Fetching channel information...",
-    });
+  await Promise.all(runners);
+}
 
-    const channelInfo = await fetcher.getChannelInfo(channelId);
-    console.log(`Channel: ${channelInfo.title}`);
-    console.log(
-      `Subscribers: ${parseInt(channelInfo.subscriberCount).toLocaleString()}`
-    );
-    console.log(
-      `Total Videos: ${parseInt(channelInfo.videoCount).toLocaleString()}`
-    );
+/**
+ * Fetches several channels as separate jobs on one shared fetcher, so video
+ * detail lookups are deduplicated and quota is metered in one place.
+ *
+ * @async
+ * @private
+ * @param {string[]} channelInputs - Channel URLs, usernames, or channel IDs
+ * @param {Object} options - Batch options (see fetchYoutubeVideosBatch)
+ * @param {Function} [jobHandlersFor] - Returns the stream callbacks for a channel's job, given `{ channel, index }`
+ * @returns {Promise<{results: Array<Object>, quota: Object}>} Per-channel results in input order and the batch's quota use
+ */
+async function runBatch(channelInputs, options, jobHandlersFor = null) {
+  const {
+    refresh = "incremental",
+    concurrency = BATCH_CONCURRENCY,
+    signal = null,
+    apiKey = null,
+  } = options;
+  const fetcher = createFetcher(apiKey);
+  const results = [];
 
-    // Send channel info
-    onProgress({
-      stage: "channel_ready",
-      message: `Channel found: ${channelInfo.title}`,
-      channelInfo,
-    });
+  await runWithConcurrency(
+    channelInputs,
+    concurrency,
+    async (channel, index) => {
+      const handlers = jobHandlersFor
+        ? jobHandlersFor({ channel, index })
+        : null;
 
-    // Fetch videos with streaming support
-    console.log("\n🎥 Fetching videos with streaming...");
-    onProgress({ stage: "videos_start", message: "Starting video fetch..." });
+      // Channels skipped after cancellation never run a job, so report them here
+      if (signal && signal.aborted) {
+        const error = new CancelledError();
+        results[index] = {
+          channel,
+          status: "cancelled",
+          jobId: null,
+          error: { message: error.message, code: error.code },
+          videos: [],
+        };
+        if (handlers) {
+          handlers.onError(error);
+        }
+        return;
+      }
 
-    await fetcher.streamAllChannelVideos(channelId, {
-      maxResults: 50,
-      order: "date",
-      includeDetails: true,
-      onProgress: (progress) => {
-        onProgress({
-          stage: "videos_progress",
-          message: `Fetching page ${progress.page}... (${progress.totalFetched} videos so far)`,
-          ...progress,
-        });
-      },
-      onVideos: (videos) => {
-        // Stream each video individually
-        videos.forEach((video) => onVideo(video));
-      },
-    });
+      // Channels answered from the cache aren't stored as jobs
+      const job = jobs.build({ channelInput: channel, options: { refresh } });
+      const storedJobId = () => (jobs.has(job.id) ? job.id : null);
 
-    onComplete({
-      message: "All videos fetched successfully",
-      channelInfo,
-    });
-  } catch (error) {
-    console.error("❌ Error:", error.message);
-    onError(error);
-  }
+      try {
+        const { channelInfo, videos } = await executeJob(
+          job,
+          handlers,
+          signal,
+          fetcher
+        );
+        results[index] = {
+          channel,
+          status: job.status,
+          jobId: storedJobId(),
+          channelInfo,
+          videos,
+        };
+      } catch (error) {
+        results[index] = {
+          channel,
+          status: job.status,
+          jobId: storedJobId(),
+          error: {
+            message: error.message,
+            code: describeError(error).code,
+            candidates: error.candidates,
+          },
+          videos: error.partialVideos || [],
+        };
+      }
+    }
+  );
+
+  return {
+    results,
+    quota: { batch: fetcher.quotaUsed, ...quota.getUsage() },
+  };
+}
+
+/**
+ * Fetches videos for several channels at once. Channels are fetched with bounded
+ * concurrency on one shared fetcher, each as its own resumable job; a failing
+ * channel doesn't stop the others.
+ *
+ * @async
+ * @function fetchYoutubeVideosBatch
+ * @param {string[]} channelInputs - Channel URLs, usernames, or channel IDs
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.refresh="incremental"] - Cache refresh mode: "full", "incremental" or "none"
+ * @param {number} [options.concurrency=3] - Channels fetched at the same time
+ * @param {AbortSignal} [options.signal] - Cancels running channels and skips the rest
+ * @param {string} [options.apiKey] - Fetch with this API key instead of the key pool
+ * @returns {Promise<Array<Object>>} One result per input, in input order:
+ *   `{ channel, status, jobId, channelInfo, videos }` on success, or
+ *   `{ channel, status, jobId, error: { message, code, candidates }, videos }`
+ *   with the partial videos when the channel failed or was cancelled
+ */
+async function fetchYoutubeVideosBatch(channelInputs, options = {}) {
+  const { results } = await runBatch(channelInputs, options);
+  const failed = results.filter((result) => result.error);
+
+  console.log("\n📈 Batch summary:");
+  console.log(`Channels fetched: ${results.length - failed.length}`);
+  failed.forEach((result) =>
+    console.log(`❌ ${result.channel}: ${result.error.message}`)
+  );
+
+  return results;
+}
+
+/**
+ * Streams videos for several channels at once. Every callback except onComplete
+ * receives a `{ channel, index }` tag naming the input it belongs to.
+ *
+ * @async
+ * @function streamYoutubeVideosBatch
+ * @param {string[]} channelInputs - Channel URLs, usernames, or channel IDs
+ * @param {Object} handlers - Stream callbacks
+ * @param {Function} handlers.onProgress - Receives `(progress, tag)`; `quota.job` covers the whole batch
+ * @param {Function} handlers.onVideo - Receives `(video, tag)`
+ * @param {Function} handlers.onChannelComplete - Receives `(result, tag)` when a channel finishes
+ * @param {Function} handlers.onChannelError - Receives `(error, tag)` when a channel fails or is cancelled
+ * @param {Function} handlers.onComplete - Receives `{ total, succeeded, failed, results, quota }` once every channel is done
+ * @param {Object} [options] - Same options as fetchYoutubeVideosBatch
+ */
+async function streamYoutubeVideosBatch(channelInputs, handlers, options = {}) {
+  const { onProgress, onVideo, onChannelComplete, onChannelError, onComplete } =
+    handlers;
+
+  const { results, quota: batchQuota } = await runBatch(
+    channelInputs,
+    options,
+    (tag) => ({
+      onProgress: (progress) => onProgress(progress, tag),
+      onVideo: (video) => onVideo(video, tag),
+      onComplete: (result) => onChannelComplete(result, tag),
+      onError: (error) => onChannelError(error, tag),
+    })
+  );
+
+  const succeeded = results.filter((result) => !result.error).length;
+  onComplete({
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results: results.map(({ videos, channelInfo, ...result }) => ({
+      ...result,
+      totalVideos: videos.length,
+    })),
+    quota: batchQuota,
+  });
 }
 
 /**
@@ -206,9 +1678,46 @@ async function streamYoutubeVideos(
  *   - YouTubeChannelFetcher: The main class for fetching YouTube channel data
  *   - fetchYoutubeVideos: Convenience function for fetching videos from a channel
  *   - streamYoutubeVideos: Streaming function for real-time video fetching
+ *   - fetchYoutubeVideosBatch, streamYoutubeVideosBatch: The same for several channels at once
+ *   - startFetchJob, resumeFetchJob, getFetchJob, deleteFetchJob, attachToFetchJob: Persisted, resumable fetch jobs
+ *   - resolveChannelInput: Channel input resolution with candidates for ambiguous names
+ *   - fetchMyChannel: The channel of the user signed in with OAuth
+ *   - getQuotaUsage: Today's quota usage against the daily budget
+ *   - getApiKeyUsage, resetApiKey: Per-key usage of the key pool, and putting retired keys back in rotation
+ *   - getVideoHistory, getChannelHistory: Statistics recorded on every refresh, as time series
+ *   - fetchChannelPlaylists, fetchPlaylistVideos: A channel's playlists and the videos of one playlist
+ *   - fetchVideoComments: Comment threads of a video, with optional replies
+ *   - getChannelAnalytics: Upload, duration, view, engagement and tag summary of a channel
+ *   - channelWatcher: Scheduled new-upload and deletion detection with webhooks
+ *   - REFRESH_MODES: Allowed values for the `refresh` option
  */
 module.exports = {
   YouTubeChannelFetcher,
   fetchYoutubeVideos,
   streamYoutubeVideos,
+  fetchYoutubeVideosBatch,
+  streamYoutubeVideosBatch,
+  startFetchJob,
+  resumeFetchJob,
+  getFetchJob,
+  deleteFetchJob,
+  attachToFetchJob,
+  resolveChannelInput,
+  fetchChannelInfo,
+  fetchMyChannel,
+  getQuotaUsage,
+  getApiKeyUsage,
+  resetApiKey,
+  getVideoHistory,
+  getChannelHistory,
+  getChannelAnalytics,
+  fetchVideoComments,
+  fetchChannelPlaylists,
+  fetchPlaylistVideos,
+  searchTranscripts,
+  channelWatcher,
+  narrowCachedVideos,
+  REFRESH_MODES,
+  BATCH_CONCURRENCY,
+  FETCH_DEFAULTS,
 };
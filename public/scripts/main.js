@@ -1,17 +1,96 @@
 let allVideos = [];
 let filteredVideos = [];
+let videoHistory = {};
 let isStreaming = false;
+let currentEventSource = null;
 
-// Format duration from PT37M46S to 37:46
-function formatDuration(duration) {
-  if (!duration) return "Unknown";
+// Once a channel is fetched the grid pages through /api/videos; playlists and
+// partial results are filtered in the browser instead
+const PAGE_SIZE = 50;
+let channelId = null;
+let listingChannelId = null;
+// Channel of the user signed in with Google; only they may download its captions
+let signedInChannelId = null;
+let nextCursor = null;
+let listingRequest = 0;
+let searchTimer = null;
 
-  const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-  if (!match) return "Unknown";
+// Show the Stop button only while a stream is running
+function setStreaming(streaming) {
+  isStreaming = streaming;
+  document.getElementById("stopButton").style.display = streaming ? "inline-block" : "none";
+  if (!streaming && currentEventSource) {
+    currentEventSource.close();
+    currentEventSource = null;
+  }
+}
+
+// Search and download only make sense once there are videos to work on
+function setToolbarVisible(visible) {
+  document.getElementById("searchInput").style.display = visible ? "block" : "none";
+  document.getElementById("transcriptButton").style.display = visible ? "inline-block" : "none";
+  document.getElementById("sortSelect").style.display = visible && listingChannelId ? "inline-block" : "none";
+  document.getElementById("kindSelect").style.display = visible ? "inline-block" : "none";
+  document.getElementById("excludeShortsToggle").style.display = visible ? "inline-flex" : "none";
+  document.getElementById("downloadMenu").style.display = visible ? "inline-block" : "none";
+}
+
+// Stop the running stream. Closing the connection makes the server cancel the fetch.
+function stopStream() {
+  if (!isStreaming) return;
+
+  setStreaming(false);
+  document.getElementById("loading").style.display = "none";
+  renderVideos();
+  setToolbarVisible(true);
+  document.getElementById("error").innerHTML = `Stopped after ${allVideos.length} videos.`;
+  document.getElementById("error").style.display = "block";
+}
+
+// Fetch options from the form, as /api/videos/stream query parameters
+function fetchOptionParams() {
+  const params = new URLSearchParams();
+  const after = document.getElementById("optPublishedAfter").value;
+  const before = document.getElementById("optPublishedBefore").value;
+  const order = document.getElementById("optOrder").value;
+  const maxVideos = document.getElementById("optMaxVideos").value;
+
+  if (after) params.set("publishedAfter", after);
+  if (before) params.set("publishedBefore", before);
+  if (order !== "date") params.set("order", order);
+  if (maxVideos) params.set("maxVideos", maxVideos);
+  if (document.getElementById("optLight").checked) params.set("details", "false");
+  return params;
+}
 
-  const hours = parseInt(match[1]) || 0;
-  const minutes = parseInt(match[2]) || 0;
-  const seconds = parseInt(match[3]) || 0;
+// Mirror the server's fetch order for videos streamed page by page
+function sortByFetchOrder(videos, order) {
+  const comparators = {
+    date: (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt),
+    title: (a, b) => a.title.localeCompare(b.title),
+    viewCount: (a, b) => (b.viewCount || 0) - (a.viewCount || 0),
+    rating: (a, b) => (b.likeCount || 0) - (a.likeCount || 0),
+  };
+  return [...videos].sort(comparators[order]);
+}
+
+// Escape text taken from users or YouTube before putting it into HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Format duration from 2266 seconds to 37:46
+function formatDuration(durationSeconds) {
+  if (durationSeconds === null || durationSeconds === undefined) return "Unknown";
+
+  const hours = Math.floor(durationSeconds / 3600);
+  const minutes = Math.floor((durationSeconds % 3600) / 60);
+  const seconds = durationSeconds % 60;
 
   if (hours > 0) {
     return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds
@@ -44,28 +123,318 @@ function formatNumber(num) {
   return number.toString();
 }
 
+// Draw a video's recorded view counts as an inline SVG sparkline
+function createSparkline(history) {
+  const points = history
+    ? history.points.filter((point) => point.viewCount !== null)
+    : [];
+  if (points.length < 2) return "";
+
+  const width = 120;
+  const height = 24;
+  const min = Math.min(...points.map((point) => point.viewCount));
+  const max = Math.max(...points.map((point) => point.viewCount));
+  const coordinates = points
+    .map((point, index) => {
+      const x = (index / (points.length - 1)) * width;
+      const y = max === min ? height / 2 : height - ((point.viewCount - min) / (max - min)) * height;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  const perDay = history.summary && history.summary.perDay;
+
+  return `
+    <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <polyline points="${coordinates}" />
+    </svg>
+    <span>${perDay === null ? "" : `📈 ${formatNumber(Math.round(perDay))} views/day`}</span>
+  `;
+}
+
+// Fetch the recorded statistics of every video of a channel and add the sparklines
+async function loadHistory(channelId) {
+  try {
+    const response = await fetch(`/api/channels/${encodeURIComponent(channelId)}/history?videos=true`);
+    if (!response.ok) return;
+
+    videoHistory = (await response.json()).videos || {};
+    Object.entries(videoHistory).forEach(([videoId, history]) => {
+      const element = document.getElementById(`spark-${videoId}`);
+      if (element) {
+        element.innerHTML = createSparkline(history);
+      }
+    });
+  } catch (error) {
+    console.error("Error loading history:", error);
+  }
+}
+
+// Draw labelled horizontal bars, scaled to the largest value
+function createBars(rows) {
+  const max = Math.max(1, ...rows.map((row) => row.value));
+  return rows
+    .map(
+      (row) => `
+        <div class="bar-row">
+          <span class="bar-label">${escapeHtml(row.label)}</span>
+          <div class="bar-track"><div class="bar" style="width: ${(row.value / max) * 100}%"></div></div>
+          <span class="bar-value">${row.value}</span>
+        </div>
+      `
+    )
+    .join("");
+}
+
+// Render the channel analytics dashboard
+function renderAnalytics(analytics) {
+  const { uploads, heatmap, durations, views, engagement, topVideos, tags } = analytics;
+  const busiest = Math.max(1, ...heatmap.matrix.flat());
+  const topList = (videos, value) =>
+    videos
+      .slice(0, 5)
+      .map((video) => `<li><a href="https://www.youtube.com/watch?v=${encodeURIComponent(video.id)}" target="_blank">${escapeHtml(video.title)}</a> <span>${value(video)}</span></li>`)
+      .join("");
+
+  document.getElementById("analytics").innerHTML = `
+    <h2>📈 Channel Analytics</h2>
+    <div class="analytics-grid">
+      <div class="analytics-card">
+        <h3>Uploads per month</h3>
+        <p>${uploads.perWeek === null ? "No uploads" : `${uploads.perWeek.toFixed(1)} per week on average`}</p>
+        ${createBars(uploads.byMonth.slice(-12).map((month) => ({ label: month.period, value: month.count })))}
+      </div>
+      <div class="analytics-card">
+        <h3>Posting times (UTC)</h3>
+        <div class="heatmap">
+          ${heatmap.matrix
+            .map(
+              (hours, day) => `
+                <span class="heatmap-day">${escapeHtml(heatmap.days[day])}</span>
+                ${hours.map((count, hour) => `<span class="heatmap-cell" style="opacity: ${0.1 + (count / busiest) * 0.9}" title="${escapeHtml(heatmap.days[day])} ${hour}:00 — ${count} uploads"></span>`).join("")}
+              `
+            )
+            .join("")}
+        </div>
+      </div>
+      <div class="analytics-card">
+        <h3>Durations</h3>
+        <p>${durations.shorts} Shorts · ${durations.longForm} long-form</p>
+        ${createBars(durations.buckets.map((bucket) => ({ label: bucket.label, value: bucket.count })))}
+      </div>
+      <div class="analytics-card">
+        <h3>Views</h3>
+        ${
+          views
+            ? `
+              <p>Median: ${formatNumber(Math.round(views.median))}</p>
+              <p>Middle 80%: ${formatNumber(Math.round(views.p10))} – ${formatNumber(Math.round(views.p90))}</p>
+              <p>Average: ${formatNumber(Math.round(views.mean))}</p>
+              <p>Engagement: ${engagement.rate === null ? "n/a" : `${(engagement.rate * 100).toFixed(2)}%`}</p>
+            `
+            : "<p>No view counts</p>"
+        }
+      </div>
+      <div class="analytics-card">
+        <h3>Most viewed</h3>
+        <ol>${topList(topVideos.byViews, (video) => `${formatNumber(video.viewCount)} views`)}</ol>
+        <h3>Most engaging</h3>
+        <ol>${topList(topVideos.byEngagement, (video) => `${(video.engagementRate * 100).toFixed(2)}%`)}</ol>
+      </div>
+      <div class="analytics-card">
+        <h3>Common tags</h3>
+        <div class="tags">${tags.map((tag) => `<span class="tag">${escapeHtml(tag.tag)} (${tag.count})</span>`).join("") || "<p>No tags</p>"}</div>
+      </div>
+    </div>
+  `;
+  document.getElementById("analytics").style.display = "block";
+}
+
+// Fetch the analytics of a channel that was just loaded (served from the cache)
+async function loadAnalytics(channelId) {
+  try {
+    const response = await fetch(`/api/channels/${encodeURIComponent(channelId)}/analytics`);
+    if (!response.ok) return;
+
+    renderAnalytics(await response.json());
+  } catch (error) {
+    console.error("Error loading analytics:", error);
+  }
+}
+
+// Fill the playlist picker with the playlists of the loaded channel
+async function loadPlaylists(channelId) {
+  const select = document.getElementById("playlistSelect");
+  select.innerHTML = '<option value="">All uploads</option>';
+  select.style.display = "none";
+
+  try {
+    const response = await fetch(`/api/channels/${encodeURIComponent(channelId)}/playlists`);
+    if (!response.ok) return;
+
+    const { playlists } = await response.json();
+    playlists.forEach((playlist) => {
+      const option = document.createElement("option");
+      option.value = playlist.id;
+      option.textContent = `${playlist.title} (${playlist.itemCount ?? "?"})`;
+      select.appendChild(option);
+    });
+    select.style.display = playlists.length > 0 ? "inline-block" : "none";
+  } catch (error) {
+    console.error("Error loading playlists:", error);
+  }
+}
+
+// Switch the grid to one playlist, or back to all uploads
+function selectPlaylist(playlistId) {
+  document.getElementById("searchInput").value = "";
+  document.getElementById("error").style.display = "none";
+
+  if (!playlistId) {
+    listingChannelId = channelId;
+    setToolbarVisible(true);
+    loadVideoPage(true);
+    return;
+  }
+
+  listingChannelId = null;
+  nextCursor = null;
+  loadPlaylistStream(playlistId);
+}
+
+// Stream the videos of a playlist into the grid
+function loadPlaylistStream(playlistId) {
+  if (isStreaming) {
+    console.log("Already streaming, ignoring request");
+    return;
+  }
+
+  setStreaming(true);
+  allVideos = [];
+  filteredVideos = [];
+
+  document.getElementById("loading").style.display = "block";
+  document.getElementById("error").style.display = "none";
+  document.getElementById("listingCount").style.display = "none";
+  setToolbarVisible(false);
+  document.getElementById("videosGrid").innerHTML = "";
+
+  const eventSource = new EventSource(`/api/playlists/${encodeURIComponent(playlistId)}/videos/stream`);
+  currentEventSource = eventSource;
+
+  eventSource.onmessage = function(event) {
+    const data = JSON.parse(event.data);
+
+    switch (data.type) {
+      case 'progress':
+        updateProgress(data);
+        break;
+
+      case 'video':
+        allVideos.push(data.video);
+        filteredVideos.push(data.video);
+        addVideoToGrid(data.video);
+        break;
+
+      case 'complete':
+        document.getElementById("loading").style.display = "none";
+        setToolbarVisible(true);
+        setStreaming(false);
+        filterVideos(document.getElementById("searchInput").value);
+        break;
+
+      case 'error':
+        console.error('Playlist stream error:', data.code, data.message);
+        document.getElementById("loading").style.display = "none";
+        document.getElementById("error").innerHTML = `Error: ${data.message}`;
+        document.getElementById("error").style.display = "block";
+        setToolbarVisible(allVideos.length > 0);
+        setStreaming(false);
+        break;
+    }
+  };
+
+  eventSource.onerror = function(event) {
+    console.error('EventSource failed:', event);
+    document.getElementById("loading").style.display = "none";
+    document.getElementById("error").innerHTML = "Connection to server lost. Please try again.";
+    document.getElementById("error").style.display = "block";
+    setStreaming(false);
+  };
+}
+
+// Labels for the kind badge; regular videos get none
+const KIND_LABELS = {
+  short: "Short",
+  live: "🔴 Live",
+  pastLive: "Past live",
+  upcoming: "Upcoming",
+  premiere: "Premiere",
+  membersOnly: "Members only",
+};
+
+// Badge naming the kind of a video, with viewers or start time for broadcasts
+function createKindBadge(video) {
+  const label = KIND_LABELS[video.kind];
+  if (!label) return "";
+
+  let detail = "";
+  if (video.kind === "live" && video.live?.concurrentViewers !== null && video.live?.concurrentViewers !== undefined) {
+    detail = ` · ${formatNumber(video.live.concurrentViewers)} watching`;
+  } else if ((video.kind === "upcoming" || video.kind === "premiere") && video.live?.scheduledStartTime) {
+    detail = ` · ${new Date(video.live.scheduledStartTime).toLocaleString()}`;
+  }
+
+  return `<div class="video-kind kind-${video.kind}">${label}${detail}</div>`;
+}
+
+// Labels for the privacy badge; public videos get none
+const PRIVACY_LABELS = {
+  private: "🔒 Private",
+  unlisted: "🔗 Unlisted",
+};
+
+// Badge for videos only their owner sees, which come back on "My channel"
+function createPrivacyBadge(video) {
+  const label = PRIVACY_LABELS[video.privacyStatus];
+  if (!label) return "";
+
+  return `<div class="video-privacy privacy-${video.privacyStatus}">${label}</div>`;
+}
+
+// Client-side twin of the server's kind filter
+function matchesKind(video) {
+  const kind = document.getElementById("kindSelect").value;
+  const excludeShorts = document.getElementById("excludeShorts").checked;
+  const short = video.kind
+    ? video.kind === "short"
+    : video.durationSeconds !== null && video.durationSeconds <= 60;
+
+  return (!kind || video.kind === kind) && !(excludeShorts && short);
+}
+
 // Create video card HTML
 function createVideoCard(video) {
   const videoId = video.id;
-  const snippet = video.snippet;
   const thumbnail =
-    snippet.thumbnails.medium || snippet.thumbnails.default;
+    video.thumbnails.medium || video.thumbnails.default || { url: "" };
 
   return `
             <div class="video-card" id="video-${videoId}">
                 <div class="video-thumbnail">
                     <img src="${thumbnail.url}" alt="${
-    snippet.title
+    video.title
   }" loading="lazy">
                     <div class="video-duration">${formatDuration(
-                      video.duration
+                      video.durationSeconds
                     )}</div>
+                    ${createKindBadge(video)}
+                    ${createPrivacyBadge(video)}
                 </div>
                 <div class="video-info">
-                    <h3 class="video-title">${snippet.title}</h3>
-                    <p class="video-description">${snippet.description}</p>
+                    <h3 class="video-title">${video.title}</h3>
+                    <p class="video-description">${video.description}</p>
                     <div class="video-meta">
-                        <span>📅 ${formatDate(snippet.publishedAt)}</span>
+                        <span>📅 ${formatDate(video.publishedAt)}</span>
                         <span>👁️ ${formatNumber(
                           video.viewCount
                         )} views</span>
@@ -80,6 +449,9 @@ function createVideoCard(video) {
                             <span>${formatNumber(video.commentCount)}</span>
                         </div>
                     </div>
+                    <div class="video-sparkline" id="spark-${videoId}" title="Views over time">${createSparkline(
+                      videoHistory[videoId]
+                    )}</div>
                     <a href="https://www.youtube.com/watch?v=${videoId}" target="_blank" class="watch-button">
                         Watch on YouTube
                     </a>
@@ -128,6 +500,7 @@ function updateProgress(progress) {
       <div class="loading-spinner"></div>
       <div class="loading-text">${message}</div>
       ${progress.totalFetched ? `<div class="loading-count">Videos loaded: ${progress.totalFetched}</div>` : ''}
+      ${progress.quota ? `<div class="loading-count">Quota used: ${progress.quota.job} units (${progress.quota.used}/${progress.quota.budget} today)</div>` : ''}
     </div>
   `;
   
@@ -143,23 +516,254 @@ function updateProgress(progress) {
   }
 }
 
+// Offer the channels an ambiguous name matched; clicking one fetches it by ID
+function showCandidates(candidates) {
+  const errorDiv = document.getElementById("error");
+  errorDiv.innerHTML += `
+    <div class="candidates">
+      ${candidates
+        .map(
+          (candidate) => `
+        <button class="candidate" data-channel-id="${escapeHtml(candidate.id)}">
+          <img src="${escapeHtml(candidate.thumbnail || "")}" alt="">
+          <span>${escapeHtml(candidate.title)}</span>
+        </button>`
+        )
+        .join("")}
+    </div>
+  `;
+
+  errorDiv.querySelectorAll(".candidate").forEach((button) => {
+    button.addEventListener("click", () => {
+      document.getElementById("channelInput").value = button.dataset.channelId;
+      loadVideosStream(button.dataset.channelId);
+    });
+  });
+}
+
+// Show transcript matches, each linking to the moment it is said
+function renderTranscriptResults(search) {
+  const container = document.getElementById("transcriptResults");
+  const { available, unavailable, missing } = search.transcripts;
+  // YouTube only lets a channel's owner download captions; anyone else can list the tracks
+  const fetchLabel =
+    search.channelId === signedInChannelId
+      ? `Download ${missing} missing transcripts (~${formatNumber(missing * 250)} quota units)`
+      : `List caption tracks of ${missing} videos (~${formatNumber(missing * 50)} quota units)`;
+  const fetchButton =
+    missing > 0 && !search.tracks
+      ? `<button class="transcript-fetch" id="transcriptFetchButton">${fetchLabel}</button>`
+      : "";
+  const tracks = Object.entries(search.tracks || {});
+  const trackList =
+    tracks.length > 0
+      ? `
+    <div class="transcript-result">
+      <h3>Caption tracks (only the channel owner can download them)</h3>
+      <ul>
+        ${tracks
+          .map(([videoId, videoTracks]) => {
+            const video = allVideos.find((candidate) => candidate.id === videoId);
+            const languages = videoTracks.map(
+              (track) => `${track.language}${track.trackKind === "asr" ? " (automatic)" : ""}`
+            );
+            return `
+          <li>
+            ${escapeHtml(video ? video.title : videoId)}:
+            ${languages.length > 0 ? escapeHtml(languages.join(", ")) : "no captions"}
+          </li>`;
+          })
+          .join("")}
+      </ul>
+    </div>`
+      : "";
+
+  container.innerHTML = `
+    <div class="transcript-summary">
+      ${search.results.length} videos mention "${escapeHtml(search.query)}" · ${available} transcripts searched${
+        unavailable > 0 ? `, ${unavailable} unavailable` : ""
+      }
+      ${fetchButton}
+    </div>
+    ${search.results
+      .map(
+        ({ video, matches }) => `
+      <div class="transcript-result">
+        <h3>${escapeHtml(video.title)}</h3>
+        <ul>
+          ${matches
+            .map(
+              (match) => `
+            <li>
+              <a href="${escapeHtml(match.url)}" target="_blank">${formatDuration(Math.floor(match.start))}</a>
+              ${escapeHtml(match.text)}
+            </li>`
+            )
+            .join("")}
+        </ul>
+      </div>`
+      )
+      .join("")}
+    ${trackList}
+  `;
+  container.style.display = "block";
+
+  if (fetchButton) {
+    document
+      .getElementById("transcriptFetchButton")
+      .addEventListener("click", () => searchTranscripts(search.query, true));
+  }
+}
+
+// Search the transcripts of the loaded channel; downloading missing ones spends quota
+async function searchTranscripts(query, fetchMissing = false) {
+  if (!channelId || !query.trim()) return;
+
+  const container = document.getElementById("transcriptResults");
+  container.innerHTML = `<div class="transcript-summary">${
+    fetchMissing ? "Fetching captions..." : "Searching transcripts..."
+  }</div>`;
+  container.style.display = "block";
+
+  try {
+    const params = new URLSearchParams({ channel: channelId, q: query });
+    if (fetchMissing) params.set("fetch", "true");
+
+    const response = await fetch(`/api/search?${params}`);
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || "Transcript search failed");
+
+    renderTranscriptResults(body);
+  } catch (error) {
+    console.error("Error searching transcripts:", error);
+    container.innerHTML = `<div class="transcript-summary">Error: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// Build the /api/videos query for the current search and sort
+function listingParams(cursor, limit = PAGE_SIZE) {
+  const params = new URLSearchParams({
+    channel: listingChannelId,
+    refresh: "none",
+    sort: document.getElementById("sortSelect").value,
+    limit,
+  });
+  const search = document.getElementById("searchInput").value.trim();
+  if (search) params.set("q", search);
+  const kind = document.getElementById("kindSelect").value;
+  if (kind) params.set("kind", kind);
+  if (document.getElementById("excludeShorts").checked) params.set("excludeShorts", "true");
+  if (cursor) params.set("cursor", cursor);
+  return params;
+}
+
+// Load the first page of the listing (reset) or the page after the last one shown
+async function loadVideoPage(reset = false) {
+  if (!listingChannelId || (!reset && !nextCursor)) return;
+
+  // A newer search or sort wins over pages still in flight
+  const request = ++listingRequest;
+  const cursor = reset ? null : nextCursor;
+  nextCursor = null;
+
+  try {
+    const response = await fetch(`/api/videos?${listingParams(cursor)}`);
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || "Failed to load videos");
+    if (request !== listingRequest) return;
+
+    if (reset) {
+      filteredVideos = [];
+      document.getElementById("videosGrid").innerHTML = "";
+    }
+    filteredVideos.push(...body.videos);
+    nextCursor = body.nextCursor;
+
+    if (filteredVideos.length === 0) {
+      renderVideos();
+    } else {
+      document
+        .getElementById("videosGrid")
+        .insertAdjacentHTML("beforeend", body.videos.map(createVideoCard).join(""));
+    }
+    document.getElementById("listingCount").textContent = `Showing ${filteredVideos.length} of ${body.total} videos`;
+    document.getElementById("listingCount").style.display = "block";
+  } catch (error) {
+    console.error("Error loading videos:", error);
+    document.getElementById("error").innerHTML = `Error: ${error.message}`;
+    document.getElementById("error").style.display = "block";
+  }
+}
+
 // Filter videos based on search term
 function filterVideos(searchTerm) {
-  if (!searchTerm.trim()) {
-    filteredVideos = [...allVideos];
-  } else {
-    const term = searchTerm.toLowerCase();
-    filteredVideos = allVideos.filter(
-      (video) =>
-        video.snippet.title.toLowerCase().includes(term) ||
-        video.snippet.description.toLowerCase().includes(term) ||
-        (video.tags &&
-          video.tags.some((tag) => tag.toLowerCase().includes(term)))
-    );
+  if (listingChannelId) {
+    // Wait for a pause in typing before asking the server
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadVideoPage(true), 300);
+    return;
   }
+
+  const term = searchTerm.trim().toLowerCase();
+  filteredVideos = allVideos.filter(
+    (video) =>
+      matchesKind(video) &&
+      (!term ||
+        video.title.toLowerCase().includes(term) ||
+        video.description.toLowerCase().includes(term) ||
+        video.tags.some((tag) => tag.toLowerCase().includes(term)))
+  );
   renderVideos();
 }
 
+// Every video matching the current search, not just the pages shown so far
+async function loadAllMatching() {
+  if (!listingChannelId) return filteredVideos;
+
+  const videos = [];
+  let cursor = null;
+  do {
+    const response = await fetch(`/api/videos?${listingParams(cursor, 1000)}`);
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || "Failed to load videos");
+
+    videos.push(...body.videos);
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  return videos;
+}
+
+// Download the currently filtered videos in the chosen format
+async function downloadVideos(format) {
+  const menu = document.getElementById("downloadMenu");
+  menu.open = false;
+
+  try {
+    const videos = await loadAllMatching();
+    const response = await fetch("/api/videos/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ format, videos }),
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || "Export failed");
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${videos[0]?.channelId || "videos"}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("Error exporting videos:", error);
+    document.getElementById("error").innerHTML = `Error: ${error.message}`;
+    document.getElementById("error").style.display = "block";
+  }
+}
+
 // Render videos to the grid
 function renderVideos() {
   const grid = document.getElementById("videosGrid");
@@ -172,9 +776,10 @@ function renderVideos() {
   grid.innerHTML = filteredVideos.map(createVideoCard).join("");
 }
 
-// Streaming video loader
-async function loadVideosStream(channelInput) {
-  if (!channelInput || !channelInput.trim()) {
+// Streaming video loader. With `mine` it fetches the signed-in user's channel
+// instead, private and unlisted videos included
+async function loadVideosStream(channelInput, mine = false) {
+  if (!mine && (!channelInput || !channelInput.trim())) {
     document.getElementById("error").innerHTML = "Please enter a channel name or URL";
     document.getElementById("error").style.display = "block";
     return;
@@ -185,19 +790,39 @@ async function loadVideosStream(channelInput) {
     return;
   }
 
-  isStreaming = true;
+  setStreaming(true);
   allVideos = [];
   filteredVideos = [];
+  videoHistory = {};
+  channelId = null;
+  listingChannelId = null;
+  nextCursor = null;
+  document.getElementById("playlistSelect").style.display = "none";
+  document.getElementById("listingCount").style.display = "none";
 
   // Reset UI
   document.getElementById("loading").style.display = "block";
   document.getElementById("error").style.display = "none";
   document.getElementById("stats").style.display = "none";
-  document.getElementById("searchInput").style.display = "none";
+  document.getElementById("analytics").style.display = "none";
+  document.getElementById("transcriptResults").style.display = "none";
+  setToolbarVisible(false);
   document.getElementById("videosGrid").innerHTML = "";
 
+  // With custom fetch options the result is exactly what was fetched, so the
+  // grid stays in the browser instead of paging through the cached channel.
+  // Your own channel is never cached, so it stays in the browser too.
+  const options = fetchOptionParams();
+  const customFetch = mine || [...options.keys()].length > 0;
+  if (mine) {
+    options.set("mine", "true");
+  } else {
+    options.set("channel", channelInput);
+  }
+
   try {
-    const eventSource = new EventSource(`/api/videos/stream?channel=${encodeURIComponent(channelInput)}`);
+    const eventSource = new EventSource(`/api/videos/stream?${options}`);
+    currentEventSource = eventSource;
     
     eventSource.onmessage = function(event) {
       const data = JSON.parse(event.data);
@@ -214,7 +839,10 @@ async function loadVideosStream(channelInput) {
         case 'video':
           allVideos.push(data.video);
           filteredVideos.push(data.video);
-          addVideoToGrid(data.video);
+          // Only the first page is drawn live; the rest is paged in afterwards
+          if (allVideos.length <= PAGE_SIZE) {
+            addVideoToGrid(data.video);
+          }
           
           // Update stats if visible
           if (document.getElementById("stats").style.display !== "none") {
@@ -230,7 +858,6 @@ async function loadVideosStream(channelInput) {
         case 'complete':
           console.log('Stream completed');
           document.getElementById("loading").style.display = "none";
-          document.getElementById("searchInput").style.display = "block";
           
           // Final stats update
           if (data.channelInfo) {
@@ -240,21 +867,46 @@ async function loadVideosStream(channelInput) {
               <p>Subscribers: ${parseInt(data.channelInfo.subscriberCount).toLocaleString()}</p>
               <p>Total Channel Videos: ${parseInt(data.channelInfo.videoCount).toLocaleString()}</p>
               <p>Videos Loaded: ${allVideos.length}</p>
+              ${data.quota ? `<p>Quota used: ${data.quota.job} units (${data.quota.remaining} left today)</p>` : ''}
               <p>✅ Stream completed successfully!</p>
             `;
+            channelId = data.channelInfo.id;
+            if (customFetch) {
+              allVideos = sortByFetchOrder(allVideos, options.get("order") || "date");
+              filterVideos(document.getElementById("searchInput").value);
+            } else {
+              listingChannelId = channelId;
+              loadVideoPage(true);
+            }
+            // History, analytics and playlists come from the public channel
+            if (!mine) {
+              loadHistory(channelId);
+              loadAnalytics(channelId);
+              loadPlaylists(channelId);
+            }
+          } else {
+            renderVideos();
           }
           
-          eventSource.close();
-          isStreaming = false;
+          setToolbarVisible(true);
+          setStreaming(false);
           break;
           
         case 'error':
-          console.error('Stream error:', data.message);
+          console.error('Stream error:', data.code, data.message);
           document.getElementById("loading").style.display = "none";
-          document.getElementById("error").innerHTML = `Error: ${data.message}`;
+          document.getElementById("error").innerHTML = data.totalVideos
+            ? `Error: ${data.message} (showing the ${data.totalVideos} videos fetched before the failure)`
+            : `Error: ${data.message}`;
+          if (data.candidates) {
+            showCandidates(data.candidates);
+          }
           document.getElementById("error").style.display = "block";
-          eventSource.close();
-          isStreaming = false;
+          if (data.totalVideos) {
+            renderVideos();
+            setToolbarVisible(true);
+          }
+          setStreaming(false);
           break;
       }
     };
@@ -264,8 +916,7 @@ async function loadVideosStream(channelInput) {
       document.getElementById("loading").style.display = "none";
       document.getElementById("error").innerHTML = "Connection to server lost. Please try again.";
       document.getElementById("error").style.display = "block";
-      eventSource.close();
-      isStreaming = false;
+      setStreaming(false);
     };
     
   } catch (error) {
@@ -273,7 +924,7 @@ async function loadVideosStream(channelInput) {
     document.getElementById("loading").style.display = "none";
     document.getElementById("error").innerHTML = `Error: ${error.message}`;
     document.getElementById("error").style.display = "block";
-    isStreaming = false;
+    setStreaming(false);
   }
 }
 
@@ -291,35 +942,47 @@ async function loadVideos(channelInput) {
     document.getElementById("loading").style.display = "block";
     document.getElementById("error").style.display = "none";
     document.getElementById("stats").style.display = "none";
-    document.getElementById("searchInput").style.display = "none";
+    document.getElementById("analytics").style.display = "none";
+    document.getElementById("transcriptResults").style.display = "none";
+    setToolbarVisible(false);
     document.getElementById("videosGrid").innerHTML = "";
     const response = await fetch(
-      `/api/videos?channel=${encodeURIComponent(channelInput)}`
+      `/api/videos?channel=${encodeURIComponent(channelInput)}&limit=${PAGE_SIZE}`
     );
     if (!response.ok) {
-      throw new Error("Failed to load videos");
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || "Failed to load videos");
     }
 
-    const videos = await response.json();
+    const { total, videos, nextCursor: cursor } = await response.json();
     if (!videos || videos.length === 0) {
       throw new Error("No videos found for this channel");
     }
 
     allVideos = videos;
     filteredVideos = [...allVideos];
+    videoHistory = {};
+    channelId = videos[0].channelId;
+    listingChannelId = channelId;
+    nextCursor = cursor;
 
     // Update stats
     document.getElementById("stats").innerHTML = `
                 <h2>📊 Channel Statistics</h2>
-                <p>Total Videos: ${videos.length}</p>
+                <p>Total Videos: ${total}</p>
                 <p>Channel: ${videos[0]?.channelTitle || "Unknown"}</p>
             `;
 
     // Show stats and search, hide loading
     document.getElementById("loading").style.display = "none";
     document.getElementById("stats").style.display = "block";
-    document.getElementById("searchInput").style.display = "block";
+    document.getElementById("listingCount").textContent = `Showing ${videos.length} of ${total} videos`;
+    document.getElementById("listingCount").style.display = "block";
+    setToolbarVisible(true);
     renderVideos();
+    loadHistory(channelId);
+    loadAnalytics(channelId);
+    loadPlaylists(channelId);
   } catch (error) {
     console.error("Error loading videos:", error);
     document.getElementById("loading").style.display = "none";
@@ -338,6 +1001,58 @@ document.getElementById("fetchButton").addEventListener("click", () => {
   loadVideosStream(channelInput);
 });
 
+// My channel fetches the signed-in user's own uploads
+document.getElementById("myChannelButton").addEventListener("click", () => {
+  loadVideosStream(null, true);
+});
+
+// Show who is signed in, or a sign-in link when Google sign-in is set up
+async function loadAccount() {
+  try {
+    const response = await fetch("/auth/me");
+    const me = await response.json();
+    signedInChannelId = me.signedIn ? me.channel.id : null;
+    if (!response.ok || !me.configured) return;
+
+    document.getElementById("account").style.display = "flex";
+    document.getElementById("accountName").textContent = me.signedIn
+      ? `Signed in as ${me.channel.title}`
+      : "";
+    document.getElementById("signInLink").style.display = me.signedIn ? "none" : "inline-block";
+    document.getElementById("signOutButton").style.display = me.signedIn ? "inline-block" : "none";
+    document.getElementById("myChannelButton").style.display = me.signedIn ? "inline-block" : "none";
+  } catch (error) {
+    console.error("Error loading account:", error);
+  }
+}
+
+document.getElementById("signOutButton").addEventListener("click", async () => {
+  await fetch("/auth/logout", { method: "POST" });
+  loadAccount();
+});
+
+// On a server that requires API tokens, ask for one and keep it in a cookie,
+// which fetch and EventSource both send along
+async function ensureApiToken() {
+  const response = await fetch("/api/quota");
+  if (response.status !== 401) return;
+
+  const body = await response.json().catch(() => ({}));
+  const token = prompt(`${body.error || "An API token is required"}. Enter your API token:`);
+  if (!token) return;
+
+  document.cookie = `yt_api_token=${encodeURIComponent(token.trim())}; path=/; max-age=31536000; SameSite=Strict`;
+  ensureApiToken();
+}
+
+// Stop button cancels the running stream
+document.getElementById("stopButton").addEventListener("click", stopStream);
+
+// Download menu exports whatever the search currently shows
+document.querySelectorAll("#downloadMenu [data-format]").forEach((button) => {
+  button.addEventListener("click", () => downloadVideos(button.dataset.format));
+});
+
 // Allow Enter key to trigger fetch
 document
   .getElementById("channelInput")
@@ -350,13 +1065,49 @@ document
     }
   });
 
+// Playlist picker swaps the grid between playlists and all uploads
+document.getElementById("playlistSelect").addEventListener("change", (e) => {
+  selectPlaylist(e.target.value);
+});
+
 // Search functionality
 document.getElementById("searchInput").addEventListener("input", (e) => {
   filterVideos(e.target.value);
 });
 
+// Sorting restarts the listing from the first page
+document.getElementById("sortSelect").addEventListener("change", () => {
+  loadVideoPage(true);
+});
+
+// Kind filters apply right away, on the server or on the loaded videos
+for (const id of ["kindSelect", "excludeShorts"]) {
+  document.getElementById(id).addEventListener("change", () => {
+    clearTimeout(searchTimer);
+    if (listingChannelId) {
+      loadVideoPage(true);
+    } else {
+      filterVideos(document.getElementById("searchInput").value);
+    }
+  });
+}
+
+// Infinite scroll: load the next page as the end of the grid comes into view
+new IntersectionObserver((entries) => {
+  if (entries[0].isIntersecting) {
+    loadVideoPage();
+  }
+}, { rootMargin: "400px" }).observe(document.getElementById("scrollSentinel"));
+
+// Transcript search looks for the search box text in what the videos say
+document.getElementById("transcriptButton").addEventListener("click", () => {
+  searchTranscripts(document.getElementById("searchInput").value);
+});
+
 // Initialize page - don't load videos automatically
 document.addEventListener("DOMContentLoaded", () => {
   document.getElementById("loading").style.display = "none";
   document.getElementById("error").style.display = "none";
+  loadAccount();
+  ensureApiToken();
 });
@@ -4,22 +4,63 @@ const path = require("path");
 const {
   fetchYoutubeVideos,
   streamYoutubeVideos,
+  channelWatcher,
 } = require("./lib/youtube-videos");
+const {
+  loadAccessConfig,
+  assertSafeBind,
+  createApiAccess,
+} = require("./lib/api-access");
 const app = express();
 const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || "localhost";
+const accessConfig = loadAccessConfig();
+
+// An API open to anyone only listens on loopback
+try {
+  assertSafeBind(HOST, accessConfig);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Parse JSON request bodies. Exports post whole video lists, so their route
+// parses its own with a larger limit, once the client has passed apiAccess.
+const parseJson = express.json();
+app.use((req, res, next) =>
+  req.method === "POST" && req.path === "/api/videos/export"
+    ? next()
+    : parseJson(req, res, next)
+);
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, "public")));
 
-// Serve static files from the output directory (for the JSON file)
-app.use("/output", express.static(path.join(__dirname, "output")));
-
 // Route for the main page
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-app.use("/api/videos", require("./lib/api-videos"));
+// API tokens, rate limits and CORS for every API route but the admin ones,
+// which are guarded by ADMIN_TOKEN
+const apiAccess = createApiAccess(accessConfig);
+
+// Exported files in the output directory are for API clients only. Server
+// state (cache, jobs, tokens, sessions) lives in data/, which is never served.
+app.use("/output", apiAccess, express.static(path.join(__dirname, "output")));
+
+app.use("/api/videos", apiAccess, require("./lib/api-videos"));
+app.use("/api/channels", apiAccess, require("./lib/api-channels"));
+app.use("/api/jobs", apiAccess, require("./lib/api-jobs"));
+app.use("/api/quota", apiAccess, require("./lib/api-quota"));
+app.use("/api/batch", apiAccess, require("./lib/api-batch"));
+app.use("/api/watches", apiAccess, require("./lib/api-watches"));
+app.use("/api/playlists", apiAccess, require("./lib/api-playlists"));
+app.use("/api/search", apiAccess, require("./lib/api-search"));
+app.use("/api/admin", require("./lib/api-admin"));
+
+// Google sign-in, for fetching the signed-in user's own channel with `mine=true`
+app.use("/auth", require("./lib/api-auth"));
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -31,11 +72,15 @@ app.get("/health", (req, res) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
+app.listen(PORT, HOST, () => {
+  console.log(`🚀 Server is running on http://${HOST}:${PORT}`);
+
+  console.log(`📄 Main page: http://${HOST}:${PORT}`);
+  console.log(`🔍 Health check: http://${HOST}:${PORT}/health`);
 
-  console.log(`📄 Main page: http://localhost:${PORT}`);
-  console.log(`🔍 Health check: http://localhost:${PORT}/health`);
+  // Resume polling the channels subscribed through /api/watches
+  const watches = channelWatcher.start().list();
+  console.log(`👀 Watching ${watches.length} channels`);
 });
 
 // Graceful shutdown
@@ -0,0 +1,263 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Router = require("express");
+const { channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+
+describe("API access", () => {
+  let environment;
+  let access;
+  let app;
+
+  // A stream that stays open until the client goes away
+  const streams = Router();
+  streams.get("/stream", (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write('data: {"type":"connected"}\n\n');
+  });
+
+  const admin = (path, init = {}) =>
+    fetch(`${app.url}/api/admin${path}`, {
+      ...init,
+      headers: { ...init.headers, Authorization: "Bearer admin-secret" },
+    });
+
+  const createToken = (fields = {}) =>
+    admin("/tokens", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ label: "test client", ...fields }),
+    }).then((response) => response.json());
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  before(async () => {
+    silenceConsole();
+    process.env.ADMIN_TOKEN = "admin-secret";
+    environment = await startFakeEnvironment(channelFixtures());
+    access = require("../lib/api-access");
+
+    const guard = access.createApiAccess({
+      required: true,
+      requestsPerMinute: 1000,
+      concurrentStreams: 5,
+      origins: ["https://dashboard.example"],
+    });
+    const open = access.createApiAccess({
+      required: false,
+      requestsPerMinute: 1000,
+      concurrentStreams: 5,
+      origins: ["*"],
+    });
+    app = await startApp({
+      "/api/quota": [guard, require("../lib/api-quota")],
+      "/api/open": [open, require("../lib/api-quota")],
+      "/api/test": [guard, streams],
+      "/api/admin": require("../lib/api-admin"),
+    });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  it("answers requests without a valid token with a 401", async () => {
+    const missing = await fetch(`${app.url}/api/quota`);
+    const invalid = await fetch(`${app.url}/api/quota`, {
+      headers: bearer("ytf_nope"),
+    });
+
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, "tokenRequired");
+    assert.equal(invalid.status, 401);
+    assert.equal((await invalid.json()).code, "tokenInvalid");
+  });
+
+  it("accepts a token as a bearer or a cookie", async () => {
+    const { token } = await createToken();
+
+    for (const headers of [
+      bearer(token),
+      { Cookie: `${access.TOKEN_COOKIE}=${token}` },
+    ]) {
+      const response = await fetch(`${app.url}/api/quota`, { headers });
+      assert.equal(response.status, 200);
+    }
+  });
+
+  it("only reads a token from the query string on streams", async () => {
+    const { token } = await createToken();
+
+    const listing = await fetch(`${app.url}/api/quota?token=${token}`);
+    assert.equal(listing.status, 401);
+    assert.equal((await listing.json()).code, "tokenRequired");
+
+    const stream = await fetch(`${app.url}/api/test/stream?token=${token}`);
+    assert.equal(stream.status, 200);
+    stream.body.cancel();
+  });
+
+  it("issues, lists and revokes tokens through the admin API", async () => {
+    const created = await createToken({ requestsPerMinute: 30 });
+    assert.match(created.token, /^ytf_[0-9a-f]{48}$/);
+
+    const { tokens } = await admin("/tokens").then((response) =>
+      response.json()
+    );
+    const listed = tokens.find((token) => token.id === created.id);
+    assert.equal(listed.requestsPerMinute, 30);
+    assert.equal(listed.token, undefined);
+    assert.equal(listed.hash, undefined);
+
+    const revoke = await admin(`/tokens/${created.id}`, {
+      method: "DELETE",
+    });
+    assert.ok((await revoke.json()).revokedAt);
+
+    const response = await fetch(`${app.url}/api/quota`, {
+      headers: bearer(created.token),
+    });
+    assert.equal(response.status, 401);
+
+    const unknown = await admin("/tokens/nope", {
+      method: "DELETE",
+    });
+    assert.equal(unknown.status, 404);
+  });
+
+  it("keeps the admin routes closed without the admin token", async () => {
+    const anonymous = await fetch(`${app.url}/api/admin/tokens`, {
+      method: "POST",
+    });
+    const wrong = await fetch(`${app.url}/api/admin/tokens`, {
+      headers: { Authorization: "Bearer admin-secreT" },
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(wrong.status, 401);
+
+    delete process.env.ADMIN_TOKEN;
+    try {
+      const disabled = await admin("/tokens");
+      assert.equal(disabled.status, 503);
+      assert.equal((await disabled.json()).code, "adminDisabled");
+    } finally {
+      process.env.ADMIN_TOKEN = "admin-secret";
+    }
+  });
+
+  it("refuses tokens without a label or with bad limits", async () => {
+    for (const body of [{ label: " " }, { label: "x", concurrentStreams: 0 }]) {
+      const response = await admin("/tokens", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      assert.equal(response.status, 400);
+    }
+  });
+
+  it("limits a token's requests per minute", async () => {
+    const { token } = await createToken({ requestsPerMinute: 2 });
+    const request = () =>
+      fetch(`${app.url}/api/quota`, { headers: bearer(token) });
+
+    const first = await request();
+    assert.equal(first.headers.get("x-ratelimit-remaining"), "1");
+    assert.equal((await request()).status, 200);
+
+    const limited = await request();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal((await limited.json()).code, "rateLimited");
+  });
+
+  it("limits a token's concurrent streams until one closes", async () => {
+    const { token } = await createToken({ concurrentStreams: 1 });
+    const open = (controller) =>
+      fetch(`${app.url}/api/test/stream`, {
+        headers: bearer(token),
+        signal: controller && controller.signal,
+      });
+
+    const controller = new AbortController();
+    const first = await open(controller);
+    assert.equal(first.status, 200);
+
+    const second = await open();
+    assert.equal(second.status, 429);
+    assert.equal((await second.json()).code, "tooManyStreams");
+
+    controller.abort();
+    // The slot is given back once the server sees the connection close
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const third = await open(new AbortController());
+    assert.equal(third.status, 200);
+    third.body.cancel();
+  });
+
+  it("only sends CORS headers to allowed origins", async () => {
+    const { token } = await createToken();
+    const preflight = (origin) =>
+      fetch(`${app.url}/api/quota`, {
+        method: "OPTIONS",
+        headers: { Origin: origin },
+      });
+
+    const allowed = await fetch(`${app.url}/api/quota`, {
+      headers: { ...bearer(token), Origin: "https://dashboard.example" },
+    });
+    const other = await fetch(`${app.url}/api/quota`, {
+      headers: { ...bearer(token), Origin: "https://elsewhere.example" },
+    });
+
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "https://dashboard.example"
+    );
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+    assert.equal((await preflight("https://dashboard.example")).status, 204);
+    assert.equal((await preflight("https://elsewhere.example")).status, 403);
+  });
+
+  it("lets any origin in with a wildcard, but never with credentials", async () => {
+    const response = await fetch(`${app.url}/api/open`, {
+      headers: { Origin: "https://elsewhere.example" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("access-control-allow-origin"), "*");
+    assert.equal(
+      response.headers.get("access-control-allow-credentials"),
+      null
+    );
+  });
+
+  it("only lets an API open to anyone listen on loopback", () => {
+    const unset = access.loadAccessConfig({});
+
+    for (const host of ["localhost", "127.0.0.1", "::1"]) {
+      access.assertSafeBind(host, unset);
+    }
+    for (const host of ["0.0.0.0", "::", "192.168.1.10", "example.com"]) {
+      assert.throws(() => access.assertSafeBind(host, unset), /API_AUTH/);
+    }
+
+    for (const auth of access.API_AUTH_MODES) {
+      access.assertSafeBind(
+        "0.0.0.0",
+        access.loadAccessConfig({ API_AUTH: auth })
+      );
+    }
+    assert.throws(
+      () => access.loadAccessConfig({ API_AUTH: "yes" }),
+      /Invalid API_AUTH/
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { CHANNEL_ID, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+
+describe("GET /api/channels/resolve", () => {
+  let environment;
+  let app;
+
+  before(async () => {
+    silenceConsole();
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 3 })
+    );
+    app = await startApp({ "/api/channels": require("../lib/api-channels") });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+  });
+
+  it("answers a repeated q parameter with a 400", async () => {
+    const response = await fetch(
+      `${app.url}/api/channels/resolve?q=@testchannel&q=testuser`
+    );
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: "q parameter is required",
+    });
+
+    // The server is still up to resolve a single q
+    const resolved = await fetch(
+      `${app.url}/api/channels/resolve?q=@testchannel`
+    );
+    assert.equal(resolved.status, 200);
+    assert.equal((await resolved.json()).channelId, CHANNEL_ID);
+  });
+});
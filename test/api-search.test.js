@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { CHANNEL_ID, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+
+describe("GET /api/search", () => {
+  let environment;
+  let app;
+
+  before(async () => {
+    silenceConsole();
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 3 })
+    );
+    app = await startApp({ "/api/search": require("../lib/api-search") });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+  });
+
+  it("answers repeated channel and q parameters with a 400", async () => {
+    for (const query of [
+      `channel=${CHANNEL_ID}&q=a&q=b`,
+      `channel=${CHANNEL_ID}&channel=@testchannel&q=a`,
+    ]) {
+      const response = await fetch(`${app.url}/api/search?${query}`);
+
+      assert.equal(response.status, 400, query);
+      assert.deepEqual(await response.json(), {
+        error: "channel and q parameters are required",
+      });
+    }
+
+    // The server is still up to answer a valid search
+    const response = await fetch(
+      `${app.url}/api/search?channel=${CHANNEL_ID}&q=anything`
+    );
+    assert.equal(response.status, 200);
+  });
+});
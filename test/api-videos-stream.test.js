@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { CHANNEL_ID, videoId, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+const { readEvents, assertEventSequence } = require("./helpers/sse");
+
+describe("GET /api/videos/stream", () => {
+  let environment;
+  let library;
+  let app;
+
+  const stream = (query) => readEvents(`${app.url}/api/videos/stream?${query}`);
+  const videoIds = (events) =>
+    events
+      .filter((event) => event.type === "video")
+      .map((event) => event.video.id);
+
+  before(async () => {
+    silenceConsole();
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 12 }),
+      { pageSize: 5 }
+    );
+    library = require("../lib/youtube-videos");
+    app = await startApp({ "/api/videos": require("../lib/api-videos") });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+  });
+
+  beforeEach(() => {
+    environment.api.clearErrors();
+    // A quota error takes the test key out of rotation
+    library.getApiKeyUsage().keys.forEach((key) => library.resetApiKey(key.id));
+  });
+
+  it("sends connected, progress, the videos page by page and complete", async () => {
+    const { status, headers, events } = await stream(
+      "channel=@testchannel&refresh=full"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("content-type"), "text/event-stream");
+    assertEventSequence(events, [
+      "connected",
+      "progress+",
+      "video+",
+      "progress",
+      "video+",
+      "progress",
+      "video+",
+      "complete",
+    ]);
+
+    assert.deepEqual(
+      videoIds(events),
+      Array.from({ length: 12 }, (_, index) => videoId(index))
+    );
+    assert.deepEqual(
+      events.filter((event) => event.type === "video").map((e) => e.count),
+      Array.from({ length: 12 }, (_, index) => index + 1)
+    );
+
+    const complete = events[events.length - 1];
+    assert.equal(complete.totalVideos, 12);
+    assert.equal(complete.channelInfo.id, CHANNEL_ID);
+    assert.ok(complete.jobId);
+  });
+
+  it("ends with an error event after the videos it got before failing", async () => {
+    // The first page's details come back, the second page's don't
+    environment.api.injectError({ resource: "videos", skip: 1 });
+
+    const { events } = await stream(`channel=${CHANNEL_ID}&refresh=full`);
+
+    assertEventSequence(events, ["connected", "progress+", "video+", "error"]);
+    assert.equal(videoIds(events).length, 5);
+
+    const error = events[events.length - 1];
+    assert.equal(error.code, "quotaExceeded");
+    assert.equal(error.totalVideos, 5);
+    assert.ok(error.jobId);
+  });
+
+  it("reports a channel that doesn't exist as an error event", async () => {
+    const { events } = await stream("channel=@nobody&refresh=full");
+
+    assertEventSequence(events, ["connected", "progress*", "error"]);
+    assert.equal(events[events.length - 1].code, "channelNotFound");
+  });
+
+  it("replays a finished job to a client attaching to it", async () => {
+    const first = await stream(`channel=${CHANNEL_ID}&refresh=full`);
+    const { jobId } = first.events[first.events.length - 1];
+
+    const { events } = await stream(`job=${jobId}`);
+
+    assertEventSequence(events, ["connected", "video|progress*", "complete"]);
+    assert.deepEqual(videoIds(events), videoIds(first.events));
+  });
+
+  it("answers invalid requests with JSON instead of a stream", async () => {
+    for (const query of ["", "channel=@testchannel&refresh=sometimes"]) {
+      const { status, events, body } = await stream(query);
+
+      assert.equal(status, 400);
+      assert.deepEqual(events, []);
+      assert.ok(body.error);
+    }
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { CHANNEL_ID, videoId, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+
+describe("GET /api/videos", () => {
+  let environment;
+  let app;
+
+  // Nothing but the first page of uploads is read once the channel is cached
+  const pagedUploads = () =>
+    environment.api.calls.filter(
+      (call) => call.resource === "playlistItems" && call.params.pageToken
+    );
+
+  before(async () => {
+    silenceConsole();
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 12 }),
+      { pageSize: 5 }
+    );
+    app = await startApp({ "/api/videos": require("../lib/api-videos") });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+  });
+
+  it("answers a listing without a channel with a 400 before starting a job", async () => {
+    const jobsDirectory = path.join("data", "jobs");
+    const jobFiles = () =>
+      fs.existsSync(jobsDirectory) ? fs.readdirSync(jobsDirectory) : [];
+    const existing = jobFiles();
+
+    const response = await fetch(`${app.url}/api/videos`);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: "Channel parameter is required",
+    });
+    assert.deepEqual(jobFiles(), existing);
+  });
+
+  it("filters a date range from the cache instead of refetching the channel", async () => {
+    await fetch(`${app.url}/api/videos?channel=${CHANNEL_ID}&refresh=full`);
+    environment.api.calls = [];
+
+    const listing = (query) =>
+      fetch(
+        `${app.url}/api/videos?channel=${CHANNEL_ID}&publishedAfter=2024-06-20&limit=4&${query}`
+      ).then((response) => response.json());
+    const first = await listing("refresh=incremental");
+    const second = await listing(`cursor=${first.nextCursor}`);
+
+    assert.equal(first.total, 11);
+    assert.deepEqual(
+      first.videos.concat(second.videos).map((video) => video.id),
+      [0, 1, 2, 3, 4, 5, 6, 7].map(videoId)
+    );
+    // A single page of uploads finds nothing new; the rest comes from the cache
+    assert.deepEqual(pagedUploads(), []);
+  });
+
+  it("caps the listing and drops details from the cache instead of refetching the channel", async () => {
+    await fetch(`${app.url}/api/videos?channel=${CHANNEL_ID}&refresh=full`);
+    environment.api.calls = [];
+
+    const listing = (query) =>
+      fetch(
+        `${app.url}/api/videos?channel=${CHANNEL_ID}&maxVideos=3&details=false&limit=2&${query}`
+      ).then((response) => response.json());
+    const first = await listing("refresh=incremental");
+    const second = await listing(`cursor=${first.nextCursor}`);
+
+    assert.equal(first.total, 3);
+    const videos = first.videos.concat(second.videos);
+    assert.deepEqual(
+      videos.map((video) => video.id),
+      [0, 1, 2].map(videoId)
+    );
+    assert.ok(videos.every((video) => video.viewCount === null));
+    assert.deepEqual(pagedUploads(), []);
+  });
+});
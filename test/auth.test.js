@@ -0,0 +1,179 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { CHANNEL_ID, videoId, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+} = require("./helpers/environment");
+const { readEvents, assertEventSequence } = require("./helpers/sse");
+
+describe("Google sign-in", () => {
+  let environment;
+  let oauth;
+  let app;
+
+  // Sign in without Google by storing the session the callback would have
+  const signIn = () => {
+    const session = oauth.sessions.create({
+      tokens: {
+        access_token: "user-token",
+        expiry_date: Date.now() + 60 * 60 * 1000,
+      },
+      channel: { id: CHANNEL_ID, title: "Test Channel", thumbnail: null },
+    });
+    return { Cookie: `${oauth.SESSION_COOKIE}=${session.id}` };
+  };
+
+  before(async () => {
+    silenceConsole();
+    process.env.GOOGLE_CLIENT_ID = "test-client";
+    process.env.GOOGLE_CLIENT_SECRET = "test-secret";
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 6, private: [1] }),
+      { pageSize: 5, accounts: { "user-token": CHANNEL_ID } }
+    );
+    oauth = require("../lib/oauth");
+    app = await startApp({
+      "/auth": require("../lib/api-auth"),
+      "/api/videos": require("../lib/api-videos"),
+    });
+  });
+
+  after(() => {
+    app.close();
+    environment.close();
+    delete process.env.GOOGLE_CLIENT_ID;
+    delete process.env.GOOGLE_CLIENT_SECRET;
+  });
+
+  beforeEach(() => {
+    environment.api.calls = [];
+  });
+
+  it("sends the user to Google with a state to check on the way back", async () => {
+    const response = await fetch(`${app.url}/auth/login`, {
+      redirect: "manual",
+    });
+
+    const location = new URL(response.headers.get("location"));
+    const [, state] = /yt_oauth_state=(\w+)/.exec(
+      response.headers.get("set-cookie")
+    );
+
+    assert.equal(response.status, 302);
+    assert.equal(location.host, "accounts.google.com");
+    assert.equal(location.searchParams.get("client_id"), "test-client");
+    assert.equal(
+      location.searchParams.get("redirect_uri"),
+      `${app.url}/auth/callback`
+    );
+    assert.equal(location.searchParams.get("access_type"), "offline");
+    assert.equal(location.searchParams.get("state"), state);
+  });
+
+  it("refuses a callback whose state doesn't match the sign-in", async () => {
+    const response = await fetch(
+      `${app.url}/auth/callback?code=abc&state=forged`,
+      { headers: { Cookie: "yt_oauth_state=expected" } }
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, "invalidState");
+  });
+
+  it("reports who is signed in until they sign out", async () => {
+    const headers = signIn();
+    const me = () =>
+      fetch(`${app.url}/auth/me`, { headers }).then((response) =>
+        response.json()
+      );
+
+    assert.deepEqual(await me(), {
+      configured: true,
+      signedIn: true,
+      channel: { id: CHANNEL_ID, title: "Test Channel", thumbnail: null },
+    });
+
+    await fetch(`${app.url}/auth/logout`, { method: "POST", headers });
+    assert.equal((await me()).signedIn, false);
+  });
+
+  it("ignores cookies that aren't valid percent-encoding", async () => {
+    const { Cookie } = signIn();
+    const response = await fetch(`${app.url}/auth/me`, {
+      headers: { Cookie: `broken=%E0%A4%A; ${Cookie}` },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).signedIn, true);
+  });
+
+  it("answers mine=true without a session with a 401", async () => {
+    const { status, body } = await readEvents(
+      `${app.url}/api/videos/stream?mine=true`
+    );
+
+    assert.equal(status, 401);
+    assert.equal(body.code, "notSignedIn");
+  });
+
+  it("streams the user's own channel, private videos included", async () => {
+    const { events } = await readEvents(
+      `${app.url}/api/videos/stream?mine=true&refresh=full`,
+      { headers: signIn() }
+    );
+
+    assertEventSequence(events, [
+      "connected",
+      "progress+",
+      "video|progress+",
+      "complete",
+    ]);
+    const videos = events
+      .filter((event) => event.type === "video")
+      .map((event) => event.video);
+    assert.equal(videos.length, 6);
+    assert.deepEqual(
+      videos.filter((video) => video.privacyStatus === "private"),
+      [videos.find((video) => video.id === videoId(1))]
+    );
+    assert.ok(
+      environment.api.calls.every((call) => call.accessToken === "user-token")
+    );
+  });
+
+  it("keeps private videos out of the shared cache", async () => {
+    await readEvents(`${app.url}/api/videos/stream?mine=true&refresh=full`, {
+      headers: signIn(),
+    });
+
+    const response = await fetch(
+      `${app.url}/api/videos?channel=${CHANNEL_ID}&refresh=none`
+    );
+    const { videos } = await response.json();
+
+    assert.equal(videos.length, 5);
+    assert.ok(videos.every((video) => video.privacyStatus === "public"));
+  });
+
+  it("never stores a signed-in fetch as a job", async () => {
+    const jobFiles = () => {
+      const directory = path.join("data", "jobs");
+      return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+    };
+    const existing = jobFiles();
+
+    const { events } = await readEvents(
+      `${app.url}/api/videos/stream?mine=true&refresh=full`,
+      { headers: signIn() }
+    );
+
+    const complete = events.find((event) => event.type === "complete");
+    assert.equal(complete.jobId, null);
+    assert.ok(events.every((event) => !event.jobId));
+    assert.deepEqual(jobFiles(), existing);
+  });
+});
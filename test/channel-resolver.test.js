@@ -0,0 +1,167 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { YouTubeChannelFetcher } = require("../lib/fetcher");
+const { FakeYoutubeApi } = require("../lib/fake-youtube-api");
+const { parseChannelInput } = require("../lib/channel-resolver");
+const {
+  ChannelNotFoundError,
+  AmbiguousChannelError,
+} = require("../lib/errors");
+const { CHANNEL_ID, videoId, channelFixtures } = require("./helpers/fixtures");
+const { silenceConsole } = require("./helpers/environment");
+
+const PLAYLIST_ID = "PLtestPlaylist0001";
+const CLIPS_ID = "UCtestChannelClips000001";
+
+describe("parseChannelInput", () => {
+  const cases = [
+    [CHANNEL_ID, "id", CHANNEL_ID],
+    [`https://www.youtube.com/channel/${CHANNEL_ID}/videos`, "id", CHANNEL_ID],
+    ["@testchannel", "handle", "@testchannel"],
+    ["youtube.com/@testchannel", "handle", "@testchannel"],
+    ["https://m.youtube.com/@testchannel/videos", "handle", "@testchannel"],
+    ["https://www.youtube.com/user/testuser", "username", "testuser"],
+    ["https://www.youtube.com/c/testchannel", "custom", "testchannel"],
+    ["https://www.youtube.com/testchannel", "custom", "testchannel"],
+    ["https://youtu.be/vid00000001", "video", "vid00000001"],
+    ["https://www.youtube.com/watch?v=vid00000001&t=5", "video", "vid00000001"],
+    ["youtube.com/shorts/vid00000001", "video", "vid00000001"],
+    ["https://www.youtube.com/live/vid00000001", "video", "vid00000001"],
+    [
+      `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+      "playlist",
+      PLAYLIST_ID,
+    ],
+    ["Test Channel", "search", "Test Channel"],
+    [
+      "https://example.com/@testchannel",
+      "search",
+      "https://example.com/@testchannel",
+    ],
+  ];
+
+  for (const [input, type, value] of cases) {
+    it(`reads ${input} as a ${type}`, () => {
+      assert.deepEqual(parseChannelInput(input), { type, value });
+    });
+  }
+});
+
+describe("getChannelId", () => {
+  let api;
+  let fetcher;
+
+  before(() => {
+    silenceConsole();
+
+    const fixtures = channelFixtures();
+    fixtures.channels.push({
+      id: CLIPS_ID,
+      snippet: {
+        title: "Test Channel Clips",
+        thumbnails: { default: { url: "" } },
+      },
+    });
+    fixtures.playlists.push({
+      id: PLAYLIST_ID,
+      snippet: { title: "Favorites", channelId: CHANNEL_ID },
+    });
+    api = new FakeYoutubeApi(fixtures);
+  });
+
+  beforeEach(() => {
+    api.calls = [];
+    fetcher = new YouTubeChannelFetcher("test-key", { youtube: api.client() });
+  });
+
+  const lookups = () =>
+    api.calls.map(({ resource, params }) => {
+      const filter = ["forHandle", "forUsername", "id", "q"].find(
+        (name) => params[name]
+      );
+      return `${resource}:${filter}=${params[filter]}`;
+    });
+
+  it("takes channel IDs and channel URLs as they are", async () => {
+    assert.equal(await fetcher.getChannelId(CHANNEL_ID), CHANNEL_ID);
+    assert.equal(
+      await fetcher.getChannelId(
+        `https://www.youtube.com/channel/${CHANNEL_ID}`
+      ),
+      CHANNEL_ID
+    );
+    assert.deepEqual(api.calls, []);
+  });
+
+  it("looks up handles", async () => {
+    assert.equal(
+      await fetcher.getChannelId("https://www.youtube.com/@TestChannel"),
+      CHANNEL_ID
+    );
+    assert.deepEqual(lookups(), ["channels:forHandle=@TestChannel"]);
+  });
+
+  it("looks up legacy usernames", async () => {
+    assert.equal(
+      await fetcher.getChannelId("https://www.youtube.com/user/testuser"),
+      CHANNEL_ID
+    );
+    assert.deepEqual(lookups(), ["channels:forUsername=testuser"]);
+  });
+
+  it("tries a custom name as a handle first, then as a username", async () => {
+    assert.equal(
+      await fetcher.getChannelId("https://www.youtube.com/c/testuser"),
+      CHANNEL_ID
+    );
+    assert.deepEqual(lookups(), [
+      "channels:forHandle=@testuser",
+      "channels:forUsername=testuser",
+    ]);
+  });
+
+  for (const input of [
+    `https://youtu.be/${videoId(1)}`,
+    `https://www.youtube.com/watch?v=${videoId(1)}&t=42s`,
+    `https://www.youtube.com/shorts/${videoId(1)}`,
+  ]) {
+    it(`finds the channel that uploaded ${input}`, async () => {
+      assert.equal(await fetcher.getChannelId(input), CHANNEL_ID);
+      assert.deepEqual(lookups(), [`videos:id=${videoId(1)}`]);
+    });
+  }
+
+  it("finds the channel that owns a playlist", async () => {
+    assert.equal(
+      await fetcher.getChannelId(
+        `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`
+      ),
+      CHANNEL_ID
+    );
+    assert.deepEqual(lookups(), [`playlists:id=${PLAYLIST_ID}`]);
+  });
+
+  it("searches names and picks the exact title match", async () => {
+    assert.equal(await fetcher.getChannelId("test channel"), CHANNEL_ID);
+    assert.deepEqual(lookups(), ["search:q=test channel"]);
+  });
+
+  it("refuses to guess between several search results", async () => {
+    await assert.rejects(fetcher.getChannelId("Test"), (error) => {
+      assert.ok(error instanceof AmbiguousChannelError);
+      assert.deepEqual(
+        error.candidates.map((candidate) => candidate.id),
+        [CHANNEL_ID, CLIPS_ID]
+      );
+      return true;
+    });
+  });
+
+  it("reports unknown handles and videos as not found", async () => {
+    await assert.rejects(fetcher.getChannelId("@nobody"), ChannelNotFoundError);
+    await assert.rejects(
+      fetcher.getChannelId("https://youtu.be/missing0000"),
+      ChannelNotFoundError
+    );
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { YouTubeChannelFetcher } = require("../lib/fetcher");
+const { FakeYoutubeApi } = require("../lib/fake-youtube-api");
+const { QuotaExceededError, CancelledError } = require("../lib/errors");
+const {
+  CHANNEL_ID,
+  UPLOADS_ID,
+  videoId,
+  publishedAt,
+  channelFixtures,
+} = require("./helpers/fixtures");
+const { silenceConsole } = require("./helpers/environment");
+
+/**
+ * A fetcher on a fake API handing out pages of five
+ */
+function setup(fixtureOptions = {}) {
+  const api = new FakeYoutubeApi(channelFixtures(fixtureOptions), {
+    pageSize: 5,
+  });
+  const fetcher = new YouTubeChannelFetcher("test-key", {
+    youtube: api.client(),
+    retryBaseDelay: 1,
+  });
+  const calls = (resource) =>
+    api.calls
+      .filter((call) => call.resource === resource)
+      .map((call) => call.params);
+
+  return { api, fetcher, calls };
+}
+
+describe("_fetchVideosWithPagination", () => {
+  before(() => silenceConsole());
+
+  it("walks every page of the uploads playlist and merges in the details", async () => {
+    const { fetcher, calls } = setup({ videoCount: 12 });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+    assert.deepEqual(
+      videos.map((video) => video.id),
+      Array.from({ length: 12 }, (_, index) => videoId(index))
+    );
+    assert.deepEqual(
+      calls("playlistItems")
+        .filter((params) => params.playlistId === UPLOADS_ID)
+        .map((params) => Boolean(params.pageToken)),
+      [false, true, true]
+    );
+    assert.deepEqual(
+      calls("videos").map((params) => params.id.split(",").length),
+      [5, 5, 2]
+    );
+
+    const video = videos[4];
+    assert.equal(video.viewCount, 5000);
+    assert.equal(video.likeCount, 50);
+    assert.equal(video.durationSeconds, 300);
+    assert.deepEqual(video.tags, ["tag1"]);
+    assert.equal(video.kind, "regular");
+  });
+
+  it("keeps the listing of videos missing from the details and skips private ones", async () => {
+    const { fetcher } = setup({ videoCount: 8, deleted: [3], private: [6] });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+    assert.equal(videos.length, 7);
+    assert.ok(!videos.some((video) => video.id === videoId(6)));
+
+    const deleted = videos.find((video) => video.id === videoId(3));
+    assert.equal(deleted.title, "Video 3");
+    assert.equal(deleted.viewCount, null);
+    assert.equal(deleted.kind, null);
+  });
+
+  it("marks videos in the members-only playlist", async () => {
+    const { fetcher } = setup({ videoCount: 6, membersOnly: [2] });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+    assert.deepEqual(
+      videos.filter((video) => video.kind === "membersOnly").map((v) => v.id),
+      [videoId(2)]
+    );
+  });
+
+  it("tells scheduled premieres apart from upcoming live streams", async () => {
+    const { api, fetcher } = setup({ videoCount: 3 });
+    const [premiere, stream] = api.fixtures.videos;
+    for (const video of [premiere, stream]) {
+      video.snippet.liveBroadcastContent = "upcoming";
+      video.liveStreamingDetails = {
+        scheduledStartTime: "2024-07-01T18:00:00.000Z",
+      };
+    }
+    stream.contentDetails.duration = "P0D";
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+    assert.deepEqual(
+      videos.map((video) => video.kind),
+      ["premiere", "upcoming", "regular"]
+    );
+    assert.equal(videos[0].live.scheduledStartTime, "2024-07-01T18:00:00.000Z");
+  });
+
+  it("includes videos published right at either end of the date range", async () => {
+    for (const source of ["uploads", "search"]) {
+      const { fetcher } = setup({ videoCount: 6 });
+
+      const videos = await fetcher.getAllChannelVideos(CHANNEL_ID, {
+        source,
+        publishedAfter: publishedAt(3),
+        publishedBefore: publishedAt(1),
+      });
+
+      assert.deepEqual(
+        videos.map((video) => video.id),
+        [1, 2, 3].map(videoId),
+        source
+      );
+    }
+  });
+
+  it("stops at maxVideos without fetching details past the cap", async () => {
+    const { fetcher, calls } = setup({ videoCount: 12 });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID, {
+      maxVideos: 7,
+    });
+
+    assert.equal(videos.length, 7);
+    assert.deepEqual(
+      calls("videos").map((params) => params.id.split(",").length),
+      [5, 2]
+    );
+  });
+
+  it("skips videos.list without details", async () => {
+    const { fetcher, calls } = setup({ videoCount: 12 });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID, {
+      includeDetails: false,
+    });
+
+    assert.equal(videos.length, 12);
+    assert.deepEqual(calls("videos"), []);
+    assert.equal(videos[0].viewCount, null);
+  });
+
+  it("resumes from a checkpoint without refetching earlier pages", async () => {
+    const { fetcher, calls, api } = setup({ videoCount: 12 });
+    const checkpoints = [];
+
+    const all = await fetcher._fetchVideosWithPagination(CHANNEL_ID, {
+      onCheckpoint: (checkpoint) => checkpoints.push(checkpoint),
+    });
+    assert.equal(checkpoints.length, 3);
+    assert.equal(checkpoints[2].done, true);
+
+    api.calls = [];
+    const resumed = await fetcher._fetchVideosWithPagination(CHANNEL_ID, {
+      resumeFrom: checkpoints[0],
+    });
+
+    assert.deepEqual(resumed, all);
+    assert.deepEqual(
+      calls("videos").map((params) => params.id.split(",").length),
+      [5, 2]
+    );
+  });
+
+  it("hands out the videos collected so far when a page fails", async () => {
+    const { fetcher, api } = setup({ videoCount: 12 });
+
+    await assert.rejects(
+      fetcher._fetchVideosWithPagination(CHANNEL_ID, {}, () =>
+        api.injectError({ resource: "playlistItems" })
+      ),
+      (error) => {
+        assert.ok(error instanceof QuotaExceededError);
+        assert.equal(error.partialVideos.length, 5);
+        assert.equal(error.pagesFetched, 1);
+        assert.ok(error.nextPageToken);
+        return true;
+      }
+    );
+  });
+
+  it("counts the page before the wait a fetch was cancelled in", async () => {
+    const { fetcher } = setup({ videoCount: 12 });
+    const controller = new AbortController();
+
+    await assert.rejects(
+      fetcher._fetchVideosWithPagination(
+        CHANNEL_ID,
+        { signal: controller.signal },
+        () => controller.abort()
+      ),
+      (error) => {
+        assert.ok(error instanceof CancelledError);
+        assert.equal(error.partialVideos.length, 5);
+        assert.equal(error.pagesFetched, 1);
+        return true;
+      }
+    );
+  });
+
+  it("retries backend errors", async () => {
+    const { fetcher, api, calls } = setup({ videoCount: 3 });
+    api.injectError({
+      resource: "videos",
+      status: 503,
+      reason: "backendError",
+    });
+
+    const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+    assert.equal(videos.length, 3);
+    assert.equal(calls("videos").length, 2);
+  });
+});
+
+describe("getVideoDetails", () => {
+  before(() => silenceConsole());
+
+  it("shares a lookup between callers without tying it to the first one's signal", async () => {
+    const { fetcher, calls } = setup({ videoCount: 3 });
+    const ids = [0, 1, 2].map(videoId).join(",");
+    const controller = new AbortController();
+
+    const first = fetcher.getVideoDetails(ids, { signal: controller.signal });
+    const second = fetcher.getVideoDetails(ids);
+    controller.abort();
+
+    await assert.rejects(first, CancelledError);
+    assert.deepEqual(
+      (await second).map((video) => video.id),
+      [0, 1, 2].map(videoId)
+    );
+    assert.equal(calls("videos").length, 1);
+  });
+});
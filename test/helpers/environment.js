@@ -0,0 +1,75 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { mock } = require("node:test");
+const express = require("express");
+const { FakeYoutubeApi } = require("../../lib/fake-youtube-api");
+
+/**
+ * Point the library at a FakeYoutubeApi and give it a scratch directory.
+ * Call it before lib/youtube-videos is first required: that module reads
+ * YOUTUBE_API_URL when it loads and keeps its cache, jobs and quota under
+ * ./data.
+ * @param {Object} fixtures - Fixtures to serve
+ * @param {Object} [options] - FakeYoutubeApi options
+ * @returns {Promise<{api: FakeYoutubeApi, close: Function}>} The fake API and a function tearing everything down
+ */
+async function startFakeEnvironment(fixtures, options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "yt-fetcher-test-"));
+  process.chdir(directory);
+
+  const api = new FakeYoutubeApi(fixtures, options);
+  const server = await api.listen();
+  process.env.YOUTUBE_API_URL = `http://localhost:${server.address().port}`;
+  process.env.YOUTUBE_API_KEY = "test-key";
+
+  return {
+    api,
+    close: () => {
+      server.close();
+      process.chdir(os.tmpdir());
+      fs.rmSync(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Serve routers the way server.js mounts them
+ * @param {Object<string, Router>} routes - Routers by mount path, e.g. `{ "/api/videos": router }`
+ * @returns {Promise<{url: string, close: Function}>} Base URL of the app and a function stopping it
+ */
+function startApp(routes) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) =>
+    app.use(mountPath, router)
+  );
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () =>
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        // Streams left open would keep the server from closing
+        close: () => {
+          server.closeAllConnections();
+          server.close();
+        },
+      })
+    );
+  });
+}
+
+/**
+ * Keep the library's progress logging out of the test report
+ */
+function silenceConsole() {
+  for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, () => {});
+  }
+}
+
+module.exports = {
+  startFakeEnvironment,
+  startApp,
+  silenceConsole,
+};
@@ -0,0 +1,150 @@
+/**
+ * Builders of fixture channels for FakeYoutubeApi. Videos are numbered from
+ * the newest (0) to the oldest and published a day apart.
+ */
+
+const CHANNEL_ID = "UCtestChannelFixture0001";
+const UPLOADS_ID = `UU${CHANNEL_ID.slice(2)}`;
+const MEMBERS_ONLY_ID = `UUMO${CHANNEL_ID.slice(2)}`;
+
+/**
+ * Video ID of the nth video
+ * @param {number} index - Video number, 0 being the newest
+ * @returns {string} 11-character video ID
+ */
+function videoId(index) {
+  return `vid${String(index).padStart(8, "0")}`;
+}
+
+function publishedAt(index) {
+  return new Date(Date.UTC(2024, 5, 30) - index * 86400000).toISOString();
+}
+
+function videoResource(index) {
+  const id = videoId(index);
+
+  return {
+    kind: "youtube#video",
+    id,
+    snippet: {
+      publishedAt: publishedAt(index),
+      channelId: CHANNEL_ID,
+      title: `Video ${index}`,
+      description: `Description of video ${index}`,
+      thumbnails: {
+        default: { url: `https://i.ytimg.com/vi/${id}/default.jpg` },
+      },
+      channelTitle: "Test Channel",
+      tags: [`tag${index % 3}`],
+      liveBroadcastContent: "none",
+    },
+    contentDetails: { duration: `PT${index + 1}M` },
+    statistics: {
+      viewCount: String(1000 * (index + 1)),
+      likeCount: String(10 * (index + 1)),
+      commentCount: String(index),
+    },
+    player: { embedWidth: "640", embedHeight: "360" },
+    status: { privacyStatus: "public" },
+  };
+}
+
+function playlistItem(playlistId, index, position) {
+  return {
+    kind: "youtube#playlistItem",
+    id: `${playlistId}.${videoId(index)}`,
+    snippet: {
+      publishedAt: publishedAt(index),
+      channelId: CHANNEL_ID,
+      title: `Video ${index}`,
+      description: `Description of video ${index}`,
+      thumbnails: {},
+      channelTitle: "Test Channel",
+      playlistId,
+      position,
+    },
+    contentDetails: {
+      videoId: videoId(index),
+      videoPublishedAt: publishedAt(index),
+    },
+    status: { privacyStatus: "public" },
+  };
+}
+
+/**
+ * Fixtures of one channel, "@testchannel" (username "testuser")
+ * @param {Object} [options] - What the channel holds
+ * @param {number} [options.videoCount=12] - Number of uploads
+ * @param {number[]} [options.deleted=[]] - Uploads still listed but gone from videos.list
+ * @param {number[]} [options.private=[]] - Uploads listed without a publish date, as private videos are;
+ *   videos.list only returns them to the channel's owner
+ * @param {number[]} [options.membersOnly=[]] - Uploads in the members-only playlist
+ * @returns {Object} Fixtures for FakeYoutubeApi
+ */
+function channelFixtures(options = {}) {
+  const {
+    videoCount = 12,
+    deleted = [],
+    private: privateVideos = [],
+    membersOnly = [],
+  } = options;
+  const indexes = Array.from({ length: videoCount }, (_, index) => index);
+
+  const uploads = indexes.map((index) => {
+    const item = playlistItem(UPLOADS_ID, index, index);
+    if (privateVideos.includes(index)) {
+      delete item.contentDetails.videoPublishedAt;
+      item.status.privacyStatus = "private";
+    }
+    return item;
+  });
+
+  const playlistItems = { [UPLOADS_ID]: uploads };
+  if (membersOnly.length > 0) {
+    playlistItems[MEMBERS_ONLY_ID] = membersOnly.map((index, position) =>
+      playlistItem(MEMBERS_ONLY_ID, index, position)
+    );
+  }
+
+  return {
+    channels: [
+      {
+        kind: "youtube#channel",
+        id: CHANNEL_ID,
+        username: "testuser",
+        snippet: {
+          title: "Test Channel",
+          description: "A channel made up for the tests",
+          customUrl: "@testchannel",
+          thumbnails: { default: { url: "https://yt3.ggpht.com/test" } },
+        },
+        statistics: {
+          subscriberCount: "1000",
+          videoCount: String(videoCount),
+          viewCount: "123456",
+        },
+        contentDetails: { relatedPlaylists: { uploads: UPLOADS_ID } },
+      },
+    ],
+    videos: indexes
+      .filter((index) => !deleted.includes(index))
+      .map((index) => {
+        const video = videoResource(index);
+        if (privateVideos.includes(index)) {
+          video.status.privacyStatus = "private";
+        }
+        return video;
+      }),
+    playlists: [],
+    playlistItems,
+  };
+}
+
+module.exports = {
+  CHANNEL_ID,
+  UPLOADS_ID,
+  MEMBERS_ONLY_ID,
+  videoId,
+  publishedAt,
+  channelFixtures,
+};
@@ -0,0 +1,79 @@
+const assert = require("node:assert/strict");
+
+/**
+ * Request a Server-Sent Events route and collect its events until the server
+ * ends the stream. Routes that answer with JSON instead (e.g. a 400) come
+ * back with `body` and no events.
+ * @param {string} url - Route URL
+ * @param {Object} [init] - fetch options, e.g. `headers`
+ * @returns {Promise<{status: number, headers: Headers, events: Object[], body: Object|null}>} Response
+ */
+async function readEvents(url, init = {}) {
+  const response = await fetch(url, init);
+
+  if (!response.headers.get("content-type").startsWith("text/event-stream")) {
+    return {
+      status: response.status,
+      headers: response.headers,
+      events: [],
+      body: await response.json(),
+    };
+  }
+
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const message = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      const data = message
+        .split("\n")
+        .filter((line) => line.startsWith("data: "))
+        .map((line) => line.slice(6))
+        .join("\n");
+      if (data) {
+        events.push(JSON.parse(data));
+      }
+    }
+  }
+
+  assert.equal(buffer, "", "stream ended in the middle of an event");
+  return {
+    status: response.status,
+    headers: response.headers,
+    events,
+    body: null,
+  };
+}
+
+/**
+ * Assert that event types follow a pattern. Each pattern step is an event
+ * type, or several joined with "|", optionally followed by `*`, `+` or `?`,
+ * e.g. `["connected", "progress+", "video|progress*", "complete"]`.
+ * @param {Object[]} events - Events from readEvents
+ * @param {string[]} pattern - Expected sequence
+ */
+function assertEventSequence(events, pattern) {
+  const types = events.map((event) => `${event.type} `).join("");
+  const steps = pattern.map((step) => {
+    const [, names, quantifier] = /^([\w|]+)([*+?]?)$/.exec(step);
+    return `(?:(?:${names}) )${quantifier}`;
+  });
+
+  assert.match(
+    types,
+    new RegExp(`^${steps.join("")}$`),
+    `events "${types.trim()}" don't follow "${pattern.join(" ")}"`
+  );
+}
+
+module.exports = {
+  readEvents,
+  assertEventSequence,
+};
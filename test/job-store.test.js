@@ -0,0 +1,93 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { JobStore } = require("../lib/job-store");
+
+describe("JobStore", () => {
+  let directory;
+  const createStore = (options) =>
+    new JobStore(fs.mkdtempSync(path.join(directory, "jobs-")), options);
+  const video = (index) => ({ id: `video${index}`, title: `Video ${index}` });
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "yt-job-store-test-"));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("stores a built job only once it is saved", () => {
+    const store = createStore();
+    const job = store.build({ channelInput: "@testchannel" });
+
+    assert.equal(store.has(job.id), false);
+    assert.equal(store.get(job.id), null);
+
+    store.save(job);
+    assert.equal(store.has(job.id), true);
+    assert.equal(store.get(job.id).channelInput, "@testchannel");
+  });
+
+  it("appends the videos added since the last save", () => {
+    const store = createStore();
+    const job = store.create({ channelInput: "@testchannel" });
+    const videosPath = path.join(
+      store.directory,
+      `job_${job.id}.videos.ndjson`
+    );
+
+    job.videos.push(video(0), video(1));
+    store.save(job);
+    const firstPage = fs.readFileSync(videosPath, "utf8");
+    job.videos.push(video(2));
+    store.save(job);
+
+    assert.ok(fs.readFileSync(videosPath, "utf8").startsWith(firstPage));
+    assert.deepEqual(store.get(job.id).videos, [0, 1, 2].map(video));
+    assert.equal(store.get(job.id).videoCount, 3);
+
+    job.videos = [video(2), video(0)];
+    store.save(job, { rewriteVideos: true });
+    assert.deepEqual(store.get(job.id).videos, [2, 0].map(video));
+  });
+
+  it("ignores videos appended after the last complete save", () => {
+    const store = createStore();
+    const job = store.create({ channelInput: "@testchannel" });
+
+    job.videos.push(video(0));
+    store.save(job);
+    // What a crash between appending a page and saving the job leaves behind
+    fs.appendFileSync(
+      path.join(store.directory, `job_${job.id}.videos.ndjson`),
+      `${JSON.stringify(video(1))}\n`
+    );
+
+    assert.deepEqual(store.get(job.id).videos, [video(0)]);
+  });
+
+  it("keeps only the latest finished jobs", async () => {
+    const store = createStore({ maxFinishedJobs: 2 });
+    const running = store.create({ channelInput: "@running" });
+    running.status = "running";
+    store.save(running);
+
+    const finished = [];
+    for (const channelInput of ["@a", "@b", "@c"]) {
+      const job = store.create({ channelInput });
+      job.status = "completed";
+      store.save(job);
+      finished.push(job);
+      // Finish times must differ for the oldest to be well defined
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    store.create({ channelInput: "@d" });
+
+    assert.equal(store.has(running.id), true);
+    assert.deepEqual(
+      finished.map((job) => store.has(job.id)),
+      [false, true, true]
+    );
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { KeyPool, loadKeyPoolConfig } = require("../lib/key-pool");
+const { YouTubeChannelFetcher } = require("../lib/fetcher");
+const { FakeYoutubeApi } = require("../lib/fake-youtube-api");
+const {
+  QuotaExceededError,
+  KeyInvalidError,
+  ApiKeyNotFoundError,
+} = require("../lib/errors");
+const { CHANNEL_ID, channelFixtures } = require("./helpers/fixtures");
+const { silenceConsole } = require("./helpers/environment");
+
+const quotaError = {
+  response: {
+    status: 403,
+    data: { error: { errors: [{ reason: "quotaExceeded" }] } },
+  },
+};
+
+describe("KeyPool", () => {
+  let directory;
+  const createPool = (keys, options = {}) =>
+    new KeyPool(keys, {
+      filePath: path.join(directory, `${crypto.randomUUID()}.json`),
+      ...options,
+    });
+
+  before(() => {
+    silenceConsole();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "yt-key-pool-test-"));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("reads keys from YOUTUBE_API_KEYS before YOUTUBE_API_KEY", () => {
+    assert.deepEqual(
+      loadKeyPoolConfig({
+        YOUTUBE_API_KEYS: "key-a, key-b,,key-c",
+        YOUTUBE_API_KEY: "key-z",
+      }),
+      { keys: ["key-a", "key-b", "key-c"], strategy: "round-robin" }
+    );
+    assert.deepEqual(
+      loadKeyPoolConfig({
+        YOUTUBE_API_KEY: "key-z",
+        YOUTUBE_API_KEY_STRATEGY: "least-used",
+      }),
+      { keys: ["key-z"], strategy: "least-used" }
+    );
+  });
+
+  it("hands out keys in turn, skipping retired ones", () => {
+    const pool = createPool(["key-a", "key-b", "key-c"]);
+
+    assert.deepEqual(
+      [pool.select(), pool.select(), pool.select(), pool.select()],
+      ["key-a", "key-b", "key-c", "key-a"]
+    );
+
+    assert.equal(pool.retire("key-b", quotaError), true);
+    assert.deepEqual(
+      [pool.select(), pool.select(), pool.select()],
+      ["key-c", "key-a", "key-c"]
+    );
+  });
+
+  it("hands out the key that has spent the least today", () => {
+    const pool = createPool(["key-a", "key-b"], { strategy: "least-used" });
+
+    pool.record("key-a", 100);
+    pool.record("key-b", 1);
+    assert.equal(pool.select(), "key-b");
+
+    pool.record("key-b", 200);
+    assert.equal(pool.select(), "key-a");
+  });
+
+  it("reports usage by fingerprint and label without the keys themselves", () => {
+    const pool = createPool([
+      "AIzaFirstKey1234",
+      { key: "key-b", label: "backup" },
+    ]);
+    pool.record("AIzaFirstKey1234", 3);
+    pool.retire("key-b", new KeyInvalidError());
+
+    const usage = pool.getUsage();
+    assert.equal(usage.active, 1);
+    assert.deepEqual(
+      usage.keys.map(({ label, status, used, calls }) => ({
+        label,
+        status,
+        used,
+        calls,
+      })),
+      [
+        { label: "AIza…1234", status: "active", used: 3, calls: 1 },
+        { label: "backup", status: "invalid", used: 0, calls: 0 },
+      ]
+    );
+    assert.ok(!fs.readFileSync(pool.filePath, "utf8").includes("FirstKey"));
+  });
+
+  it("keeps other failures from retiring a key", () => {
+    const pool = createPool(["key-a"]);
+
+    assert.equal(
+      pool.retire("key-a", { response: { status: 503, data: {} } }),
+      false
+    );
+    assert.equal(pool.getUsage().active, 1);
+  });
+
+  it("runs dry once every key is retired, until one is reset", () => {
+    const pool = createPool(["key-a", "key-b"]);
+    pool.retire("key-a", quotaError);
+    pool.retire("key-b", new KeyInvalidError());
+
+    assert.throws(() => pool.select(), QuotaExceededError);
+
+    const [first] = pool.getUsage().keys;
+    assert.equal(pool.reset(first.id).status, "active");
+    assert.equal(pool.select(), "key-a");
+    assert.throws(() => pool.reset("nope"), ApiKeyNotFoundError);
+  });
+
+  it("has no key to hand out when none is configured", () => {
+    assert.throws(() => createPool([]).select(), KeyInvalidError);
+  });
+
+  describe("with a fetcher", () => {
+    const setup = (poolKeys, validKeys) => {
+      const api = new FakeYoutubeApi(channelFixtures({ videoCount: 7 }), {
+        pageSize: 5,
+        keys: validKeys,
+      });
+      const pool = createPool(poolKeys);
+      const fetcher = new YouTubeChannelFetcher(null, {
+        youtube: api.client(),
+        keyPool: pool,
+        retryBaseDelay: 1,
+      });
+      const keysUsed = () => api.calls.map((call) => call.params.key);
+
+      return { api, pool, fetcher, keysUsed };
+    };
+
+    it("moves on to the next key when one runs out of quota", async () => {
+      const { api, pool, fetcher, keysUsed } = setup(["key-a", "key-b"]);
+      api.injectError({ key: "key-a", times: null });
+
+      const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+      const [first, ...rest] = keysUsed();
+      assert.equal(videos.length, 7);
+      assert.equal(first, "key-a");
+      assert.ok(rest.every((key) => key === "key-b"));
+      assert.deepEqual(
+        pool.getUsage().keys.map((key) => [key.status, key.calls]),
+        [
+          ["exhausted", 1],
+          ["active", rest.length],
+        ]
+      );
+    });
+
+    it("moves on to the next key when one is rejected", async () => {
+      const { pool, fetcher } = setup(["key-a", "key-b"], ["key-b"]);
+
+      const videos = await fetcher.getAllChannelVideos(CHANNEL_ID);
+
+      assert.equal(videos.length, 7);
+      assert.deepEqual(
+        pool.getUsage().keys.map((key) => key.status),
+        ["invalid", "active"]
+      );
+    });
+
+    it("fails with a quota error once the last key runs out", async () => {
+      const { api, fetcher, keysUsed } = setup(["key-a", "key-b"]);
+      api.injectError({ times: null });
+
+      await assert.rejects(
+        fetcher.getAllChannelVideos(CHANNEL_ID),
+        QuotaExceededError
+      );
+      assert.deepEqual(keysUsed(), ["key-a", "key-b"]);
+    });
+  });
+});
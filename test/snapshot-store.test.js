@@ -0,0 +1,60 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { SnapshotStore } = require("../lib/snapshot-store");
+
+describe("SnapshotStore", () => {
+  let directory;
+  const createStore = () =>
+    new SnapshotStore(fs.mkdtempSync(path.join(directory, "snapshots-")));
+  const channel = (id) => ({
+    id,
+    subscriberCount: "10",
+    videoCount: "1",
+    viewCount: "100",
+  });
+  const video = (id) => ({
+    id,
+    viewCount: 100,
+    likeCount: 10,
+    commentCount: 1,
+  });
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "yt-snapshots-test-"));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("finds a video's series in the channel it was recorded under", () => {
+    const store = createStore();
+    store.record(channel("UCfirst"), [video("firstVideo1")]);
+    store.record(channel("UCsecond"), [video("secondVideo")]);
+
+    assert.equal(store.getVideo("secondVideo").channelId, "UCsecond");
+    assert.equal(store.getVideo("secondVideo").points.length, 1);
+    assert.equal(store.getVideo("unknownVide"), null);
+  });
+
+  it("doesn't mistake Object.prototype properties for recorded videos", () => {
+    const store = createStore();
+    store.record(channel("UCfirst"), [video("firstVideo1")]);
+
+    assert.equal(store.getVideo("constructor"), null);
+    assert.equal(store.getVideo("__proto__"), null);
+
+    store.record(channel("UCfirst"), [video("constructor")]);
+    assert.equal(store.getVideo("constructor").points.length, 1);
+  });
+
+  it("builds the index from the channel files of an older store", () => {
+    const store = createStore();
+    store.record(channel("UCfirst"), [video("firstVideo1")]);
+    fs.rmSync(path.join(store.directory, "video-index.json"));
+
+    assert.equal(store.getVideo("firstVideo1").channelId, "UCfirst");
+    assert.ok(fs.existsSync(path.join(store.directory, "video-index.json")));
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { videoFromResource, isShort } = require("../lib/video-model");
+const { channelFixtures } = require("./helpers/fixtures");
+
+describe("Shorts", () => {
+  it("applies the same rule with and without a recorded kind when the shape is unknown", () => {
+    // One and two minutes long, without player dimensions
+    const resources = channelFixtures({ videoCount: 2 }).videos;
+    resources.forEach((resource) => delete resource.player);
+
+    for (const resource of resources) {
+      const video = videoFromResource(resource);
+
+      assert.equal(
+        isShort({ ...video, kind: null }),
+        video.kind === "short",
+        resource.contentDetails.duration
+      );
+    }
+    assert.deepEqual(
+      resources.map((resource) => videoFromResource(resource).kind),
+      ["short", "regular"]
+    );
+  });
+});
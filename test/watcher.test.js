@@ -0,0 +1,156 @@
+const dns = require("dns");
+const http = require("http");
+const { describe, it, before, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { ChannelWatcher } = require("../lib/watcher");
+const { InvalidWatchError } = require("../lib/errors");
+const { silenceConsole } = require("./helpers/environment");
+
+/**
+ * A local webhook target recording the requests it gets
+ * @param {Function} [respond] - `(req, res)` answering each request; 204 by default
+ */
+function startTarget(respond = (req, res) => res.writeHead(204).end()) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    req.resume();
+    respond(req, res);
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, () =>
+      resolve({
+        port: server.address().port,
+        requests,
+        close: () => server.close(),
+      })
+    )
+  );
+}
+
+describe("ChannelWatcher webhooks", () => {
+  // Refused webhooks must be caught before the channel is ever looked up
+  const createWatcher = (options = {}) =>
+    new ChannelWatcher({
+      store: null,
+      createFetcher: () => assert.fail("the channel was looked up"),
+      resolveChannelId: null,
+      secret: "webhook-secret",
+      retryBaseDelay: 0,
+      ...options,
+    });
+
+  before(() => silenceConsole());
+
+  it("refuses webhooks on loopback, private and link-local addresses", async () => {
+    const watcher = createWatcher();
+
+    for (const url of [
+      "http://127.0.0.1/hook",
+      "http://localhost:8080/hook",
+      "http://10.1.2.3/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://[::ffff:172.16.0.1]/hook",
+      "http://[fe80::1]/hook",
+    ]) {
+      await assert.rejects(
+        watcher.add({ channel: "@testchannel", webhooks: [url] }),
+        (error) =>
+          error instanceof InvalidWatchError &&
+          /private address/.test(error.message),
+        url
+      );
+    }
+  });
+
+  it("only accepts allow-listed hosts when there is an allow-list", async () => {
+    const watcher = createWatcher({ allowedHosts: ["LocalHost"] });
+
+    await assert.rejects(
+      watcher.add({
+        channel: "@testchannel",
+        webhooks: ["https://hooks.example.com/hook"],
+      }),
+      /not in WEBHOOK_ALLOWED_HOSTS/
+    );
+    await watcher.assertWebhookAllowed("http://localhost:8080/hook");
+  });
+
+  it("gives up a delivery once the webhook resolves to a private address", async () => {
+    const watcher = createWatcher();
+    const failures = [];
+    watcher.on("deliveryFailed", (failure) => failures.push(failure));
+
+    const delivered = await watcher._deliver(
+      "http://127.0.0.1:9/hook",
+      { event: "upload" },
+      "webhook-secret"
+    );
+
+    assert.equal(delivered, false);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].attempts, 1);
+    assert.match(failures[0].error, /private address/);
+  });
+
+  it("doesn't follow a webhook redirecting to another host", async () => {
+    const internal = await startTarget();
+    const target = await startTarget((req, res) =>
+      res
+        .writeHead(307, {
+          Location: `http://127.0.0.1:${internal.port}/latest/meta-data`,
+        })
+        .end()
+    );
+    const watcher = createWatcher({ allowedHosts: ["localhost"] });
+    const failures = [];
+    watcher.on("deliveryFailed", (failure) => failures.push(failure));
+
+    try {
+      const delivered = await watcher._deliver(
+        `http://localhost:${target.port}/hook`,
+        { event: "upload" },
+        "webhook-secret"
+      );
+
+      assert.equal(delivered, false);
+      assert.deepEqual(target.requests, ["/hook"]);
+      assert.deepEqual(internal.requests, []);
+      assert.equal(failures[0].attempts, 1);
+      assert.match(failures[0].error, /redirects are not followed/);
+    } finally {
+      target.close();
+      internal.close();
+    }
+  });
+
+  it("checks the address again when connecting to the webhook", async () => {
+    const target = await startTarget();
+    // The check sees a public address, the connection then gets loopback
+    mock.method(dns.promises, "lookup", async () => [
+      { address: "93.184.216.34", family: 4 },
+    ]);
+    const watcher = createWatcher();
+    const failures = [];
+    watcher.on("deliveryFailed", (failure) => failures.push(failure));
+
+    try {
+      const delivered = await watcher._deliver(
+        `http://localhost:${target.port}/hook`,
+        { event: "upload" },
+        "webhook-secret"
+      );
+
+      assert.equal(delivered, false);
+      assert.deepEqual(target.requests, []);
+      assert.equal(failures[0].attempts, 1);
+      assert.match(failures[0].error, /private address/);
+    } finally {
+      dns.promises.lookup.mock.restore();
+      target.close();
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { ChannelNotFoundError, QuotaExceededError } = require("../lib/errors");
+const { CHANNEL_ID, channelFixtures } = require("./helpers/fixtures");
+const {
+  startFakeEnvironment,
+  silenceConsole,
+} = require("./helpers/environment");
+
+describe("fetchYoutubeVideos", () => {
+  let environment;
+  let library;
+
+  before(async () => {
+    silenceConsole();
+    environment = await startFakeEnvironment(
+      channelFixtures({ videoCount: 7 })
+    );
+    library = require("../lib/youtube-videos");
+  });
+
+  after(() => environment.close());
+
+  beforeEach(() => {
+    environment.api.clearErrors();
+    environment.api.calls = [];
+  });
+
+  it("resolves with the channel's videos and caches them", async () => {
+    const videos = await library.fetchYoutubeVideos("@testchannel", {
+      refresh: "full",
+    });
+
+    assert.equal(videos.length, 7);
+    assert.ok(videos.every((video) => video.channelId === CHANNEL_ID));
+
+    environment.api.calls = [];
+    const cached = await library.fetchYoutubeVideos(CHANNEL_ID, {
+      refresh: "none",
+    });
+    assert.deepEqual(cached, videos);
+    assert.deepEqual(environment.api.calls, []);
+  });
+
+  it("only stores a job for a fetch that calls the API", async () => {
+    const jobFiles = () => fs.readdirSync(path.join("data", "jobs"));
+    await library.fetchYoutubeVideos(CHANNEL_ID, { refresh: "full" });
+    const existing = jobFiles();
+
+    await library.fetchYoutubeVideos(CHANNEL_ID, { refresh: "none" });
+    await library.getChannelAnalytics(CHANNEL_ID);
+    assert.deepEqual(jobFiles(), existing);
+
+    await library.fetchYoutubeVideos(CHANNEL_ID, { refresh: "incremental" });
+    assert.equal(jobFiles().length, existing.length + 2);
+  });
+
+  it("rejects for a channel that doesn't exist", async () => {
+    await assert.rejects(
+      library.fetchYoutubeVideos("@nobody", { refresh: "full" }),
+      ChannelNotFoundError
+    );
+  });
+
+  it("rejects with the typed API error and records it on the job", async () => {
+    environment.api.injectError({ resource: "playlistItems", times: null });
+
+    const error = await library
+      .fetchYoutubeVideos(CHANNEL_ID, { refresh: "full" })
+      .then(
+        () => assert.fail("fetchYoutubeVideos resolved"),
+        (rejection) => rejection
+      );
+
+    assert.ok(error instanceof QuotaExceededError);
+    assert.ok(error.jobId);
+
+    const job = library.getFetchJob(error.jobId);
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "quotaExceeded");
+  });
+});